@@ -11,32 +11,52 @@ public class GameHub : Hub
     // Last announced microphone state per connection, so players joining later
     // see who is already unmuted without waiting for the next toggle.
     private static readonly ConcurrentDictionary<string, bool> VoiceStates = new();
+    // What each connection said in SetProfile, read when it creates or joins a
+    // room. A reconnect is a new connection, so the client says it again.
+    private static readonly ConcurrentDictionary<string, ConnectionProfile> Profiles = new();
     private readonly GameManager _gameManager;
+    private readonly IceServerProvider _iceServers;
+    private readonly VoiceForwarder _voiceForwarder;
     private readonly ILogger<GameHub> _logger;
 
-    public GameHub(GameManager gameManager, ILogger<GameHub> logger)
+    public GameHub(GameManager gameManager, IceServerProvider iceServers, VoiceForwarder voiceForwarder, ILogger<GameHub> logger)
     {
         _gameManager = gameManager;
+        _iceServers = iceServers;
+        _voiceForwarder = voiceForwarder;
         _logger = logger;
     }
 
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
         VoiceStates.TryRemove(Context.ConnectionId, out _);
+        Profiles.TryRemove(Context.ConnectionId, out _);
 
         if (ConnectionRooms.TryRemove(Context.ConnectionId, out var roomId))
         {
+            var wasSpectating = _gameManager.IsSpectating(roomId, Context.ConnectionId);
             await Groups.RemoveFromGroupAsync(Context.ConnectionId, roomId);
-            _gameManager.HandleDisconnect(Context.ConnectionId);
+            var seatHeld = _gameManager.HandleDisconnect(Context.ConnectionId);
 
-            // Tell the room who left so peers can tear down their voice
-            // connections and drop the avatar immediately.
-            await Clients.Group(roomId).SendAsync("PlayerLeft", new
+            // A spectator is in nobody's roster and nobody's voice mesh, so
+            // there is nothing to announce. A held seat stays in the roster,
+            // marked away in snapshots; PlayerLeft comes if it expires, or
+            // under this id when the player rejoins from a new connection.
+            if (!wasSpectating && !seatHeld)
+            {
+                // Tell the room who left so peers can tear down their voice
+                // connections and drop the avatar immediately.
+                await Clients.Group(roomId).SendAsync("PlayerLeft", new
+                {
+                    roomId,
+                    playerId = Context.ConnectionId
+                });
+            }
+            // Either way the host may have changed.
+            if (!wasSpectating)
             {
-                roomId,
-                playerId = Context.ConnectionId
-            });
-            await BroadcastLobbyUpdate(roomId);
+                await BroadcastLobbyUpdate(roomId);
+            }
         }
         else
         {
@@ -48,7 +68,8 @@ public class GameHub : Hub
 
     public async Task CreateGame(string? displayName = null)
     {
-        var (room, player) = _gameManager.CreateRoom(Context.ConnectionId, displayName);
+        Profiles.TryGetValue(Context.ConnectionId, out var profile);
+        var (room, player) = _gameManager.CreateRoom(Context.ConnectionId, displayName, profile.Color, profile.Key);
         await LeaveCurrentRoomAsync(exceptRoomId: room.Id);
         ConnectionRooms[Context.ConnectionId] = room.Id;
         await Groups.AddToGroupAsync(Context.ConnectionId, room.Id);
@@ -57,15 +78,19 @@ public class GameHub : Hub
         {
             roomId = room.Id,
             player = MapPlayer(player),
-            hostId = room.HostId
+            hostId = room.HostId,
+            reconnectToken = player.ReconnectToken
         });
+        await SendLevel(room.Id);
 
         await BroadcastLobbyUpdate(room.Id);
     }
 
     public async Task JoinGame(string roomId, string? displayName = null)
     {
-        if (!_gameManager.TryJoinRoom(roomId, Context.ConnectionId, displayName, out var player, out var error))
+        Profiles.TryGetValue(Context.ConnectionId, out var profile);
+        if (!_gameManager.TryJoinRoom(
+                roomId, Context.ConnectionId, displayName, out var player, out var error, profile.Color, profile.Key))
         {
             await Clients.Caller.SendAsync("JoinFailed", new { roomId, error = error ?? "Unknown" });
             return;
@@ -84,12 +109,95 @@ public class GameHub : Hub
         {
             roomId,
             player = player is null ? null : MapPlayer(player),
-            hostId = joinedRoom?.HostId
+            hostId = joinedRoom?.HostId,
+            reconnectToken = player?.ReconnectToken
         });
+        await SendChatHistory(roomId);
+        await SendSeries(roomId);
+        await SendLevel(roomId);
 
         await BroadcastLobbyUpdate(roomId);
     }
 
+    /// <summary>
+    /// Back into the seat <paramref name="reconnectToken"/> was issued for,
+    /// from a new connection — what the client does after an automatic
+    /// reconnect. The player keeps everything and takes this connection's id;
+    /// the room hears the old id leave, and sees the new one in the next
+    /// snapshot, so voice peers reconnect to it like a new arrival.
+    /// </summary>
+    public async Task Rejoin(string roomId, string? reconnectToken)
+    {
+        if (!_gameManager.TryRejoin(
+                roomId, reconnectToken, Context.ConnectionId, out var player, out var previousId, out var error) ||
+            player is null || previousId is null)
+        {
+            await Clients.Caller.SendAsync("RejoinFailed", new { roomId, error = error ?? "Unknown" });
+            return;
+        }
+
+        await LeaveCurrentRoomAsync(exceptRoomId: roomId);
+
+        // The old connection may not have been noticed dropping yet; when it
+        // is, there is nothing left under its id to clean up.
+        if (previousId != Context.ConnectionId)
+        {
+            ConnectionRooms.TryRemove(previousId, out _);
+            VoiceStates.TryRemove(previousId, out _);
+            await Groups.RemoveFromGroupAsync(previousId, roomId);
+        }
+        ConnectionRooms[Context.ConnectionId] = roomId;
+        await Groups.AddToGroupAsync(Context.ConnectionId, roomId);
+
+        _gameManager.TryGetRoom(roomId, out var room);
+        await Clients.Caller.SendAsync("Rejoined", new
+        {
+            roomId,
+            player = MapPlayer(player),
+            hostId = room?.HostId,
+            previousId
+        });
+        await SendChatHistory(roomId);
+        await SendSeries(roomId);
+        await SendLevel(roomId);
+
+        if (previousId != Context.ConnectionId)
+        {
+            await Clients.OthersInGroup(roomId).SendAsync("PlayerLeft", new { roomId, playerId = previousId });
+        }
+        await BroadcastLobbyUpdate(roomId);
+    }
+
+    /// <summary>
+    /// Watch a room read-only. The caller joins the room's group, so it gets the
+    /// same snapshot feed as the players, but it never gets a leader — which is
+    /// why this is allowed mid-match and in a full room where JoinGame is not.
+    /// </summary>
+    public async Task SpectateGame(string roomId)
+    {
+        if (!_gameManager.TrySpectateRoom(roomId, Context.ConnectionId, out var error))
+        {
+            await Clients.Caller.SendAsync("SpectateFailed", new { roomId, error = error ?? "Unknown" });
+            return;
+        }
+
+        await LeaveCurrentRoomAsync(exceptRoomId: roomId);
+
+        ConnectionRooms[Context.ConnectionId] = roomId;
+        VoiceStates.TryRemove(Context.ConnectionId, out _);
+        await Groups.AddToGroupAsync(Context.ConnectionId, roomId);
+
+        _gameManager.TryGetRoom(roomId, out var room);
+        await Clients.Caller.SendAsync("SpectatingGame", new
+        {
+            roomId,
+            hostId = room?.HostId
+        });
+        await SendChatHistory(roomId);
+        await SendSeries(roomId);
+        await SendLevel(roomId);
+    }
+
     /// <summary>
     /// Drops this connection from whatever room it is currently in, leaving
     /// <paramref name="exceptRoomId"/> alone so a move between rooms does not
@@ -105,6 +213,8 @@ public class GameHub : Hub
         await BroadcastLobbyUpdate(previousRoomId);
     }
 
+    // Leaving on purpose gives the seat up at once; only a dropped connection
+    // has it held.
     public Task LeaveGame()
     {
         if (!ConnectionRooms.TryRemove(Context.ConnectionId, out var roomId))
@@ -112,7 +222,7 @@ public class GameHub : Hub
             return Task.CompletedTask;
         }
 
-        _gameManager.HandleDisconnect(Context.ConnectionId);
+        _gameManager.LeaveRoom(roomId, Context.ConnectionId);
         return Groups.RemoveFromGroupAsync(Context.ConnectionId, roomId);
     }
 
@@ -134,7 +244,128 @@ public class GameHub : Hub
         }
     }
 
-    public Task Move(string direction)
+    /// <summary>
+    /// Room text chat, for players without a mic or somewhere they can't use
+    /// one. Goes to the whole group, spectators included.
+    /// </summary>
+    public async Task SendChat(string? text)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (!_gameManager.TryPostChat(roomId, Context.ConnectionId, text, out var message, out var error) || message is null)
+        {
+            await Clients.Caller.SendAsync("ChatFailed", new { roomId, error = error ?? "Unknown" });
+            return;
+        }
+
+        await Clients.Group(roomId).SendAsync("ChatMessage", message);
+    }
+
+    private Task SendChatHistory(string roomId) =>
+        Clients.Caller.SendAsync("ChatHistory", new { roomId, messages = _gameManager.ChatHistory(roomId) });
+
+    // Someone arriving mid-series sees the matches already played.
+    private Task SendSeries(string roomId) =>
+        Clients.Caller.SendAsync("SeriesUpdated", new { roomId, series = _gameManager.SeriesFor(roomId) });
+
+    // Ahead of the first snapshot from a room just joined, so it never has to
+    // be drawn without its walls.
+    private Task SendLevel(string roomId) =>
+        _gameManager.TryGetLevel(roomId, out var level)
+            ? Clients.Caller.SendAsync("LevelUpdated", level)
+            : Task.CompletedTask;
+
+    /// <summary>Host toggles diagonal movement for the room. Lobby only.</summary>
+    public async Task SetEightWayMovement(bool enabled)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (!_gameManager.TrySetEightWayMovement(roomId, Context.ConnectionId, enabled, out var error))
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = error ?? "Unknown" });
+        }
+        // Everyone, host included, sees the new setting in the next snapshot.
+    }
+
+    /// <summary>Host toggles proximity voice for the room. Lobby only.</summary>
+    public async Task SetProximityVoice(bool enabled)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (!_gameManager.TrySetProximityVoice(roomId, Context.ConnectionId, enabled, out var error))
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = error ?? "Unknown" });
+        }
+    }
+
+    /// <summary>Host sets the room's match rules. Lobby only.</summary>
+    public async Task SetMatchRules(MatchRules? rules)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (!_gameManager.TrySetMatchRules(roomId, Context.ConnectionId, rules, out var error))
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = error ?? "Unknown" });
+        }
+    }
+
+    /// <summary>Host sets how many matches the series is best of. Lobby only.</summary>
+    public async Task SetSeriesLength(int length)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (!_gameManager.TrySetSeriesLength(roomId, Context.ConnectionId, length, out var error))
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = error ?? "Unknown" });
+            return;
+        }
+
+        // The history just went; everyone's scoreboard should say so.
+        await Clients.Group(roomId).SendAsync("SeriesUpdated", new { roomId, series = _gameManager.SeriesFor(roomId) });
+    }
+
+    /// <summary>Host picks how the room's voice travels: "mesh" or "sfu". Lobby only.</summary>
+    public async Task SetVoiceTransport(string transport)
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            return;
+        }
+
+        if (transport == VoiceTransport.Forwarded && !_voiceForwarder.IsConfigured)
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = "ForwarderUnavailable" });
+            return;
+        }
+
+        if (!_gameManager.TrySetVoiceTransport(roomId, Context.ConnectionId, transport, out var error))
+        {
+            await Clients.Caller.SendAsync("RoomOptionFailed", new { roomId, error = error ?? "Unknown" });
+        }
+    }
+
+    /// <summary>
+    /// Sets the caller's steering. <paramref name="sequence"/> increases with
+    /// every change of direction and is echoed in snapshots as the
+    /// acknowledgement; <paramref name="clientTime"/> is the sender's clock when
+    /// it was pressed.
+    /// </summary>
+    public Task Move(string direction, long sequence, double clientTime)
     {
         if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
         {
@@ -142,9 +373,9 @@ public class GameHub : Hub
         }
 
         var parsedDirection = ParseDirection(direction);
-        if (!_gameManager.TryRegisterMove(roomId, Context.ConnectionId, parsedDirection))
+        if (!_gameManager.TryRegisterMove(roomId, Context.ConnectionId, parsedDirection, sequence, clientTime))
         {
-            _logger.LogDebug("Move ignored for player {Player} not found in room {Room}", Context.ConnectionId, roomId);
+            _logger.LogDebug("Move {Sequence} ignored for player {Player} in room {Room}", sequence, Context.ConnectionId, roomId);
         }
 
         // Movement intent is recorded and nothing else. This used to also
@@ -156,20 +387,50 @@ public class GameHub : Hub
         return Task.CompletedTask;
     }
 
+    /// <summary>
+    /// A full snapshot, and the level with it, for a client with nothing to
+    /// build deltas on: it just joined, reconnected, or lost its baselines.
+    /// </summary>
     public async Task RequestState()
     {
-        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId) ||
+            !_gameManager.TryGetFullSnapshot(roomId, Context.ConnectionId, out var snapshot, out var level))
         {
             return;
         }
 
-        if (!_gameManager.TryGetRoom(roomId, out var room) || room is null)
+        await Clients.Caller.SendAsync("LevelUpdated", level);
+        await Clients.Caller.SendAsync("GameStateUpdated", snapshot);
+    }
+
+    /// <summary>The room's level, for a client whose snapshot names one it does not have.</summary>
+    public Task RequestLevel() =>
+        ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId) ? SendLevel(roomId) : Task.CompletedTask;
+
+    /// <summary>
+    /// The newest snapshot this client has rebuilt. Later snapshots to it are
+    /// deltas against that one. Sent a few times a second, not per snapshot.
+    /// </summary>
+    public Task AckSnapshot(long snapshotId)
+    {
+        if (ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
         {
-            return;
+            _gameManager.AcknowledgeSnapshot(roomId, Context.ConnectionId, snapshotId);
         }
+        return Task.CompletedTask;
+    }
 
-        var state = GameManager.BuildStateSnapshot(room);
-        await Clients.Caller.SendAsync("GameStateUpdated", state);
+    /// <summary>
+    /// The client's round trip and interpolation delay, every couple of
+    /// seconds. Catches and eats are judged against where it drew its targets.
+    /// </summary>
+    public Task ReportLatency(double roundTripMs, double interpolationDelayMs)
+    {
+        if (ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            _gameManager.ReportLatency(roomId, Context.ConnectionId, roundTripMs, interpolationDelayMs);
+        }
+        return Task.CompletedTask;
     }
 
     /// <summary>
@@ -191,6 +452,14 @@ public class GameHub : Hub
             return;
         }
 
+        // Voice is for the people playing. A spectator is in the same group, so
+        // the room check alone would let one open a call with any player.
+        if (_gameManager.IsSpectating(roomId, Context.ConnectionId) ||
+            _gameManager.IsSpectating(roomId, targetConnectionId))
+        {
+            return;
+        }
+
         await Clients.Client(targetConnectionId).SendAsync("VoiceSignal", new
         {
             from = Context.ConnectionId,
@@ -198,6 +467,34 @@ public class GameHub : Hub
         });
     }
 
+    /// <summary>
+    /// STUN and TURN servers for voice, fetched before the first call. TURN
+    /// credentials are only issued to players in a room; anyone else gets STUN.
+    /// </summary>
+    public IceConfigDto GetIceServers()
+    {
+        var inRoom = ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId) &&
+            !_gameManager.IsSpectating(roomId, Context.ConnectionId);
+        return _iceServers.For(Context.ConnectionId, inRoom);
+    }
+
+    /// <summary>
+    /// Where the caller's voice goes in the room they are playing in. Asked on
+    /// connecting, to know whether to offer the forwarder option at all, and
+    /// whenever the room switches transport. Spectators and players outside a
+    /// room get the mesh and no URLs: the stream names are the room's secret.
+    /// </summary>
+    public VoiceRouteDto GetVoiceRoute()
+    {
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId) ||
+            !_gameManager.TryGetVoiceRoom(roomId, Context.ConnectionId, out var transport, out var voiceKey))
+        {
+            return new VoiceRouteDto(VoiceTransport.Mesh, _voiceForwarder.IsConfigured);
+        }
+
+        return _voiceForwarder.RouteFor(transport, voiceKey, Context.ConnectionId);
+    }
+
     /// <summary>Announces whether this player's microphone is live, for avatar UI.</summary>
     /// <summary>
     /// Rename after joining. An invite link joins as soon as the page connects,
@@ -216,9 +513,42 @@ public class GameHub : Hub
         return Task.CompletedTask;
     }
 
+    /// <summary>
+    /// The caller's profile, or null to play without one. Sent after every
+    /// connect; a preferred colour is used from the next room joined, a token
+    /// from the next match started.
+    /// </summary>
+    public Task SetProfile(ProfileDto? profile)
+    {
+        var key = Leaderboard.KeyFor(profile?.Token);
+        var color = profile?.Color is { } c && GameConstants.PlayerColorKeys.Contains(c) ? c : null;
+        if (key is null && color is null)
+        {
+            Profiles.TryRemove(Context.ConnectionId, out _);
+        }
+        else
+        {
+            Profiles[Context.ConnectionId] = new ConnectionProfile(key, color);
+        }
+
+        if (ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        {
+            _gameManager.TrySetProfileKey(roomId, Context.ConnectionId, key);
+        }
+        return Task.CompletedTask;
+    }
+
+    /// <summary>The ladder, with the caller's own line marked.</summary>
+    public LeaderboardDto GetLeaderboard()
+    {
+        Profiles.TryGetValue(Context.ConnectionId, out var profile);
+        return _gameManager.Leaderboard(profile.Key);
+    }
+
     public async Task SetVoiceState(bool micEnabled)
     {
-        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId))
+        if (!ConnectionRooms.TryGetValue(Context.ConnectionId, out var roomId) ||
+            _gameManager.IsSpectating(roomId, Context.ConnectionId))
         {
             return;
         }
@@ -272,9 +602,15 @@ public class GameHub : Hub
             "down" => Direction.Down,
             "left" => Direction.Left,
             "right" => Direction.Right,
+            "up-left" => Direction.UpLeft,
+            "up-right" => Direction.UpRight,
+            "down-left" => Direction.DownLeft,
+            "down-right" => Direction.DownRight,
             _ => Direction.None
         };
     }
 
     public string Ping() => "Pong";
+
+    private readonly record struct ConnectionProfile(string? Key, string? Color);
 }
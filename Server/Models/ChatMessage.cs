@@ -0,0 +1,59 @@
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// One line of room chat, as sent to clients. The sender's name and colour are
+/// copied in at send time, so history still reads correctly after they rename
+/// or leave.
+/// </summary>
+public record ChatMessageDto(
+    long Id,
+    string SenderId,
+    string DisplayName,
+    string TeamColor,
+    string Text,
+    long SentAt
+);
+
+public static class ChatText
+{
+    public const int MaxLength = 140;
+
+    /// <summary>
+    /// Chat is shown to every other player, so like display names it is
+    /// constrained here rather than trusted from the client. Unlike names it
+    /// keeps punctuation and any script — people need to say things — but drops
+    /// control characters and the bidi overrides that let one line rewrite how
+    /// the next reads, and collapses runs of whitespace. The client still only
+    /// ever renders it as text. Returns null when nothing is left to send.
+    /// </summary>
+    public static string? Sanitise(string? text)
+    {
+        if (string.IsNullOrWhiteSpace(text)) return null;
+
+        var builder = new System.Text.StringBuilder(Math.Min(text.Length, MaxLength));
+        var lastWasSpace = false;
+        foreach (var ch in text.Trim())
+        {
+            if (builder.Length >= MaxLength) break;
+            // Don't cut an emoji in half at the limit.
+            if (char.IsHighSurrogate(ch) && builder.Length >= MaxLength - 1) break;
+            if (char.IsWhiteSpace(ch))
+            {
+                if (!lastWasSpace) builder.Append(' ');
+                lastWasSpace = true;
+                continue;
+            }
+            if (char.IsControl(ch) || IsBidiControl(ch)) continue;
+            builder.Append(ch);
+            lastWasSpace = false;
+        }
+
+        var result = builder.ToString().Trim();
+        return result.Length == 0 ? null : result;
+    }
+
+    // U+061C, U+200E/F, the U+202A–U+202E embeddings and overrides, and the
+    // U+2066–U+2069 isolates.
+    private static bool IsBidiControl(char ch) =>
+        ch is '\u061C' or '\u200E' or '\u200F' or (>= '\u202A' and <= '\u202E') or (>= '\u2066' and <= '\u2069');
+}
@@ -6,11 +6,20 @@ public enum Direction
     Up,
     Down,
     Left,
-    Right
+    Right,
+    // Only accepted in rooms with eight-way movement switched on.
+    UpLeft,
+    UpRight,
+    DownLeft,
+    DownRight
 }
 
 public static class DirectionExtensions
 {
+    // Diagonals are unit length like the axes, so holding two keys is not a
+    // sqrt(2) speed boost.
+    private const float Diagonal = 0.70710678f;
+
     public static Vector2 ToVector(this Direction direction)
     {
         return direction switch
@@ -19,7 +28,14 @@ public static class DirectionExtensions
             Direction.Down => new Vector2(0f, 1f),
             Direction.Left => new Vector2(-1f, 0f),
             Direction.Right => new Vector2(1f, 0f),
+            Direction.UpLeft => new Vector2(-Diagonal, -Diagonal),
+            Direction.UpRight => new Vector2(Diagonal, -Diagonal),
+            Direction.DownLeft => new Vector2(-Diagonal, Diagonal),
+            Direction.DownRight => new Vector2(Diagonal, Diagonal),
             _ => Vector2.Zero
         };
     }
+
+    public static bool IsDiagonal(this Direction direction) =>
+        direction is Direction.UpLeft or Direction.UpRight or Direction.DownLeft or Direction.DownRight;
 }
@@ -25,11 +25,64 @@ public static class GameConstants
     public static readonly TimeSpan RoomInactivityTimeout = TimeSpan.FromMinutes(10);
     public const int TargetTickRateMs = 30;
     public const float TickDeltaSeconds = TargetTickRateMs / 1000f;
-    public const float HitForgivenessRadius = 12f; // covers ~75ms of lag at LeaderSpeed
+    // Latency is rewound now (see PositionHistory), so this only has to cover
+    // tick rounding and the hunter's own position running a tick ahead.
+    public const float HitForgivenessRadius = 4f;
+    // For a hunter that has not reported its lag — just joined, or a client
+    // that never does — and so is judged unrewound: the old allowance, which
+    // covers ~75ms of lag at LeaderSpeed.
+    public const float UnreportedLagForgivenessRadius = 12f;
+    // The furthest back a hunter's view is honoured: a round trip plus the
+    // interpolation delay, as the client reports them. Past that, prey would
+    // be caught somewhere they left a quarter of a second ago.
+    public const float MaxRewindSeconds = 0.25f;
 
     public const int MinPlayersPerRoom = 2;
     public const int MaxPlayersPerRoom = 8;
 
+    // How far back a delta's baseline may be: two seconds at 33Hz. A client
+    // whose newest ack is older than that gets a full snapshot. The client
+    // keeps at least as many, so any baseline it acked is one it has.
+    public const int SnapshotBaselineWindow = 64;
+
+    // Spectators watch a live match this far behind, through to the snapshot
+    // it ended on: anyone can spectate, a player's second tab included, so
+    // the whole map is only shown once it is too old to play from.
+    public const int SpectatorDelayMs = 3000;
+
+    // Full snapshots each room keeps: a baseline window behind the delayed
+    // spectator feed as well as behind the live one.
+    public const int SnapshotHistoryLength = SnapshotBaselineWindow + SpectatorDelayMs / TargetTickRateMs;
+
+    // What a player's snapshots cover in detail: the client's canvas, placed
+    // the way its camera places it, plus a margin for the optimistic local
+    // leader running ahead and for creatures drawn past their centres.
+    // Leaders outside it are sent coarsely (see AreaOfInterest).
+    public const float ViewWidth = 960f;
+    public const float ViewHeight = 640f;
+    public const float InterestMargin = 200f;
+    public const float CoarseLeaderGrid = 10f;
+
+    // Spectators cost a snapshot send each and nothing else, so the cap is only
+    // there to stop one room being used to fan traffic out without bound.
+    public const int MaxSpectatorsPerRoom = 16;
+
+    // How long a dropped player's seat is held, leader idle where it stopped,
+    // for the client to reconnect and rejoin it. Covers a Wi-Fi blip and
+    // SignalR's automatic retries (0, 2, 10 and 30 seconds) up to the third;
+    // much longer and an abandoned leader is just a free catch for the hunter.
+    public static readonly TimeSpan ReconnectGrace = TimeSpan.FromSeconds(20);
+
+    // ---- Chat ------------------------------------------------------------
+    // Enough history that someone joining a lobby sees the conversation they
+    // walked into, not so much that it is a log.
+    public const int ChatHistoryLength = 50;
+    // A token bucket per sender: a burst of ChatBurst, then one message per
+    // ChatRefillSeconds. Quick-chat keys make a burst easy to fire by accident,
+    // and anything faster than this is not conversation.
+    public const int ChatBurst = 4;
+    public const float ChatRefillSeconds = 1.5f;
+
     // ---- Two phases ------------------------------------------------------
     //
     // GATHERING: underlings are on the map and everyone races to eat them.
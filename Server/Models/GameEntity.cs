@@ -12,7 +12,8 @@ public abstract class GameEntity
     }
 
     public Guid Id { get; }
-    public string OwnerId { get; }
+    // Follows the player to a new connection when they rejoin their seat.
+    public string OwnerId { get; internal set; }
     public Vector2 Position { get; set; }
     public Vector2 Velocity { get; set; }
     public float Radius { get; }
@@ -1,12 +1,33 @@
 using System.Collections.Concurrent;
+using System.Security.Cryptography;
 
 namespace SwarmAndSnack.Server.Models;
 
 public class GameRoom
 {
     private readonly ConcurrentDictionary<string, Player> _players = new();
+    // Spectators are in the room's SignalR group and receive every snapshot, but
+    // have no Player — the simulation, the roster and voice never see them.
+    private readonly ConcurrentDictionary<string, byte> _spectators = new();
     private readonly object _stateLock = new();
     private long _snapshotCounter;
+    // Chat history and each sender's rate-limit bucket. Guarded by _chatLock,
+    // not the state lock, so a chatty lobby never waits on a simulation tick.
+    private readonly Queue<ChatMessageDto> _chat = new();
+    private readonly Dictionary<string, (double Tokens, DateTime At)> _chatBuckets = new();
+    private readonly object _chatLock = new();
+    private long _chatCounter;
+    // Finished matches of the current series, oldest first. Guarded by the
+    // state lock, like everything else the tick touches.
+    private readonly List<MatchSummaryDto> _seriesMatches = new();
+    // The last few full snapshots, oldest first, and the newest one each
+    // member has acknowledged — the baselines deltas are built against.
+    // History is guarded by the state lock; acks arrive from hub calls.
+    private readonly Queue<GameStateDto> _snapshots = new();
+    private readonly ConcurrentDictionary<string, long> _acks = new();
+
+    /// <summary>Where everything was over the last few ticks of this match.</summary>
+    public PositionHistory Positions { get; } = new();
 
     public GameRoom(string id)
     {
@@ -32,6 +53,9 @@ public class GameRoom
 
     public int PlayerCount => _players.Count;
 
+    /// <summary>Players not away: the ones a match could start with.</summary>
+    public int ConnectedPlayerCount => _players.Values.Count(p => !p.IsAway);
+
     public bool TryAddPlayer(Player player)
     {
         if (_players.Count >= GameConstants.MaxPlayersPerRoom)
@@ -55,11 +79,16 @@ public class GameRoom
         var removed = _players.TryRemove(connectionId, out _);
         if (removed)
         {
+            _acks.TryRemove(connectionId, out _);
+            lock (_chatLock)
+            {
+                _chatBuckets.Remove(connectionId);
+            }
             Touch();
             if (connectionId == HostId)
             {
                 // Promote the next remaining player to host so the room stays startable.
-                HostId = _players.Keys.FirstOrDefault();
+                HostId = NextHost();
             }
             if (_players.IsEmpty)
             {
@@ -69,6 +98,99 @@ public class GameRoom
         return removed;
     }
 
+    /// <summary>
+    /// The host's connection dropped. Their seat is held, but the room goes to
+    /// someone still connected, or nobody could start it until they were back.
+    /// Call after marking them away.
+    /// </summary>
+    public void PassHostFrom(string connectionId)
+    {
+        if (connectionId == HostId) HostId = NextHost();
+    }
+
+    // A connected player if there is one; a player who is away cannot start
+    // anything.
+    private string? NextHost() =>
+        _players.Values.Where(p => !p.IsAway).Select(p => p.ConnectionId).FirstOrDefault()
+        ?? _players.Keys.FirstOrDefault();
+
+    /// <summary>
+    /// Moves a player to a new connection id, and everything in the room that
+    /// names them with it: the host, the hunter, the winners, this series'
+    /// results, their chat lines. Their old id's acknowledgement goes — the new connection has
+    /// none of those snapshots. Call under the state lock.
+    /// </summary>
+    public bool RebindPlayer(string oldConnectionId, string newConnectionId)
+    {
+        if (_players.ContainsKey(newConnectionId) || !_players.TryRemove(oldConnectionId, out var player))
+        {
+            return false;
+        }
+
+        player.Rebind(newConnectionId);
+        _players[newConnectionId] = player;
+        _acks.TryRemove(oldConnectionId, out _);
+        lock (_chatLock)
+        {
+            if (_chatBuckets.Remove(oldConnectionId, out var bucket)) _chatBuckets[newConnectionId] = bucket;
+            // Their lines in the history are still theirs when it is sent back
+            // to them, so the client marks them as its own.
+            var history = _chat
+                .Select(m => m.SenderId == oldConnectionId ? m with { SenderId = newConnectionId } : m)
+                .ToList();
+            _chat.Clear();
+            foreach (var message in history) _chat.Enqueue(message);
+        }
+
+        string? Remap(string? id) => id == oldConnectionId ? newConnectionId : id;
+        HostId = Remap(HostId);
+        SuperId = Remap(SuperId);
+        WinnerId = Remap(WinnerId);
+        SeriesWinnerId = Remap(SeriesWinnerId);
+        for (var i = 0; i < _seriesMatches.Count; i++)
+        {
+            var match = _seriesMatches[i];
+            _seriesMatches[i] = match with
+            {
+                WinnerId = Remap(match.WinnerId),
+                Players = match.Players.Select(p => p with { ConnectionId = Remap(p.ConnectionId)! }).ToList(),
+            };
+        }
+        Touch();
+        return true;
+    }
+
+    public int SpectatorCount => _spectators.Count;
+
+    public bool IsSpectator(string connectionId) => _spectators.ContainsKey(connectionId);
+
+    public IEnumerable<string> Spectators => _spectators.Keys;
+
+    // Deliberately does not Touch(): a room nobody is playing in should still
+    // expire, however many people are watching it sit idle.
+    public bool TryAddSpectator(string connectionId)
+    {
+        if (_spectators.Count >= GameConstants.MaxSpectatorsPerRoom)
+        {
+            return false;
+        }
+
+        return _spectators.TryAdd(connectionId, 0);
+    }
+
+    public bool RemoveSpectator(string connectionId)
+    {
+        _acks.TryRemove(connectionId, out _);
+        return _spectators.TryRemove(connectionId, out _);
+    }
+
+    /// <summary>
+    /// Everyone who receives this room's snapshots: players and spectators. A
+    /// player whose seat is being held has no connection to send to.
+    /// </summary>
+    public IEnumerable<string> Members =>
+        _players.Values.Where(p => !p.IsAway).Select(p => p.ConnectionId).Concat(_spectators.Keys);
+
     public bool IsHost(string connectionId) => HostId is not null && HostId == connectionId;
 
     public void Touch()
@@ -76,7 +198,7 @@ public class GameRoom
         LastActivityUtc = DateTime.UtcNow;
     }
 
-    public bool CanStart => _players.Count >= GameConstants.MinPlayersPerRoom && !IsActive;
+    public bool CanStart => ConnectedPlayerCount >= GameConstants.MinPlayersPerRoom && !IsActive;
 
     private float _frozenWorldWidth = GameConstants.HalfWorldWidth;
 
@@ -100,9 +222,103 @@ public class GameRoom
     /// <summary>Counts up so the client can announce each new round.</summary>
     public int RoundNumber { get; set; }
 
+    /// <summary>
+    /// Host option: leaders may also move diagonally. Off by default — the
+    /// four-axis game is the one the flee speeds were tuned against.
+    /// </summary>
+    public bool EightWayMovement { get; set; }
+
+    /// <summary>
+    /// Host option: voice is heard from where each leader is, louder the
+    /// closer they are. Off by default. The server only carries the flag —
+    /// the mixing happens in each browser from positions it already has.
+    /// </summary>
+    public bool ProximityVoice { get; set; }
+
+    /// <summary>
+    /// Host option: how voice travels, a <see cref="Models.VoiceTransport"/>
+    /// value. The mesh by default; the forwarder when one is configured and
+    /// the room is big enough for the mesh's upstream cost to hurt.
+    /// </summary>
+    public string VoiceTransport { get; set; } = Models.VoiceTransport.Mesh;
+
+    /// <summary>
+    /// Host option: the match rules. Read at each use rather than copied at
+    /// the start, which is safe because they cannot change mid-match.
+    /// </summary>
+    public MatchRules Rules { get; set; } = MatchRules.Default;
+
+    /// <summary>
+    /// Random, and part of every forwarded stream name in this room, so the
+    /// names cannot be guessed from outside it. Never sent in snapshots —
+    /// spectators get those too.
+    /// </summary>
+    public string VoiceKey { get; } = Convert.ToHexString(RandomNumberGenerator.GetBytes(12)).ToLowerInvariant();
+
     /// <summary>Everyone is untouchable for a moment after a hunt begins.</summary>
     public float GraceSecondsRemaining { get; set; }
 
+    // ---- Series ----------------------------------------------------------
+
+    public static readonly int[] SeriesLengths = { 1, 3, 5, 7 };
+
+    /// <summary>
+    /// Host option: matches are played as a best-of-this series. One, the
+    /// default, makes every match its own series — the game as it always was.
+    /// </summary>
+    public int SeriesLength { get; private set; } = 1;
+
+    /// <summary>Which match of the series is being played, or was last. Zero before the first.</summary>
+    public int SeriesMatch { get; private set; }
+
+    /// <summary>Set when the series is decided; the next start begins a new one.</summary>
+    public string? SeriesWinnerId { get; private set; }
+
+    public float MatchSeconds { get; private set; }
+
+    public void AdvanceMatchClock(float deltaSeconds) => MatchSeconds += deltaSeconds;
+
+    /// <summary>A different length is a different contest, so the series starts over.</summary>
+    public void SetSeriesLength(int length)
+    {
+        SeriesLength = length;
+        ResetSeries();
+    }
+
+    private void ResetSeries()
+    {
+        _seriesMatches.Clear();
+        SeriesMatch = 0;
+        SeriesWinnerId = null;
+        foreach (var player in _players.Values)
+        {
+            player.Wins = 0;
+        }
+    }
+
+    /// <summary>
+    /// Files a finished match and decides the series if it can be. More than
+    /// half the matches settles it early; once they have all been played the
+    /// most wins takes it, and a tie plays on until someone is ahead. Call
+    /// with the winner's Wins already counted.
+    /// </summary>
+    public void RecordMatch(MatchSummaryDto summary)
+    {
+        _seriesMatches.Add(summary);
+        var ranked = _players.Values.OrderByDescending(p => p.Wins).ToList();
+        if (ranked.Count == 0) return;
+
+        var best = ranked[0];
+        var clearLead = ranked.Count == 1 || ranked[1].Wins < best.Wins;
+        if (best.Wins * 2 > SeriesLength || (_seriesMatches.Count >= SeriesLength && clearLead))
+        {
+            SeriesWinnerId = best.ConnectionId;
+        }
+    }
+
+    public SeriesDto SeriesSnapshot() =>
+        new(SeriesLength, SeriesMatch, SeriesWinnerId, _seriesMatches.ToList());
+
     public void Start()
     {
         lock (_stateLock)
@@ -117,10 +333,17 @@ public class GameRoom
             HuntSecondsRemaining = 0f;
             GraceSecondsRemaining = 0f;
             RoundNumber = 1;
+            MatchSeconds = 0f;
+            Positions.Clear();
+            if (SeriesMatch == 0 || SeriesWinnerId is not null)
+            {
+                ResetSeries();
+            }
+            SeriesMatch++;
             foreach (var player in _players.Values)
             {
                 player.ResetForRound();
-                player.Wins = 0;
+                player.Stats.Reset();
                 // A fresh match brings everyone back; only rounds are unforgiving.
                 player.IsDead = false;
             }
@@ -149,8 +372,109 @@ public class GameRoom
 
     public bool IsExpired => DateTime.UtcNow - LastActivityUtc > GameConstants.RoomInactivityTimeout;
 
+    public IReadOnlyList<ChatMessageDto> ChatHistory()
+    {
+        lock (_chatLock)
+        {
+            return _chat.ToList();
+        }
+    }
+
+    /// <summary>
+    /// Appends a message if the sender has budget for it. Returns null when
+    /// they are over the rate limit.
+    /// </summary>
+    public ChatMessageDto? TryAddChat(Player sender, string text, DateTime nowUtc)
+    {
+        lock (_chatLock)
+        {
+            var bucket = _chatBuckets.TryGetValue(sender.ConnectionId, out var saved)
+                ? saved
+                : (Tokens: (double)GameConstants.ChatBurst, At: nowUtc);
+            var refilled = Math.Min(
+                GameConstants.ChatBurst,
+                bucket.Tokens + (nowUtc - bucket.At).TotalSeconds / GameConstants.ChatRefillSeconds);
+            if (refilled < 1)
+            {
+                _chatBuckets[sender.ConnectionId] = (refilled, nowUtc);
+                return null;
+            }
+            _chatBuckets[sender.ConnectionId] = (refilled - 1, nowUtc);
+
+            var message = new ChatMessageDto(
+                ++_chatCounter, sender.ConnectionId, sender.DisplayName, sender.TeamColor, text,
+                new DateTimeOffset(nowUtc).ToUnixTimeMilliseconds());
+            _chat.Enqueue(message);
+            while (_chat.Count > GameConstants.ChatHistoryLength) _chat.Dequeue();
+            return message;
+        }
+    }
+
     public long AllocateSnapshotId()
     {
         return Interlocked.Increment(ref _snapshotCounter);
     }
+
+    // ---- Snapshot baselines -----------------------------------------------
+
+    /// <summary>The level this room is on; replaced, with a new version, when it changes.</summary>
+    public LevelDto? CurrentLevel { get; set; }
+
+    /// <summary>Keeps a snapshot to diff later ones against. Call under the state lock.</summary>
+    public void RememberSnapshot(GameStateDto state)
+    {
+        _snapshots.Enqueue(state);
+        while (_snapshots.Count > GameConstants.SnapshotHistoryLength) _snapshots.Dequeue();
+    }
+
+    /// <summary>
+    /// The newest snapshot this member acknowledged, if it is still kept and
+    /// within a baseline window of <paramref name="currentId"/>, the one about
+    /// to be sent. Null means send them everything. Call under the state lock.
+    /// </summary>
+    public GameStateDto? BaselineFor(string connectionId, long currentId)
+    {
+        if (!_acks.TryGetValue(connectionId, out var acked)) return null;
+        if (currentId - acked > GameConstants.SnapshotBaselineWindow) return null;
+        foreach (var state in _snapshots)
+        {
+            if (state.SnapshotId == acked) return state;
+        }
+        return null;
+    }
+
+    /// <summary>
+    /// The newest snapshot at least <paramref name="delayMs"/> older than the
+    /// newest kept, or null while the history is shorter than that. Call
+    /// under the state lock.
+    /// </summary>
+    public GameStateDto? SnapshotBefore(long delayMs)
+    {
+        if (_snapshots.Count == 0) return null;
+        var cutoff = _snapshots.Last().ServerTime - delayMs;
+        GameStateDto? found = null;
+        foreach (var state in _snapshots)
+        {
+            if (state.ServerTime > cutoff) break;
+            found = state;
+        }
+        return found;
+    }
+
+    /// <summary>
+    /// The result of the match just finished, held back from spectators until
+    /// their delayed feed reaches <c>SnapshotId</c>, the snapshot it ended on.
+    /// Guarded by the state lock.
+    /// </summary>
+    public (long SnapshotId, string? WinnerId, SeriesDto? Series)? SpectatorResult { get; set; }
+
+    /// <summary>Acks only move forward; a late one for an older snapshot is ignored.</summary>
+    public void Acknowledge(string connectionId, long snapshotId)
+    {
+        if (!_players.ContainsKey(connectionId) && !_spectators.ContainsKey(connectionId)) return;
+        _acks.AddOrUpdate(connectionId, snapshotId, (_, previous) => Math.Max(previous, snapshotId));
+    }
+
+    /// <summary>The member has lost what it had (it asked for a full state), so stop diffing against it.</summary>
+    public void ForgetAcknowledgement(string connectionId) => _acks.TryRemove(connectionId, out _);
 }
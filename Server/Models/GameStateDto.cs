@@ -1,24 +1,76 @@
+using System.Text.Json.Serialization;
+
 namespace SwarmAndSnack.Server.Models;
 
+/// <summary>
+/// The whole room at one tick, as the client rebuilds it. Never sent as it
+/// is: each tick goes out as a <see cref="SnapshotDto"/> against a snapshot
+/// the recipient has acknowledged, and the room keeps the last few of these
+/// to diff against. The level is not in here at all — see <see cref="LevelDto"/>.
+/// </summary>
 public record GameStateDto(
-    string RoomId,
+    long SnapshotId,
+    long ServerTime,
+    float HuntSecondsRemaining,
+    RoomStateDto Room,
+    IReadOnlyList<PlayerStateDto> Players,
+    // The world's size at this tick; not sent (the level carries it), but
+    // each player's view of this snapshot stops at its edges.
+    float WorldWidth,
+    float WorldHeight
+);
+
+/// <summary>
+/// Everything about the room that is not an entity or the level. Changes a
+/// few times a match, so a snapshot only carries it when it differs from the
+/// baseline. The hunt clock changes every tick and lives on the snapshot.
+/// </summary>
+public record RoomStateDto(
     bool IsActive,
-    IReadOnlyCollection<PlayerStateDto> Players,
     string? WinnerId,
-    long ServerTime,
-    long SnapshotId,
     string? HostId,
-    IReadOnlyCollection<ObstacleDto> Obstacles,
-    float WorldWidth,
-    float WorldHeight,
-    IReadOnlyCollection<RoomDto> Rooms,
-    IReadOnlyCollection<ThicketDto> Thickets,
+    // Which LevelDto this room is on. A client holding another one asks for it.
+    int LevelVersion,
     // ---- Two phases ----
     string Phase,
     string? SuperId,
-    float HuntSecondsRemaining,
     int RoundNumber,
-    int UnderlingsToBecomeSuper
+    int UnderlingsToBecomeSuper,
+    // How many people are watching without playing.
+    int SpectatorCount,
+    // Room option: diagonal movement is accepted.
+    bool EightWayMovement,
+    // Room option: voice is mixed by distance between leaders.
+    bool ProximityVoice,
+    // Room option: "mesh" or "sfu". Where the forwarder is comes from
+    // GetVoiceRoute, for players only.
+    string VoiceTransport,
+    // Room option: the rules this match is played by. UnderlingsToBecomeSuper
+    // above is the same number, kept for replays recorded before this.
+    MatchRules Rules,
+    // ---- Series ----
+    // Best of SeriesLength; this is match SeriesMatch of it. Each player's
+    // running score is their Wins. The history comes with GameOver.
+    int SeriesLength,
+    int SeriesMatch,
+    string? SeriesWinnerId
+);
+
+/// <summary>
+/// The parts of the world that never move: walls, room footprints, thickets
+/// and the world's size. Sent as LevelUpdated when the room's world changes
+/// (the fifth player opens the right half, a preferred colour repaints a
+/// room) and to anyone who asks — it used to ride along in every snapshot,
+/// thirty-three times a second, and was most of each one.
+/// </summary>
+public record LevelDto(
+    string RoomId,
+    int Version,
+    float WorldWidth,
+    float WorldHeight,
+    IReadOnlyCollection<ObstacleDto> Obstacles,
+    IReadOnlyCollection<RoomDto> Rooms,
+    IReadOnlyCollection<ThicketDto> Thickets
 );
 
 /// <summary>
@@ -66,7 +118,14 @@ public record PlayerStateDto(
     int Eaten,
     bool IsSuper,
     bool IsDead,
-    int Wins
+    int Wins,
+    // Disconnected; the seat is held, leader idle, for them to rejoin.
+    bool IsAway,
+    // ---- Input acknowledgement ----
+    // The newest Move applied, and how long the leader has moved under it.
+    // Only the owning client uses these, to replay what it sent after.
+    long LastInputSequence,
+    float SecondsOnInput
 );
 
 public record EntityStateDto(
@@ -80,3 +139,65 @@ public record EntityStateDto(
     float Vx,
     float Vy
 );
+
+// ---- On the wire -----------------------------------------------------------
+// What GameStateUpdated actually carries. Anything unchanged since the
+// baseline is left out, and left out of the JSON too rather than sent as null.
+
+/// <summary>
+/// One tick for one recipient. BaselineId is the snapshot it is relative to —
+/// one the recipient acknowledged — or null for a full snapshot, in which
+/// every player is new. Players lists only those that changed; a player in
+/// the baseline and not in RemovedPlayers or Players is exactly as it was.
+/// </summary>
+public record SnapshotDto(
+    string RoomId,
+    long SnapshotId,
+    long? BaselineId,
+    long ServerTime,
+    float HuntSecondsRemaining,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] RoomStateDto? Room,
+    IReadOnlyList<PlayerDeltaDto> Players,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] IReadOnlyList<string>? RemovedPlayers,
+    // The recipient's own input acknowledgement; nobody else needs theirs.
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] InputAckDto? Input
+);
+
+/// <summary>
+/// What changed about one player. A new player has Info and Leader and all
+/// its underlings in Added; after that, moves are just the moving numbers.
+/// </summary>
+public record PlayerDeltaDto(
+    string ConnectionId,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] PlayerInfoDto? Info,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] EntityStateDto? Leader,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] EntityMoveDto? LeaderMove,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] IReadOnlyList<EntityStateDto>? Added,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] IReadOnlyList<EntityMoveDto>? Moved,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] IReadOnlyList<string>? Removed
+);
+
+/// <summary>The round state of a <see cref="PlayerStateDto"/>, without its entities.</summary>
+public record PlayerInfoDto(
+    string DisplayName,
+    string TeamColor,
+    int Eaten,
+    bool IsSuper,
+    bool IsDead,
+    int Wins,
+    bool IsAway
+);
+
+/// <summary>An entity the recipient already has, moved. Radius, owner, colour and type never change.</summary>
+public record EntityMoveDto(
+    string Id,
+    float X,
+    float Y,
+    float Vx,
+    float Vy
+);
+
+public record InputAckDto(
+    long Sequence,
+    float SecondsOnInput
+);
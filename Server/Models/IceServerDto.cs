@@ -0,0 +1,18 @@
+using System.Text.Json.Serialization;
+
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// One entry of an RTCPeerConnection's iceServers list, shaped so the client
+/// can pass it straight through. STUN entries have no username or credential,
+/// and those are left out rather than sent as null — the browser would take
+/// null for the string "null".
+/// </summary>
+public record IceServerDto(
+    IReadOnlyList<string> Urls,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] string? Username = null,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] string? Credential = null
+);
+
+/// <summary>What GetIceServers returns: the servers, and how long the credentials last.</summary>
+public record IceConfigDto(IReadOnlyList<IceServerDto> IceServers, int TtlSeconds);
@@ -0,0 +1,68 @@
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// The rules a room plays by, which the host can change in the lobby. The
+/// defaults are the tuned values in <see cref="GameConstants"/>; everything
+/// else the simulation uses stays a constant.
+///
+/// Positional so it goes over the wire as-is, both ways: snapshots carry it to
+/// everyone, and SetMatchRules takes one back from the host — which is why
+/// <see cref="Validate"/> exists. A client can send any numbers it likes.
+/// </summary>
+public record MatchRules(
+    int UnderlingsToBecomeSuper,
+    float HuntDurationSeconds,
+    float SuperSpeedMultiplier,
+    int UnderlingsPerPlayer,
+    float HuntStartGraceSeconds
+)
+{
+    public static readonly MatchRules Default = new(
+        GameConstants.UnderlingsToBecomeSuper,
+        GameConstants.HuntDurationSeconds,
+        GameConstants.SuperSpeedMultiplier,
+        GameConstants.UnderlingsPerPlayer,
+        GameConstants.HuntStartGraceSeconds);
+
+    // Wide enough for a one-minute blitz or a marathon, narrow enough that no
+    // combination stops the game working. A hunter at parity never catches
+    // anyone (see SuperSpeedMultiplier), and a map of more than a couple of
+    // hundred underlings is a steering cost every tick for no extra fun.
+    public const int MinUnderlingsToBecomeSuper = 1;
+    public const int MaxUnderlingsToBecomeSuper = 30;
+    public const float MinHuntDurationSeconds = 30f;
+    public const float MaxHuntDurationSeconds = 600f;
+    public const float MinSuperSpeedMultiplier = 1.05f;
+    public const float MaxSuperSpeedMultiplier = 1.6f;
+    public const int MaxUnderlingsPerPlayer = 40;
+    public const float MaxHuntStartGraceSeconds = 10f;
+
+    /// <summary>
+    /// Null when these can be played, otherwise why not: "OutOfRange" for a
+    /// number outside its bounds, "SwarmTooSmall" when nobody could ever eat
+    /// enough to turn super.
+    /// </summary>
+    public string? Validate()
+    {
+        if (UnderlingsToBecomeSuper is < MinUnderlingsToBecomeSuper or > MaxUnderlingsToBecomeSuper ||
+            !InRange(HuntDurationSeconds, MinHuntDurationSeconds, MaxHuntDurationSeconds) ||
+            !InRange(SuperSpeedMultiplier, MinSuperSpeedMultiplier, MaxSuperSpeedMultiplier) ||
+            UnderlingsPerPlayer is < 1 or > MaxUnderlingsPerPlayer ||
+            !InRange(HuntStartGraceSeconds, 0f, MaxHuntStartGraceSeconds))
+        {
+            return "OutOfRange";
+        }
+
+        // The same constraint GameConstants.UnderlingsPerPlayer documents: in a
+        // two-player match one opponent's swarm is all there is to eat.
+        if (UnderlingsPerPlayer <= UnderlingsToBecomeSuper)
+        {
+            return "SwarmTooSmall";
+        }
+
+        return null;
+    }
+
+    // NaN fails both comparisons, so it is out of range too.
+    private static bool InRange(float value, float min, float max) => value >= min && value <= max;
+}
@@ -13,7 +13,12 @@ public class Player
         Underlings = new List<Underling>();
     }
 
-    public string ConnectionId { get; }
+    /// <summary>
+    /// The player's id everywhere — rosters, snapshots, voice signalling. It is
+    /// the connection's, so it changes when a dropped player rejoins their
+    /// seat from a new one; see <see cref="Rebind"/>.
+    /// </summary>
+    public string ConnectionId { get; private set; }
     public string TeamColor { get; }
     /// <summary>
     /// Settable, because an invite link auto-joins the moment the page connects
@@ -59,7 +64,6 @@ public class Player
     public Leader Leader { get; }
     public List<Underling> Underlings { get; }
     public Direction PendingDirection { get; set; } = Direction.None;
-    public DateTime LastInputAtUtc { get; private set; } = DateTime.UtcNow;
 
     // Assigned in join order; indexes into Level.SpawnPoints so a player keeps
     // the same starting corner across rematches.
@@ -80,11 +84,23 @@ public class Player
     /// </summary>
     public bool IsDead { get; set; }
 
-    /// <summary>Rounds won by catching everyone before the clock ran out.</summary>
+    /// <summary>
+    /// Matches won in the room's current series. Cleared when a new series
+    /// starts, which with the default best-of-one is every match.
+    /// </summary>
     public int Wins { get; set; }
 
-    public float CurrentSpeed => IsSuper
-        ? GameConstants.LeaderSpeed * GameConstants.SuperSpeedMultiplier
+    /// <summary>
+    /// The <see cref="Services.Leaderboard"/> key of the profile this player
+    /// plays as, or null to play unranked. Never sent to anyone.
+    /// </summary>
+    public string? ProfileKey { get; set; }
+
+    /// <summary>This match so far, for the summary at the end of it.</summary>
+    public PlayerMatchStats Stats { get; } = new();
+
+    public float SpeedUnder(MatchRules rules) => IsSuper
+        ? GameConstants.LeaderSpeed * rules.SuperSpeedMultiplier
         : GameConstants.LeaderSpeed;
 
     /// <summary>
@@ -97,9 +113,123 @@ public class Player
         IsSuper = false;
     }
 
-    public void UpdateInput(Direction direction)
+    // ---- Input acknowledgement --------------------------------------------
+    // Snapshots echo these back so the owning client can rebuild its predicted
+    // position from the server's: start at the acknowledged position, then
+    // re-run whatever it has sent since.
+
+    /// <summary>Sequence number of the newest Move applied.</summary>
+    public long LastInputSequence { get; private set; }
+
+    /// <summary>
+    /// The sender's clock (performance.now(), ms) when that Move was sent. Not
+    /// comparable with server time without the client's offset; kept for
+    /// anything that needs to know when the player acted rather than when the
+    /// server heard about it.
+    /// </summary>
+    public double LastInputClientTime { get; private set; }
+
+    /// <summary>
+    /// Simulated seconds the leader has moved under the newest Move. The client
+    /// has already drawn that much of it, so replay skips it.
+    /// </summary>
+    public float SecondsOnInput { get; private set; }
+
+    /// <summary>
+    /// Applies a Move. Returns false for one older than what is applied: the
+    /// transport can deliver out of order, and a late "left" must not undo the
+    /// "up" that replaced it. The same number again is the client's keep-alive
+    /// resend: accepted, so the room counts it as activity, but it changes
+    /// nothing here.
+    /// </summary>
+    public bool UpdateInput(Direction direction, long sequence, double clientTime)
     {
+        if (sequence < LastInputSequence)
+        {
+            return false;
+        }
+
+        if (sequence == LastInputSequence)
+        {
+            return true;
+        }
+
         PendingDirection = direction;
-        LastInputAtUtc = DateTime.UtcNow;
+        LastInputSequence = sequence;
+        LastInputClientTime = clientTime;
+        SecondsOnInput = 0f;
+        return true;
+    }
+
+    /// <summary>Called once per simulation step the leader moves in.</summary>
+    public void NoteSimulated(float deltaSeconds) => SecondsOnInput += deltaSeconds;
+
+    // ---- Lag compensation -------------------------------------------------
+
+    /// <summary>
+    /// How far in the past this player's screen shows everyone else, and so
+    /// how far back their targets are rewound when they eat or catch: their
+    /// round trip (their own leader runs ahead by the trip up, others arrive
+    /// after the trip down) plus the client's interpolation delay. Zero until
+    /// the client reports, which judges them as the server sees it.
+    /// </summary>
+    public float ViewLagSeconds { get; private set; }
+
+    public bool HasReportedLag { get; private set; }
+
+    /// <summary>
+    /// How far past touching this player's eats and catches still land: a
+    /// little for tick rounding once their targets are rewound, the old wider
+    /// allowance while they are not.
+    /// </summary>
+    public float HitForgiveness => HasReportedLag
+        ? GameConstants.HitForgivenessRadius
+        : GameConstants.UnreportedLagForgivenessRadius;
+
+    public void ReportLatency(double roundTripMs, double interpolationDelayMs)
+    {
+        if (!double.IsFinite(roundTripMs) || !double.IsFinite(interpolationDelayMs)) return;
+        var seconds = (Math.Max(0, roundTripMs) + Math.Max(0, interpolationDelayMs)) / 1000.0;
+        ViewLagSeconds = (float)Math.Min(seconds, GameConstants.MaxRewindSeconds);
+        HasReportedLag = true;
+    }
+
+    // ---- Reconnection ------------------------------------------------------
+
+    /// <summary>
+    /// Proof that a new connection is this player come back. Issued to the
+    /// client when it takes the seat and never sent to anyone else.
+    /// </summary>
+    public string ReconnectToken { get; } =
+        Convert.ToHexString(System.Security.Cryptography.RandomNumberGenerator.GetBytes(16)).ToLowerInvariant();
+
+    /// <summary>When the connection dropped, while the seat is held for them; null otherwise.</summary>
+    public DateTime? DisconnectedAtUtc { get; private set; }
+
+    public bool IsAway => DisconnectedAtUtc is not null;
+
+    /// <summary>
+    /// Holds the seat. The leader stops where it is rather than running on
+    /// under the last key held, which would walk it into the hunter.
+    /// </summary>
+    public void Disconnect(DateTime nowUtc)
+    {
+        DisconnectedAtUtc = nowUtc;
+        PendingDirection = Direction.None;
+    }
+
+    /// <summary>
+    /// Hands the seat to <paramref name="connectionId"/>. Only the room may
+    /// call this: it keys its players by id, and re-keys them with it.
+    /// </summary>
+    internal void Rebind(string connectionId)
+    {
+        ConnectionId = connectionId;
+        DisconnectedAtUtc = null;
+        Leader.OwnerId = connectionId;
+        foreach (var underling in Underlings)
+        {
+            underling.OwnerId = connectionId;
+        }
     }
 }
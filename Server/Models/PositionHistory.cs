@@ -0,0 +1,76 @@
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// Where every creature in a room was at the end of each of the last few
+/// ticks — what the snapshots said — so catches and eats can be judged
+/// against where the hunter saw its target rather than where it is now.
+/// Timed on the room's match clock; guarded by the room's state lock.
+/// </summary>
+public sealed class PositionHistory
+{
+    // A tick's worth and more past the furthest anyone may be rewound, so
+    // there is a frame on each side of any time asked for even when a tick
+    // runs short.
+    private const int Capacity = (int)(GameConstants.MaxRewindSeconds / GameConstants.TickDeltaSeconds) + 3;
+
+    // A ring, written over in place: each frame keeps its dictionary, so a
+    // tick records without allocating once the room has had its first few.
+    private readonly Frame[] _frames = Enumerable.Range(0, Capacity).Select(_ => new Frame()).ToArray();
+    private int _newest = -1;
+    private int _count;
+
+    private sealed class Frame
+    {
+        public float Time;
+        public readonly Dictionary<Guid, Vector2> Positions = new();
+    }
+
+    public void Record(float time, IEnumerable<Player> players)
+    {
+        _newest = (_newest + 1) % Capacity;
+        _count = Math.Min(_count + 1, Capacity);
+        var frame = _frames[_newest];
+        frame.Time = time;
+        frame.Positions.Clear();
+        foreach (var player in players)
+        {
+            frame.Positions[player.Leader.Id] = player.Leader.Position;
+            foreach (var underling in player.Underlings)
+            {
+                frame.Positions[underling.Id] = underling.Position;
+            }
+        }
+    }
+
+    public void Clear() => _count = 0;
+
+    /// <summary>The frame <paramref name="ticksAgo"/> before the newest.</summary>
+    private Frame Back(int ticksAgo) => _frames[(_newest - ticksAgo + Capacity) % Capacity];
+
+    /// <summary>
+    /// Where <paramref name="entity"/> was <paramref name="secondsAgo"/>
+    /// before <paramref name="now"/>, between the two ticks either side.
+    /// Where it is now when that is more recent than the last tick, and the
+    /// furthest back it is known when the history does not reach.
+    /// </summary>
+    public Vector2 PositionOf(GameEntity entity, float secondsAgo, float now)
+    {
+        var time = now - secondsAgo;
+        Frame? after = null;
+        for (var i = 0; i < _count; i++)
+        {
+            var frame = Back(i);
+            if (!frame.Positions.TryGetValue(entity.Id, out var position)) break;
+            if (frame.Time <= time)
+            {
+                if (after is null) return entity.Position;
+                var span = after.Time - frame.Time;
+                var t = span > 0f ? (time - frame.Time) / span : 1f;
+                return position + (after.Positions[entity.Id] - position) * t;
+            }
+            after = frame;
+        }
+
+        return after?.Positions[entity.Id] ?? entity.Position;
+    }
+}
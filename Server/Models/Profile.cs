@@ -0,0 +1,33 @@
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// What a browser that keeps a profile says about itself after connecting.
+/// The token is the profile: random, made by the browser, kept in its
+/// storage and never shown to anyone else. Color is a preference, honoured
+/// when nobody in the room has it yet. Both are optional; a browser without
+/// a profile plays exactly as before and stays off the ladder.
+/// </summary>
+public record ProfileDto(string? Token, string? Color);
+
+/// <summary>
+/// One line of the ladder. Names and colours are whatever the player last
+/// played under; IsYou marks the caller's own line, since nothing else in
+/// it identifies a profile.
+/// </summary>
+public record LeaderboardEntryDto(
+    int Rank,
+    string DisplayName,
+    string TeamColor,
+    int Matches,
+    int Wins,
+    int Supers,
+    int Catches,
+    bool IsYou
+);
+
+/// <summary>The top of the ladder, and the caller's own line if it is further down.</summary>
+public record LeaderboardDto(
+    IReadOnlyList<LeaderboardEntryDto> Top,
+    LeaderboardEntryDto? You,
+    int Players
+);
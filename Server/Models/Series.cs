@@ -0,0 +1,93 @@
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// What a player did in one match, kept on the player while it runs and
+/// copied into the <see cref="MatchSummaryDto"/> when it ends.
+/// </summary>
+public sealed class PlayerMatchStats
+{
+    /// <summary>Hunts this player led.</summary>
+    public int TimesSuper { get; set; }
+
+    /// <summary>Leaders this player caught as the super.</summary>
+    public int Catches { get; set; }
+
+    /// <summary>Match time spent not caught. Everyone alive at the end has the full length.</summary>
+    public float SecondsAlive { get; set; }
+
+    /// <summary>Underlings eaten over every round, not just toward the current threshold.</summary>
+    public int UnderlingsEaten { get; set; }
+
+    public float SecondsAsSuper { get; set; }
+
+    /// <summary>Hunt time survived as prey — the clock only runs while a super is after you.</summary>
+    public float SecondsAliveInHunt { get; set; }
+
+    /// <summary>How far the leader moved, in world units, walls and shoves included.</summary>
+    public float DistanceTravelled { get; set; }
+
+    /// <summary>
+    /// The narrowest gap, edge to edge, a super left between itself and this
+    /// leader without catching it. Null until a super has chased them outside
+    /// the grace period — standing next to a hunter who cannot bite yet is
+    /// not an escape.
+    /// </summary>
+    public float? ClosestEscape { get; set; }
+
+    public void NoteEscape(float gap)
+    {
+        if (ClosestEscape is null || gap < ClosestEscape) ClosestEscape = gap;
+    }
+
+    public void Reset()
+    {
+        TimesSuper = 0;
+        Catches = 0;
+        SecondsAlive = 0f;
+        UnderlingsEaten = 0;
+        SecondsAsSuper = 0f;
+        SecondsAliveInHunt = 0f;
+        DistanceTravelled = 0f;
+        ClosestEscape = null;
+    }
+}
+
+/// <summary>
+/// One player's line in a finished match. The name and colour are copied in,
+/// like chat, so the series history still reads correctly after they leave.
+/// </summary>
+public record MatchPlayerSummaryDto(
+    string ConnectionId,
+    string DisplayName,
+    string TeamColor,
+    bool Won,
+    int TimesSuper,
+    int Catches,
+    float SecondsAlive,
+    int UnderlingsEaten,
+    float SecondsAsSuper,
+    float SecondsAliveInHunt,
+    float DistanceTravelled,
+    float? ClosestEscape
+);
+
+/// <summary>A finished match of a series. WinnerId is null for a draw.</summary>
+public record MatchSummaryDto(
+    int Match,
+    string? WinnerId,
+    float DurationSeconds,
+    IReadOnlyList<MatchPlayerSummaryDto> Players
+);
+
+/// <summary>
+/// The room's series so far: best of <paramref name="Length"/>, on match
+/// <paramref name="Match"/>, with a winner once someone has a majority (or
+/// the matches have run out). Sent with GameOver and to anyone joining; the
+/// running wins are on each player in every snapshot.
+/// </summary>
+public record SeriesDto(
+    int Length,
+    int Match,
+    string? WinnerId,
+    IReadOnlyList<MatchSummaryDto> Matches
+);
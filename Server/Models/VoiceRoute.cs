@@ -0,0 +1,29 @@
+using System.Text.Json.Serialization;
+
+namespace SwarmAndSnack.Server.Models;
+
+/// <summary>
+/// How a room's voice gets from player to player. A mesh is a direct call
+/// between every pair of players; through the forwarder, each player sends
+/// one stream to a media server and plays everyone else's back from it.
+/// </summary>
+public static class VoiceTransport
+{
+    public const string Mesh = "mesh";
+    public const string Forwarded = "sfu";
+
+    public static bool IsKnown(string? value) => value is Mesh or Forwarded;
+}
+
+/// <summary>
+/// What GetVoiceRoute returns. The URLs are only filled in for a room that
+/// uses the forwarder: PublishUrl is where the caller sends their own voice,
+/// and SubscribeUrlTemplate has "{player}" where a connection id goes to play
+/// that player back.
+/// </summary>
+public record VoiceRouteDto(
+    string Transport,
+    bool ForwarderAvailable,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] string? PublishUrl = null,
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)] string? SubscribeUrlTemplate = null
+);
@@ -3,7 +3,15 @@ using SwarmAndSnack.Server.Services;
 
 var builder = WebApplication.CreateBuilder(args);
 
-builder.Services.AddSignalR();
+// JSON stays available alongside MessagePack: the client picks one in the
+// handshake, and the diagnostic page (and any browser that could not load the
+// MessagePack script) keeps using JSON.
+builder.Services.AddSignalR()
+    .AddMessagePackProtocol(options =>
+    {
+        options.SerializerOptions = options.SerializerOptions.WithResolver(
+            SnapshotWireFormat.Resolver(options.SerializerOptions.Resolver));
+    });
 builder.Services.AddCors(options =>
 {
     options.AddPolicy("ClientCors", policy =>
@@ -41,7 +49,10 @@ builder.Services.AddCors(options =>
     });
 });
 
+builder.Services.AddSingleton<Leaderboard>();
 builder.Services.AddSingleton<GameManager>();
+builder.Services.AddSingleton<IceServerProvider>();
+builder.Services.AddSingleton<VoiceForwarder>();
 builder.Services.AddHostedService<GameLoopService>();
 
 var app = builder.Build();
@@ -0,0 +1,69 @@
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// What one recipient is sent of a snapshot: full detail around a playing
+/// leader, every other leader as a coarse dot, and everything for anyone
+/// else (spectators, the dead, the lobby, a finished match).
+/// </summary>
+public static class AreaOfInterest
+{
+    /// <summary>
+    /// <paramref name="state"/> as <paramref name="connectionId"/> sees it:
+    /// the same instance when they see everything. Worked out from the
+    /// snapshot alone, never remembered, so a baseline's view is exactly what
+    /// was sent with it and the delta between two views is exact.
+    /// </summary>
+    public static GameStateDto For(GameStateDto state, string connectionId)
+    {
+        if (!state.Room.IsActive || state.Room.WinnerId is not null) return state;
+
+        var self = state.Players.FirstOrDefault(p => p.ConnectionId == connectionId);
+        if (self is null || self.IsDead) return state;
+
+        // Where the client's camera would be: centred on the leader but
+        // stopped at the world's edges, so a leader in a corner still gets
+        // the whole screen's worth. The client's camera follows its
+        // optimistic leader, a little ahead of this one, and draws others a
+        // little in the past; InterestMargin covers both.
+        var left = Math.Clamp(self.Leader.X - GameConstants.ViewWidth / 2, 0, Math.Max(0, state.WorldWidth - GameConstants.ViewWidth));
+        var top = Math.Clamp(self.Leader.Y - GameConstants.ViewHeight / 2, 0, Math.Max(0, state.WorldHeight - GameConstants.ViewHeight));
+        var view = new View(
+            left - GameConstants.InterestMargin,
+            top - GameConstants.InterestMargin,
+            left + GameConstants.ViewWidth + GameConstants.InterestMargin,
+            top + GameConstants.ViewHeight + GameConstants.InterestMargin);
+
+        var players = state.Players
+            .Select(p => p.ConnectionId == connectionId ? p : Seen(p, view))
+            .ToList();
+        return state with { Players = players };
+    }
+
+    private readonly record struct View(float Left, float Top, float Right, float Bottom)
+    {
+        public bool Contains(EntityStateDto e) => e.X >= Left && e.X <= Right && e.Y >= Top && e.Y <= Bottom;
+    }
+
+    private static PlayerStateDto Seen(PlayerStateDto player, View view)
+    {
+        var leader = view.Contains(player.Leader) ? player.Leader : Coarse(player.Leader);
+        var underlings = player.Underlings.Where(view.Contains).ToList();
+        return player with { Leader = leader, Underlings = underlings };
+    }
+
+    // Snapped to a grid and standing still, so a far-off leader only shows
+    // up in a delta when it crosses a cell.
+    private static EntityStateDto Coarse(EntityStateDto leader)
+    {
+        const float grid = GameConstants.CoarseLeaderGrid;
+        return leader with
+        {
+            X = MathF.Round(leader.X / grid) * grid,
+            Y = MathF.Round(leader.Y / grid) * grid,
+            Vx = 0,
+            Vy = 0,
+        };
+    }
+}
@@ -11,17 +11,20 @@ public class GameManager
 {
     private readonly ConcurrentDictionary<string, GameRoom> _rooms = new();
     private readonly IHubContext<GameHub> _hubContext;
+    private readonly Leaderboard _leaderboard;
     private readonly ILogger<GameManager> _logger;
 
-    public GameManager(IHubContext<GameHub> hubContext, ILogger<GameManager> logger)
+    public GameManager(IHubContext<GameHub> hubContext, Leaderboard leaderboard, ILogger<GameManager> logger)
     {
         _hubContext = hubContext;
+        _leaderboard = leaderboard;
         _logger = logger;
     }
 
     public IReadOnlyDictionary<string, GameRoom> Rooms => _rooms;
 
-    public (GameRoom room, Player player) CreateRoom(string connectionId, string? displayName)
+    public (GameRoom room, Player player) CreateRoom(
+        string connectionId, string? displayName, string? preferredColor = null, string? profileKey = null)
     {
         string roomId;
         do
@@ -31,16 +34,19 @@ public class GameManager
         while (_rooms.ContainsKey(roomId));
 
         var room = new GameRoom(roomId);
-        var player = CreatePlayer(connectionId, ColorKeyForIndex(0), displayName);
+        var player = CreatePlayer(connectionId, PickColor(room, 0, preferredColor), displayName);
         player.SpawnIndex = 0;
+        player.ProfileKey = profileKey;
         room.TryAddPlayer(player);
-        InitializePlayerEntities(player, player.SpawnIndex, room.EffectiveWorldWidth);
+        InitializePlayerEntities(player, player.SpawnIndex, room.EffectiveWorldWidth, room.Rules.UnderlingsPerPlayer);
         _rooms[roomId] = room;
         _logger.LogInformation("Created room {RoomId} by {ConnectionId}", roomId, connectionId);
         return (room, player);
     }
 
-    public bool TryJoinRoom(string roomId, string connectionId, string? displayName, out Player? player, out string? error)
+    public bool TryJoinRoom(
+        string roomId, string connectionId, string? displayName, out Player? player, out string? error,
+        string? preferredColor = null, string? profileKey = null)
     {
         player = null;
         error = null;
@@ -64,11 +70,13 @@ public class GameManager
             return false;
         }
 
-        player = CreatePlayer(connectionId, ColorKeyForIndex(existingCount), displayName);
+        player = CreatePlayer(connectionId, PickColor(room, existingCount, preferredColor), displayName);
         player.SpawnIndex = existingCount;
+        player.ProfileKey = ProfileKeyFreeIn(room, profileKey) ? profileKey : null;
         // The joiner may be the one that opens the right half, so size for the
         // roster this player is about to join.
-        InitializePlayerEntities(player, player.SpawnIndex, Level.WorldWidthFor(existingCount + 1));
+        InitializePlayerEntities(
+            player, player.SpawnIndex, Level.WorldWidthFor(existingCount + 1), room.Rules.UnderlingsPerPlayer);
 
         if (!room.TryAddPlayer(player))
         {
@@ -76,6 +84,9 @@ public class GameManager
             return false;
         }
 
+        // A spectator stepping in to play stops being one.
+        room.RemoveSpectator(connectionId);
+
         _logger.LogInformation("Player {ConnectionId} joined room {RoomId}", connectionId, roomId);
         return true;
     }
@@ -86,9 +97,94 @@ public class GameManager
         return keys[index % keys.Length];
     }
 
+    /// <summary>
+    /// The joiner's preferred colour if nobody in the room has it, otherwise
+    /// the join-order colour, otherwise the first one free — two players the
+    /// same colour cannot be told apart on the map.
+    /// </summary>
+    private static string PickColor(GameRoom room, int index, string? preferred)
+    {
+        var taken = room.Players.Select(p => p.TeamColor).ToHashSet();
+        if (preferred is not null && GameConstants.PlayerColorKeys.Contains(preferred) && !taken.Contains(preferred))
+        {
+            return preferred;
+        }
+
+        var byIndex = ColorKeyForIndex(index);
+        return taken.Contains(byIndex)
+            ? GameConstants.PlayerColorKeys.FirstOrDefault(k => !taken.Contains(k)) ?? byIndex
+            : byIndex;
+    }
+
+    /// <summary>
+    /// One profile per room. Two tabs on the same profile could otherwise
+    /// play each other and farm the ladder; the second just plays unranked.
+    /// </summary>
+    private static bool ProfileKeyFreeIn(GameRoom room, string? profileKey, string? exceptConnectionId = null) =>
+        profileKey is null || !room.Players.Any(p => p.ProfileKey == profileKey && p.ConnectionId != exceptConnectionId);
+
+    /// <summary>
+    /// A profile turned on, or off, after joining. Only between matches: a
+    /// match is ranked as whoever started it, not whoever it ended with.
+    /// </summary>
+    public bool TrySetProfileKey(string roomId, string connectionId, string? profileKey)
+    {
+        if (!_rooms.TryGetValue(roomId, out var room)) return false;
+
+        lock (room.SyncRoot)
+        {
+            if (room.IsActive) return false;
+            if (!room.TryGetPlayer(connectionId, out var player) || player is null) return false;
+            if (!ProfileKeyFreeIn(room, profileKey, connectionId)) return false;
+            player.ProfileKey = profileKey;
+            return true;
+        }
+    }
+
+    public LeaderboardDto Leaderboard(string? viewerKey) => _leaderboard.Snapshot(viewerKey);
+
     public bool TryGetRoom(string roomId, out GameRoom? room) => _rooms.TryGetValue(roomId, out room);
 
-    public bool TryRegisterMove(string roomId, string connectionId, Direction direction)
+    /// <summary>
+    /// Watch a room without playing in it. Unlike joining, this works mid-match
+    /// and in a full room: a spectator has no leader, takes no spawn slot and
+    /// only ever reads the snapshot feed.
+    /// </summary>
+    public bool TrySpectateRoom(string roomId, string connectionId, out string? error)
+    {
+        error = null;
+
+        if (!_rooms.TryGetValue(roomId, out var room))
+        {
+            error = "RoomNotFound";
+            return false;
+        }
+
+        if (room.TryGetPlayer(connectionId, out _))
+        {
+            error = "AlreadyPlaying";
+            return false;
+        }
+
+        if (room.IsSpectator(connectionId))
+        {
+            return true;
+        }
+
+        if (!room.TryAddSpectator(connectionId))
+        {
+            error = "SpectatorsFull";
+            return false;
+        }
+
+        _logger.LogInformation("Spectator {ConnectionId} joined room {RoomId}", connectionId, roomId);
+        return true;
+    }
+
+    public bool IsSpectating(string roomId, string connectionId) =>
+        _rooms.TryGetValue(roomId, out var room) && room.IsSpectator(connectionId);
+
+    public bool TryRegisterMove(string roomId, string connectionId, Direction direction, long sequence, double clientTime)
     {
         if (!_rooms.TryGetValue(roomId, out var room))
         {
@@ -100,11 +196,43 @@ public class GameManager
             return false;
         }
 
-        player.UpdateInput(direction);
+        // A client that ignores the room option stops rather than gaining an
+        // axis the others do not have.
+        if (direction.IsDiagonal() && !room.EightWayMovement)
+        {
+            direction = Direction.None;
+        }
+
+        // Under the room lock: the sequence and the seconds under it are read
+        // together into each snapshot and must not straddle a tick.
+        lock (room.SyncRoot)
+        {
+            if (!player.UpdateInput(direction, sequence, clientTime))
+            {
+                return false;
+            }
+        }
         room.Touch();
         return true;
     }
 
+    /// <summary>
+    /// What the caller's client measures: its round trip and how far behind
+    /// the newest snapshot it draws everyone. Bounded by the player.
+    /// </summary>
+    public void ReportLatency(string roomId, string connectionId, double roundTripMs, double interpolationDelayMs)
+    {
+        if (!_rooms.TryGetValue(roomId, out var room) || !room.TryGetPlayer(connectionId, out var player) || player is null)
+        {
+            return;
+        }
+
+        lock (room.SyncRoot)
+        {
+            player.ReportLatency(roundTripMs, interpolationDelayMs);
+        }
+    }
+
     /// <summary>
     /// Removes a player from one specific room. Distinct from HandleDisconnect,
     /// which sweeps every room — that is wrong when someone is moving between
@@ -113,22 +241,29 @@ public class GameManager
     public void LeaveRoom(string roomId, string connectionId)
     {
         if (!_rooms.TryGetValue(roomId, out var room)) return;
+        if (room.RemoveSpectator(connectionId)) return;
         if (!room.RemovePlayer(connectionId)) return;
 
         _logger.LogInformation("Player {ConnectionId} left room {RoomId}", connectionId, roomId);
+        AfterPlayerRemoved(room);
+    }
 
+    // Only end the match if a single player is left standing; with more
+    // players still present, the free-for-all keeps going.
+    private void AfterPlayerRemoved(GameRoom room)
+    {
         lock (room.SyncRoot)
         {
             if (room.IsActive && room.PlayerCount == 1)
             {
-                room.Stop(room.Players.First().ConnectionId);
+                EndMatch(room, room.Players.ToList(), room.Players.First());
             }
         }
 
         if (room.IsEmpty)
         {
-            _rooms.TryRemove(roomId, out _);
-            _logger.LogInformation("Removed empty room {RoomId}", roomId);
+            _rooms.TryRemove(room.Id, out _);
+            _logger.LogInformation("Removed empty room {RoomId}", room.Id);
         }
     }
 
@@ -141,34 +276,263 @@ public class GameManager
         return true;
     }
 
-    public void HandleDisconnect(string connectionId)
+    /// <summary>
+    /// Posts a chat line from a player. Spectators read the room's chat but do
+    /// not write to it: they have no name or colour to be shown under, and
+    /// the players are the ones who need to talk.
+    /// </summary>
+    public bool TryPostChat(string roomId, string connectionId, string? text, out ChatMessageDto? message, out string? error)
     {
+        message = null;
+        error = null;
+        if (!_rooms.TryGetValue(roomId, out var room))
+        {
+            error = "RoomNotFound";
+            return false;
+        }
+
+        if (!room.TryGetPlayer(connectionId, out var player) || player is null)
+        {
+            error = room.IsSpectator(connectionId) ? "Spectating" : "NotInRoom";
+            return false;
+        }
+
+        var clean = ChatText.Sanitise(text);
+        if (clean is null)
+        {
+            error = "Empty";
+            return false;
+        }
+
+        message = room.TryAddChat(player, clean, DateTime.UtcNow);
+        if (message is null)
+        {
+            error = "RateLimited";
+            return false;
+        }
+
+        room.Touch();
+        return true;
+    }
+
+    public IReadOnlyList<ChatMessageDto> ChatHistory(string roomId) =>
+        _rooms.TryGetValue(roomId, out var room) ? room.ChatHistory() : Array.Empty<ChatMessageDto>();
+
+    /// <summary>
+    /// A connection dropped. A spectator is simply gone; a player's seat is
+    /// held for <see cref="GameConstants.ReconnectGrace"/>, leader idle, for
+    /// <see cref="TryRejoin"/> — the tick lets it go after that — and the
+    /// host, if it was theirs, passes to someone connected. Returns true when
+    /// a seat is being held.
+    /// </summary>
+    public bool HandleDisconnect(string connectionId)
+    {
+        var held = false;
         foreach (var (roomId, room) in _rooms)
         {
-            if (!room.TryGetPlayer(connectionId, out _))
+            if (room.RemoveSpectator(connectionId))
             {
                 continue;
             }
 
-            room.RemovePlayer(connectionId);
-            _logger.LogInformation("Removed player {ConnectionId} from room {RoomId}", connectionId, roomId);
+            if (!room.TryGetPlayer(connectionId, out var player) || player is null)
+            {
+                continue;
+            }
 
             lock (room.SyncRoot)
             {
-                // Only end the match if a single player is left standing; with more
-                // players still present, the free-for-all keeps going.
-                if (room.IsActive && room.PlayerCount == 1)
-                {
-                    var remaining = room.Players.First();
-                    room.Stop(remaining.ConnectionId);
-                }
+                player.Disconnect(DateTime.UtcNow);
+                room.PassHostFrom(connectionId);
+            }
+            held = true;
+            _logger.LogInformation("Holding the seat of {ConnectionId} in room {RoomId}", connectionId, roomId);
+        }
+        return held;
+    }
+
+    /// <summary>
+    /// Puts <paramref name="connectionId"/> back in the seat
+    /// <paramref name="reconnectToken"/> was issued for. The player keeps
+    /// everything — colour, spawn, score, swarm, the series — and takes the
+    /// new connection's id; <paramref name="previousId"/> is the one they had.
+    /// Works whether or not the server has noticed the old connection drop.
+    /// </summary>
+    public bool TryRejoin(
+        string roomId, string? reconnectToken, string connectionId,
+        out Player? player, out string? previousId, out string? error)
+    {
+        player = null;
+        previousId = null;
+        error = null;
+
+        if (!_rooms.TryGetValue(roomId, out var room))
+        {
+            error = "RoomNotFound";
+            return false;
+        }
+
+        lock (room.SyncRoot)
+        {
+            var seat = string.IsNullOrEmpty(reconnectToken)
+                ? null
+                : room.Players.FirstOrDefault(p => p.ReconnectToken == reconnectToken);
+            if (seat is null)
+            {
+                error = "SeatExpired";
+                return false;
+            }
+
+            previousId = seat.ConnectionId;
+            if (previousId != connectionId && !room.RebindPlayer(previousId, connectionId))
+            {
+                error = "AlreadyInRoom";
+                return false;
+            }
+            player = seat;
+        }
+
+        room.RemoveSpectator(connectionId);
+        _logger.LogInformation(
+            "Player {PreviousId} rejoined room {RoomId} as {ConnectionId}", previousId, roomId, connectionId);
+        return true;
+    }
+
+    // Seats nobody came back for, let go the way a leave would be.
+    private List<string> ExpireHeldSeats(GameRoom room, DateTime nowUtc)
+    {
+        List<string> expired;
+        lock (room.SyncRoot)
+        {
+            expired = room.Players
+                .Where(p => nowUtc - p.DisconnectedAtUtc > GameConstants.ReconnectGrace)
+                .Select(p => p.ConnectionId)
+                .ToList();
+        }
+
+        foreach (var connectionId in expired)
+        {
+            if (!room.RemovePlayer(connectionId)) continue;
+            _logger.LogInformation("Seat of {ConnectionId} in room {RoomId} expired", connectionId, room.Id);
+            AfterPlayerRemoved(room);
+        }
+        return expired;
+    }
+
+    /// <summary>
+    /// Host-only, and only between matches: switching movement models under
+    /// people mid-chase would be a different game from the one they started.
+    /// </summary>
+    public bool TrySetEightWayMovement(string roomId, string connectionId, bool enabled, out string? error) =>
+        TrySetRoomOption(roomId, connectionId, room => room.EightWayMovement = enabled, out error);
+
+    /// <summary>
+    /// Same rules as the movement option. Hearing the hunter before you see
+    /// them is part of the hunt, so it is fixed for a match like the rest.
+    /// </summary>
+    public bool TrySetProximityVoice(string roomId, string connectionId, bool enabled, out string? error) =>
+        TrySetRoomOption(roomId, connectionId, room => room.ProximityVoice = enabled, out error);
+
+    /// <summary>
+    /// Same rules again. Everyone's calls are rebuilt when it changes, which is
+    /// fine in the lobby and not mid-hunt. Whether a forwarder exists is the
+    /// hub's to check; this only knows the two names.
+    /// </summary>
+    public bool TrySetVoiceTransport(string roomId, string connectionId, string? transport, out string? error)
+    {
+        if (!VoiceTransport.IsKnown(transport))
+        {
+            error = "UnknownTransport";
+            return false;
+        }
+
+        return TrySetRoomOption(roomId, connectionId, room => room.VoiceTransport = transport!, out error);
+    }
+
+    /// <summary>
+    /// Same rules as the other options, and the one where it matters most:
+    /// changing the threshold or the clock mid-hunt would rewrite a race
+    /// people are already running. Checked here, not trusted from the client.
+    /// </summary>
+    public bool TrySetMatchRules(string roomId, string connectionId, MatchRules? rules, out string? error)
+    {
+        error = rules is null ? "OutOfRange" : rules.Validate();
+        if (error is not null)
+        {
+            return false;
+        }
+
+        return TrySetRoomOption(roomId, connectionId, room => room.Rules = rules!, out error);
+    }
+
+    /// <summary>
+    /// Lobby only, like the rest. Changing it mid-series starts a new series
+    /// rather than stretching or cutting the one under way.
+    /// </summary>
+    public bool TrySetSeriesLength(string roomId, string connectionId, int length, out string? error)
+    {
+        if (!GameRoom.SeriesLengths.Contains(length))
+        {
+            error = "OutOfRange";
+            return false;
+        }
+
+        return TrySetRoomOption(roomId, connectionId, room => room.SetSeriesLength(length), out error);
+    }
+
+    public SeriesDto? SeriesFor(string roomId)
+    {
+        if (!_rooms.TryGetValue(roomId, out var room)) return null;
+        lock (room.SyncRoot)
+        {
+            return room.SeriesSnapshot();
+        }
+    }
+
+    /// <summary>The room's voice transport and key, for a player in it; false for anyone else.</summary>
+    public bool TryGetVoiceRoom(string roomId, string connectionId, out string transport, out string voiceKey)
+    {
+        transport = VoiceTransport.Mesh;
+        voiceKey = string.Empty;
+        if (!_rooms.TryGetValue(roomId, out var room) || !room.TryGetPlayer(connectionId, out _))
+        {
+            return false;
+        }
+
+        lock (room.SyncRoot)
+        {
+            transport = room.VoiceTransport;
+            voiceKey = room.VoiceKey;
+            return true;
+        }
+    }
+
+    private bool TrySetRoomOption(string roomId, string connectionId, Action<GameRoom> apply, out string? error)
+    {
+        error = null;
+        if (!_rooms.TryGetValue(roomId, out var room))
+        {
+            error = "RoomNotFound";
+            return false;
+        }
+
+        lock (room.SyncRoot)
+        {
+            if (!room.IsHost(connectionId))
+            {
+                error = "NotHost";
+                return false;
             }
 
-            if (room.IsEmpty)
+            if (room.IsActive)
             {
-                _rooms.TryRemove(roomId, out _);
-                _logger.LogInformation("Removed empty room {RoomId}", roomId);
+                error = "AlreadyStarted";
+                return false;
             }
+
+            apply(room);
+            room.Touch();
+            return true;
         }
     }
 
@@ -192,7 +556,7 @@ public class GameManager
 
             if (!room.CanStart)
             {
-                error = room.PlayerCount < GameConstants.MinPlayersPerRoom
+                error = room.ConnectedPlayerCount < GameConstants.MinPlayersPerRoom
                     ? "NotEnoughPlayers"
                     : "AlreadyStarted";
                 return false;
@@ -208,6 +572,7 @@ public class GameManager
     public async Task TickAsync(double deltaSeconds, CancellationToken cancellationToken)
     {
         var rooms = _rooms.Values.ToList();
+        var nowUtc = DateTime.UtcNow;
         List<Task>? sendTasks = null;
 
         foreach (var room in rooms)
@@ -219,9 +584,24 @@ public class GameManager
                 continue;
             }
 
+            foreach (var playerId in ExpireHeldSeats(room, nowUtc))
+            {
+                // What the hub says when someone leaves, so avatars and voice
+                // peers are dropped the same way.
+                sendTasks ??= new List<Task>(rooms.Count);
+                sendTasks.Add(_hubContext.Clients.Group(room.Id)
+                    .SendAsync("PlayerLeft", new { roomId = room.Id, playerId }, cancellationToken));
+            }
+            if (room.IsEmpty) continue;
+
             GameStateDto state;
+            LevelDto? newLevel;
+            List<(string ConnectionId, GameStateDto State, GameStateDto? Baseline)> recipients;
+            List<string> spectators;
             string? winnerId;
             bool announceResult;
+            SeriesDto? series = null;
+            (long SnapshotId, string? WinnerId, SeriesDto? Series)? spectatorResult = null;
 
             // Simulation runs under the room lock (fast, CPU-bound); the network
             // broadcasts below are fired without awaiting so all rooms send in
@@ -240,23 +620,82 @@ public class GameManager
                 winnerId = room.WinnerId;
                 announceResult = room.MatchEnded && !room.WinnerBroadcasted;
 
+                newLevel = RefreshLevel(room);
                 state = BuildStateSnapshot(room);
+                room.RememberSnapshot(state);
+                var spectated = SpectatedSnapshot(room, state);
+                recipients = room.Members
+                    .Select(id => (Id: id, State: room.IsSpectator(id) ? spectated : state))
+                    .Where(r => r.State is not null)
+                    .Select(r => (r.Id, r.State!, room.BaselineFor(r.Id, r.State!.SnapshotId)))
+                    .ToList();
+                spectators = room.Spectators.ToList();
 
                 if (announceResult)
                 {
                     room.MarkWinnerBroadcasted();
+                    series = room.SeriesSnapshot();
+                    // Spectators are told once they have watched it happen.
+                    room.SpectatorResult = (state.SnapshotId, winnerId, series);
+                }
+                if (room.SpectatorResult is { } held && spectated?.SnapshotId >= held.SnapshotId)
+                {
+                    spectatorResult = held;
+                    room.SpectatorResult = null;
                 }
             }
 
             sendTasks ??= new List<Task>(rooms.Count);
-            sendTasks.Add(_hubContext.Clients.Group(room.Id)
-                .SendAsync("GameStateUpdated", state, cancellationToken));
+            if (newLevel is not null)
+            {
+                // Ahead of the snapshot that first refers to it.
+                sendTasks.Add(_hubContext.Clients.Group(room.Id)
+                    .SendAsync("LevelUpdated", newLevel, cancellationToken));
+            }
+
+            // Each member gets the change since the last snapshot it
+            // acknowledged, of what it can see. Players mid-match each have a
+            // view of their own; everyone who sees the whole room shares a
+            // snapshot and a baseline with most of the others, so those deltas
+            // are built once per pair. Only the input acknowledgement is per
+            // member.
+            var deltas = new Dictionary<(long, long), SnapshotDto>();
+            foreach (var (connectionId, sent, baseline) in recipients)
+            {
+                var view = AreaOfInterest.For(sent, connectionId);
+                var baselineView = baseline is null ? null : AreaOfInterest.For(baseline, connectionId);
+                SnapshotDto? delta;
+                if (ReferenceEquals(view, sent) && ReferenceEquals(baselineView, baseline))
+                {
+                    var key = (sent.SnapshotId, baseline?.SnapshotId ?? 0);
+                    if (!deltas.TryGetValue(key, out delta))
+                    {
+                        delta = SnapshotDelta.Between(room.Id, sent, baseline);
+                        deltas[key] = delta;
+                    }
+                }
+                else
+                {
+                    delta = SnapshotDelta.Between(room.Id, view, baselineView);
+                }
+                sendTasks.Add(_hubContext.Clients.Client(connectionId)
+                    .SendAsync("GameStateUpdated", SnapshotDelta.For(delta, sent, connectionId), cancellationToken));
+            }
 
             if (announceResult)
             {
-                // winnerId may be null on a simultaneous knockout (draw).
-                sendTasks.Add(_hubContext.Clients.Group(room.Id)
-                    .SendAsync("GameOver", new { winnerId }, cancellationToken));
+                // winnerId may be null on a simultaneous knockout (draw). stats
+                // is the match just finished — also the last of series.matches,
+                // but named so the result card does not have to know that.
+                var stats = series?.Matches.LastOrDefault();
+                sendTasks.Add(_hubContext.Clients.GroupExcept(room.Id, spectators)
+                    .SendAsync("GameOver", new { winnerId, series, stats }, cancellationToken));
+            }
+            if (spectatorResult is { } result && spectators.Count > 0)
+            {
+                var stats = result.Series?.Matches.LastOrDefault();
+                sendTasks.Add(_hubContext.Clients.Clients(spectators)
+                    .SendAsync("GameOver", new { winnerId = result.WinnerId, series = result.Series, stats }, cancellationToken));
             }
         }
 
@@ -282,7 +721,7 @@ public class GameManager
     /// </summary>
     private static void InitializePlayerEntities(
         Player player, int spawnIndex, float worldWidth,
-        int underlingCount = GameConstants.UnderlingsPerPlayer)
+        int underlingCount)
     {
         // The leader starts in its own room; the swarm is scattered across the
         // whole open world instead of huddling around it, so a swarm can't be
@@ -293,8 +732,7 @@ public class GameManager
         player.Underlings.Clear();
 
         var obstacles = Level.ObstaclesFor(worldWidth);
-        var count = underlingCount > 0 ? underlingCount : GameConstants.UnderlingsPerPlayer;
-        for (var i = 0; i < count; i++)
+        for (var i = 0; i < underlingCount; i++)
         {
             var position = FindScatterPosition(worldWidth, obstacles, spawn);
             var velocity = RandomUnitVector() * GameConstants.UnderlingSpeed;
@@ -396,7 +834,7 @@ public class GameManager
         foreach (var player in room.Players)
         {
             InitializePlayerEntities(
-                player, player.SpawnIndex, worldWidth, GameConstants.UnderlingsPerPlayer);
+                player, player.SpawnIndex, worldWidth, room.Rules.UnderlingsPerPlayer);
         }
         room.Touch();
     }
@@ -411,8 +849,9 @@ public class GameManager
     {
         foreach (var player in room.Players)
         {
-            UpdateLeaderMovement(player);
+            UpdateLeaderMovement(player, room.Rules);
             player.Leader.Advance(deltaSeconds);
+            player.NoteSimulated(deltaSeconds);
             PenInsideOwnRoom(player);
         }
         room.Touch();
@@ -447,10 +886,20 @@ public class GameManager
         var obstacles = Level.ObstaclesFor(worldWidth);
         var thickets = Level.ThicketsFor(worldWidth);
 
+        room.AdvanceMatchClock(deltaSeconds);
+        var hunting = room.Phase == GamePhase.Hunting;
         foreach (var player in players)
         {
-            UpdateLeaderMovement(player);
+            UpdateLeaderMovement(player, room.Rules);
+            if (player.IsDead) continue;
+            player.Stats.SecondsAlive += deltaSeconds;
+            if (player.IsSuper) player.Stats.SecondsAsSuper += deltaSeconds;
+            else if (hunting) player.Stats.SecondsAliveInHunt += deltaSeconds;
         }
+        // Where each leader began the tick, for distance travelled. Measured
+        // after every push below, so it is what the player saw, not just
+        // their steering.
+        var startPositions = players.Select(p => p.Leader.Position).ToList();
 
         foreach (var underling in AllUnderlings(room, players))
         {
@@ -464,6 +913,7 @@ public class GameManager
         foreach (var player in players)
         {
             player.Leader.Advance(deltaSeconds);
+            player.NoteSimulated(deltaSeconds);
             BounceOffWalls(player.Leader, worldWidth);
             ResolveObstacleCollisions(player.Leader, obstacles, bounce: false);
             ResolveThicketCollisions(player.Leader, thickets, bounce: false);
@@ -486,12 +936,19 @@ public class GameManager
             ResolveObstacleCollisions(player.Leader, obstacles, bounce: false);
             ResolveThicketCollisions(player.Leader, thickets, bounce: false);
         }
+        for (var i = 0; i < players.Count; i++)
+        {
+            if (players[i].IsDead) continue;
+            players[i].Stats.DistanceTravelled += Vector2.Distance(startPositions[i], players[i].Leader.Position);
+        }
 
         if (room.Phase == GamePhase.Hunting)
         {
             UpdateHunt(room, players, deltaSeconds);
         }
 
+        // As the snapshot about to go out will have it.
+        room.Positions.Record(room.MatchSeconds, players);
         room.Touch();
     }
 
@@ -512,6 +969,7 @@ public class GameManager
         else
         {
             ResolveSuperCatches(room, players);
+            NoteEscapes(room, players);
         }
 
         var survivors = players.Count(p => !p.IsSuper && !p.IsDead);
@@ -520,9 +978,8 @@ public class GameManager
             var super = players.FirstOrDefault(p => p.IsSuper);
             if (super is not null)
             {
-                super.Wins++;
                 _logger.LogInformation("Room {RoomId}: {Super} caught everyone", room.Id, super.ConnectionId);
-                room.Stop(super.ConnectionId);
+                EndMatch(room, players, super);
             }
             return;
         }
@@ -536,6 +993,43 @@ public class GameManager
         }
     }
 
+    /// <summary>
+    /// Every way a match ends comes through here — a clean sweep, the last
+    /// one standing, or everyone else leaving — so each one counts toward the
+    /// series the same way. A null winner is a draw.
+    /// </summary>
+    private void EndMatch(GameRoom room, IReadOnlyList<Player> players, Player? winner)
+    {
+        if (winner is not null) winner.Wins++;
+
+        var summary = new MatchSummaryDto(
+            room.SeriesMatch,
+            winner?.ConnectionId,
+            room.MatchSeconds,
+            players
+                .Select(p => new MatchPlayerSummaryDto(
+                    p.ConnectionId, p.DisplayName, p.TeamColor, ReferenceEquals(p, winner),
+                    p.Stats.TimesSuper, p.Stats.Catches, p.Stats.SecondsAlive,
+                    p.Stats.UnderlingsEaten, p.Stats.SecondsAsSuper, p.Stats.SecondsAliveInHunt,
+                    p.Stats.DistanceTravelled, p.Stats.ClosestEscape))
+                .ToList());
+        room.RecordMatch(summary);
+        room.Stop(winner?.ConnectionId);
+
+        foreach (var player in players)
+        {
+            if (player.ProfileKey is null) continue;
+            _leaderboard.Record(
+                player.ProfileKey, player.DisplayName, player.TeamColor, ReferenceEquals(player, winner),
+                player.Stats.TimesSuper, player.Stats.Catches);
+        }
+
+        if (room.SeriesWinnerId is not null && room.SeriesLength > 1)
+        {
+            _logger.LogInformation("Room {RoomId}: {Winner} takes the series", room.Id, room.SeriesWinnerId);
+        }
+    }
+
     /// <summary>The super eats leaders on contact. Everyone else just bumps.</summary>
     private void ResolveSuperCatches(GameRoom room, IReadOnlyList<Player> players)
     {
@@ -545,8 +1039,8 @@ public class GameManager
         foreach (var prey in players)
         {
             if (prey.IsSuper || prey.IsDead) continue;
-            var reach = super.Leader.Radius + prey.Leader.Radius + GameConstants.HitForgivenessRadius;
-            if (Vector2.DistanceSquared(super.Leader.Position, prey.Leader.Position) >= reach * reach)
+            var reach = super.Leader.Radius + prey.Leader.Radius + super.HitForgiveness;
+            if (Vector2.DistanceSquared(super.Leader.Position, AsSeenBy(super, prey.Leader, room)) >= reach * reach)
             {
                 continue;
             }
@@ -554,12 +1048,32 @@ public class GameManager
             // Dead for the match, not the round. Their underlings go with them,
             // so the pool shrinks as the field does.
             prey.IsDead = true;
+            super.Stats.Catches++;
             prey.Leader.Velocity = Vector2.Zero;
             prey.Underlings.Clear();
             _logger.LogInformation("Room {RoomId}: {Super} caught {Prey}", room.Id, super.ConnectionId, prey.ConnectionId);
         }
     }
 
+    /// <summary>
+    /// Everyone the super just failed to catch: how close it got. Runs after
+    /// the catches, so the gap is never negative — anyone inside reach is
+    /// already dead.
+    /// </summary>
+    private static void NoteEscapes(GameRoom room, IReadOnlyList<Player> players)
+    {
+        var super = players.FirstOrDefault(p => p.IsSuper);
+        if (super is null) return;
+
+        foreach (var prey in players)
+        {
+            if (prey.IsSuper || prey.IsDead) continue;
+            var reach = super.Leader.Radius + prey.Leader.Radius + super.HitForgiveness;
+            var gap = Vector2.Distance(super.Leader.Position, AsSeenBy(super, prey.Leader, room)) - reach;
+            prey.Stats.NoteEscape(Math.Max(0f, gap));
+        }
+    }
+
     /// <summary>
     /// Turns a player super: the map is swept of underlings and the clock starts.
     /// This is the moment the game changes.
@@ -568,12 +1082,13 @@ public class GameManager
     {
         room.Phase = GamePhase.Hunting;
         room.SuperId = super.ConnectionId;
-        room.HuntSecondsRemaining = GameConstants.HuntDurationSeconds;
-        room.GraceSecondsRemaining = GameConstants.HuntStartGraceSeconds;
+        room.HuntSecondsRemaining = room.Rules.HuntDurationSeconds;
+        room.GraceSecondsRemaining = room.Rules.HuntStartGraceSeconds;
 
         foreach (var player in players)
         {
             player.IsSuper = ReferenceEquals(player, super);
+            if (player.IsSuper) player.Stats.TimesSuper++;
             // No more food: the hunt is only about leaders.
             player.Underlings.Clear();
         }
@@ -592,10 +1107,9 @@ public class GameManager
         if (alive.Count <= 1)
         {
             var winner = alive.FirstOrDefault();
-            if (winner is not null) winner.Wins++;
             _logger.LogInformation(
                 "Room {RoomId}: {Winner} is the last one standing", room.Id, winner?.ConnectionId ?? "(nobody)");
-            room.Stop(winner?.ConnectionId);
+            EndMatch(room, players, winner);
             return;
         }
 
@@ -613,7 +1127,7 @@ public class GameManager
             // A dead player keeps no swarm and takes no further part.
             if (player.IsDead) continue;
             InitializePlayerEntities(
-                player, player.SpawnIndex, worldWidth, GameConstants.UnderlingsPerPlayer);
+                player, player.SpawnIndex, worldWidth, room.Rules.UnderlingsPerPlayer);
         }
     }
 
@@ -653,7 +1167,7 @@ public class GameManager
         return true;
     }
 
-    private static void UpdateLeaderMovement(Player player)
+    private static void UpdateLeaderMovement(Player player, MatchRules rules)
     {
         var desiredVelocity = player.PendingDirection.ToVector();
         if (desiredVelocity.LengthSquared > 0.01f)
@@ -661,7 +1175,7 @@ public class GameManager
             // Speed falls as the belly fills, and Apex clears the penalty. This
             // is the whole reason carrying four is frightening and reaching five
             // feels like relief.
-            desiredVelocity = desiredVelocity.WithLength(player.CurrentSpeed);
+            desiredVelocity = desiredVelocity.WithLength(player.SpeedUnder(rules));
         }
         player.Leader.Velocity = desiredVelocity;
     }
@@ -899,7 +1413,7 @@ public class GameManager
                 EatFrom(player, opponent.Underlings, room);
             }
 
-            if (player.Eaten >= GameConstants.UnderlingsToBecomeSuper)
+            if (player.Eaten >= room.Rules.UnderlingsToBecomeSuper)
             {
                 BecomeSuper(room, players, player);
                 return;
@@ -919,16 +1433,27 @@ public class GameManager
         }
     }
 
+    /// <summary>
+    /// Where <paramref name="hunter"/> saw <paramref name="target"/> when
+    /// they moved onto it. Their own leader is already where they steered it
+    /// — the server's is their screen from one trip up ago — but everyone
+    /// else on that screen was drawn in the past, so the target is rewound by
+    /// what their client reports. The hunter's view wins: a catch that lands
+    /// on the hunter's screen counts, and one that misses there does not,
+    /// however close it is here. MaxRewindSeconds bounds what that costs the
+    /// prey.
+    /// </summary>
+    private static Vector2 AsSeenBy(Player hunter, GameEntity target, GameRoom room) =>
+        room.Positions.PositionOf(target, hunter.ViewLagSeconds, room.MatchSeconds);
+
     private static void EatFrom(Player player, List<Underling> food, GameRoom room)
     {
         var leader = player.Leader;
         for (var i = food.Count - 1; i >= 0; i--)
         {
             var underling = food[i];
-            var distanceSq = Vector2.DistanceSquared(leader.Position, underling.Position);
-            // Extra buffer compensates for the leader's optimistic client position
-            // lagging behind the server position by roughly one network round-trip.
-            var radiusSum = leader.Radius + underling.Radius + GameConstants.HitForgivenessRadius;
+            var distanceSq = Vector2.DistanceSquared(leader.Position, AsSeenBy(player, underling, room));
+            var radiusSum = leader.Radius + underling.Radius + player.HitForgiveness;
             if (distanceSq >= radiusSum * radiusSum)
             {
                 continue;
@@ -938,6 +1463,7 @@ public class GameManager
             // gathering is a race for something that only ever gets scarcer.
             food.RemoveAt(i);
             player.Eaten++;
+            player.Stats.UnderlingsEaten++;
 
             var pushDirection = (leader.Position - underling.Position).Normalized();
             if (pushDirection.LengthSquared == 0)
@@ -946,7 +1472,7 @@ public class GameManager
             }
 
             leader.Position += pushDirection * 6f;
-            leader.Velocity = pushDirection * player.CurrentSpeed;
+            leader.Velocity = pushDirection * player.SpeedUnder(room.Rules);
             room.Touch();
         }
     }
@@ -969,6 +1495,21 @@ public class GameManager
     private static readonly IReadOnlyCollection<RoomDto> HalfWorldRoomDtos = MapRooms(4);
     private static readonly IReadOnlyCollection<RoomDto> FullWorldRoomDtos = MapRooms(Level.Rooms.Count);
 
+    // The cached footprints assume everyone has their join-order colour. A
+    // preferred colour breaks that, so only then are the rooms copied and
+    // each repainted for the player who actually spawns in it.
+    private static IReadOnlyCollection<RoomDto> RoomsPaintedFor(IEnumerable<Player> players, IReadOnlyCollection<RoomDto> rooms)
+    {
+        List<RoomDto>? painted = null;
+        foreach (var player in players)
+        {
+            if (player.SpawnIndex >= rooms.Count || player.TeamColor == ColorKeyForIndex(player.SpawnIndex)) continue;
+            painted ??= rooms.ToList();
+            painted[player.SpawnIndex] = painted[player.SpawnIndex] with { ColorKey = player.TeamColor };
+        }
+        return painted ?? rooms;
+    }
+
     private static IReadOnlyCollection<ThicketDto> MapThickets(IReadOnlyList<Thicket> thickets) =>
         thickets
             .Select(t => new ThicketDto(t.X, t.Y, t.Radius, t.VisualRadiusX, t.VisualRadiusY, t.Seed))
@@ -979,6 +1520,22 @@ public class GameManager
     private static readonly IReadOnlyCollection<ThicketDto> FullWorldThicketDtos =
         MapThickets(Level.FullWorldThickets);
 
+    // A tenth of a pixel is finer than anything drawn, and rounding is what
+    // lets an entity that has not moved compare equal to its last snapshot.
+    private static float Round1(float value) => MathF.Round(value, 1);
+
+    private static EntityStateDto MapEntity(GameEntity entity, string color, string type) =>
+        new(
+            entity.Id.ToString(),
+            entity.OwnerId,
+            Round1(entity.Position.X),
+            Round1(entity.Position.Y),
+            entity.Radius,
+            color,
+            type,
+            Round1(entity.Velocity.X),
+            Round1(entity.Velocity.Y));
+
     internal static GameStateDto BuildStateSnapshot(GameRoom room)
     {
         var serverTime = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
@@ -992,45 +1549,121 @@ public class GameManager
                 player.ConnectionId,
                 player.DisplayName,
                 player.TeamColor,
-                new EntityStateDto(
-                    player.Leader.Id.ToString(),
-                    player.Leader.OwnerId,
-                    player.Leader.Position.X,
-                    player.Leader.Position.Y,
-                    player.Leader.Radius,
-                    player.TeamColor,
-                    "leader",
-                    player.Leader.Velocity.X,
-                    player.Leader.Velocity.Y),
-                player.Underlings
-                    .Select(u => new EntityStateDto(
-                        u.Id.ToString(),
-                        u.OwnerId,
-                        u.Position.X,
-                        u.Position.Y,
-                        u.Radius,
-                        player.TeamColor,
-                        "underling",
-                        u.Velocity.X,
-                        u.Velocity.Y))
-                    .ToList(),
+                MapEntity(player.Leader, player.TeamColor, "leader"),
+                player.Underlings.Select(u => MapEntity(u, player.TeamColor, "underling")).ToList(),
                 player.Eaten,
                 player.IsSuper,
                 player.IsDead,
-                player.Wins))
+                player.Wins,
+                player.IsAway,
+                player.LastInputSequence,
+                player.SecondsOnInput))
             .ToList();
 
+        var roomState = new RoomStateDto(
+            room.IsActive, room.WinnerId, room.HostId, room.CurrentLevel?.Version ?? 0,
+            room.Phase, room.SuperId, room.RoundNumber,
+            room.Rules.UnderlingsToBecomeSuper, room.SpectatorCount, room.EightWayMovement,
+            room.ProximityVoice, room.VoiceTransport, room.Rules,
+            room.SeriesLength, room.SeriesMatch, room.SeriesWinnerId);
+
+        return new GameStateDto(
+            snapshotId, serverTime, room.HuntSecondsRemaining, roomState, players,
+            room.EffectiveWorldWidth, GameConstants.WorldHeight);
+    }
+
+    /// <summary>
+    /// Brings the room's level up to date with its world. Returns the new
+    /// level when it changed — the world opened or closed its right half, or
+    /// a room was repainted for whoever now spawns there — and null when it
+    /// is the same as the one everyone already has. Call under the state lock.
+    /// </summary>
+    private static LevelDto? RefreshLevel(GameRoom room)
+    {
         var worldWidth = room.EffectiveWorldWidth;
         var half = worldWidth <= GameConstants.HalfWorldWidth;
-        var obstacles = half ? HalfWorldObstacleDtos : FullWorldObstacleDtos;
-        var rooms = half ? HalfWorldRoomDtos : FullWorldRoomDtos;
-        var thickets = half ? HalfWorldThicketDtos : FullWorldThicketDtos;
+        var rooms = RoomsPaintedFor(room.Players, half ? HalfWorldRoomDtos : FullWorldRoomDtos);
+        if (room.CurrentLevel is { } current && current.WorldWidth == worldWidth && current.Rooms.SequenceEqual(rooms))
+        {
+            return null;
+        }
 
-        return new GameStateDto(
-            room.Id, room.IsActive, players, room.WinnerId, serverTime, snapshotId,
-            room.HostId, obstacles, worldWidth, GameConstants.WorldHeight, rooms, thickets,
-            room.Phase, room.SuperId, room.HuntSecondsRemaining, room.RoundNumber,
-            GameConstants.UnderlingsToBecomeSuper);
+        room.CurrentLevel = new LevelDto(
+            room.Id, (room.CurrentLevel?.Version ?? 0) + 1, worldWidth, GameConstants.WorldHeight,
+            half ? HalfWorldObstacleDtos : FullWorldObstacleDtos,
+            rooms,
+            half ? HalfWorldThicketDtos : FullWorldThicketDtos);
+        return room.CurrentLevel;
+    }
+
+    /// <summary>
+    /// Everything, for a member that has nothing to diff against — it just
+    /// arrived, reconnected, or lost track. Deltas to it stay full until it
+    /// acknowledges this one.
+    /// </summary>
+    public bool TryGetFullSnapshot(string roomId, string connectionId, out SnapshotDto? snapshot, out LevelDto? level)
+    {
+        snapshot = null;
+        level = null;
+        if (!_rooms.TryGetValue(roomId, out var room)) return false;
+
+        GameStateDto? state;
+        lock (room.SyncRoot)
+        {
+            // Only a room with no level yet. A changed one is left for the
+            // tick, which sends it to the whole room; taking it here would
+            // leave everyone else on the old one.
+            if (room.CurrentLevel is null) RefreshLevel(room);
+            state = BuildStateSnapshot(room);
+            room.RememberSnapshot(state);
+            // The same delay as the tick's, or asking would skip it.
+            if (room.IsSpectator(connectionId))
+            {
+                state = SpectatedSnapshot(room, state);
+                if (state is null) return false;
+            }
+            room.ForgetAcknowledgement(connectionId);
+            level = room.CurrentLevel;
+        }
+
+        snapshot = SnapshotDelta.For(
+            SnapshotDelta.Between(room.Id, AreaOfInterest.For(state, connectionId), null), state, connectionId);
+        return true;
+    }
+
+    /// <summary>
+    /// What spectators are shown alongside <paramref name="live"/>: while a
+    /// match is live, and until the delayed feed has caught up with the
+    /// snapshot it ended on, the one from <see cref="GameConstants.SpectatorDelayMs"/>
+    /// earlier — or nothing, before there is one that old. Otherwise the live
+    /// one. Call under the state lock, after remembering <paramref name="live"/>.
+    /// </summary>
+    private static GameStateDto? SpectatedSnapshot(GameRoom room, GameStateDto live)
+    {
+        var delayed = room.SnapshotBefore(GameConstants.SpectatorDelayMs);
+        return live.Room.IsActive || delayed?.Room.IsActive == true ? delayed : live;
+    }
+
+    public bool TryGetLevel(string roomId, out LevelDto? level)
+    {
+        level = null;
+        if (!_rooms.TryGetValue(roomId, out var room)) return false;
+
+        lock (room.SyncRoot)
+        {
+            // As in TryGetFullSnapshot.
+            if (room.CurrentLevel is null) RefreshLevel(room);
+            level = room.CurrentLevel;
+        }
+        return true;
+    }
+
+    public void AcknowledgeSnapshot(string roomId, string connectionId, long snapshotId)
+    {
+        if (_rooms.TryGetValue(roomId, out var room))
+        {
+            room.Acknowledge(connectionId, snapshotId);
+        }
     }
 
     private static string GenerateRoomId()
@@ -0,0 +1,86 @@
+using System.Security.Cryptography;
+using System.Text;
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// The STUN and TURN servers voice chat connects through, read from
+/// configuration the same way GAME_CLIENT_ORIGINS is:
+///
+///   VOICE_STUN_URLS        semicolon-separated; defaults to Google's public STUN
+///   VOICE_TURN_URLS        semicolon-separated turn:/turns: URLs; no TURN if unset
+///   VOICE_TURN_SECRET      the TURN server's shared secret (coturn's
+///                          static-auth-secret)
+///   VOICE_TURN_TTL_SECONDS how long issued credentials last; default a day
+///
+/// STUN alone only works when at least one side of a call can be reached
+/// directly. Behind a symmetric NAT or a corporate firewall neither can, and
+/// the call needs a relay. TURN credentials are never configured as a fixed
+/// username and password: anyone who opened the page could copy them and use
+/// the relay for anything. Instead each connection gets its own pair that
+/// expires — the "TURN REST API" scheme coturn implements with
+/// use-auth-secret, where the username is "expiry:id" and the password is an
+/// HMAC of it under the shared secret, so the TURN server can check them
+/// without ever talking to us.
+/// </summary>
+public sealed class IceServerProvider
+{
+    private static readonly string[] DefaultStunUrls =
+    {
+        "stun:stun.l.google.com:19302",
+        "stun:stun1.l.google.com:19302",
+    };
+
+    private const int DefaultTtlSeconds = 24 * 60 * 60;
+
+    private readonly string[] _stunUrls;
+    private readonly string[] _turnUrls;
+    private readonly byte[]? _turnSecret;
+    private readonly int _ttlSeconds;
+
+    public IceServerProvider(IConfiguration configuration, ILogger<IceServerProvider> logger)
+    {
+        var stun = SplitUrls(configuration["VOICE_STUN_URLS"]);
+        _stunUrls = stun.Length > 0 ? stun : DefaultStunUrls;
+        _turnUrls = SplitUrls(configuration["VOICE_TURN_URLS"]);
+
+        var secret = configuration["VOICE_TURN_SECRET"];
+        _turnSecret = string.IsNullOrEmpty(secret) ? null : Encoding.UTF8.GetBytes(secret);
+        _ttlSeconds = int.TryParse(configuration["VOICE_TURN_TTL_SECONDS"], out var ttl) && ttl > 0
+            ? ttl
+            : DefaultTtlSeconds;
+
+        if (_turnUrls.Length > 0 && _turnSecret is null)
+        {
+            // Half a configuration is easy to miss: calls that need a relay
+            // would just keep failing. Say so once, at startup.
+            logger.LogWarning("VOICE_TURN_URLS is set but VOICE_TURN_SECRET is not; TURN is disabled");
+        }
+    }
+
+    public bool HasTurn => _turnUrls.Length > 0 && _turnSecret is not null;
+
+    /// <summary>
+    /// ICE servers for one connection. TURN is only handed to players in a
+    /// room — they are the only ones who make calls, and the relay's
+    /// bandwidth is ours.
+    /// </summary>
+    public IceConfigDto For(string connectionId, bool includeTurn)
+    {
+        var servers = new List<IceServerDto> { new(_stunUrls) };
+        if (includeTurn && HasTurn)
+        {
+            var expires = DateTimeOffset.UtcNow.AddSeconds(_ttlSeconds).ToUnixTimeSeconds();
+            var username = $"{expires}:{connectionId}";
+            using var hmac = new HMACSHA1(_turnSecret!);
+            var credential = Convert.ToBase64String(hmac.ComputeHash(Encoding.UTF8.GetBytes(username)));
+            servers.Add(new IceServerDto(_turnUrls, username, credential));
+        }
+
+        return new IceConfigDto(servers, _ttlSeconds);
+    }
+
+    private static string[] SplitUrls(string? value) =>
+        (value ?? string.Empty).Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+}
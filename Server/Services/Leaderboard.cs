@@ -0,0 +1,210 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// The standing ladder: matches, wins, supers and catches per profile, kept
+/// in one JSON file. Where the file lives is read from configuration the same
+/// way GAME_CLIENT_ORIGINS is:
+///
+///   LEADERBOARD_PATH  the file, e.g. /data/leaderboard.json. Defaults to
+///                     App_Data/leaderboard.json under the content root.
+///
+/// Point it at a mounted volume in a container — the image's own filesystem
+/// is thrown away on every deploy, and the app user cannot write to /app.
+/// </summary>
+public sealed class Leaderboard : IDisposable
+{
+    private const int TopCount = 20;
+    // Bounds the file against anyone minting tokens. Over it, whoever has
+    // gone longest without playing makes room.
+    private const int MaxProfiles = 5000;
+    // A finished match only marks the ladder dirty; the save follows this
+    // much later, so rooms finishing together are one write and the tick
+    // never waits on the disk.
+    private static readonly TimeSpan SaveDelay = TimeSpan.FromSeconds(3);
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private readonly Dictionary<string, Entry> _entries = new();
+    private readonly object _lock = new();
+    private readonly object _writeLock = new();
+    private readonly Timer _saveTimer;
+    private readonly string _path;
+    private readonly ILogger<Leaderboard> _logger;
+    private bool _dirty;
+    private bool _warnedUnwritable;
+
+    public Leaderboard(IConfiguration configuration, IHostEnvironment environment, ILogger<Leaderboard> logger)
+    {
+        _logger = logger;
+        var configured = configuration["LEADERBOARD_PATH"];
+        _path = string.IsNullOrWhiteSpace(configured)
+            ? Path.Combine(environment.ContentRootPath, "App_Data", "leaderboard.json")
+            : configured.Trim();
+        _saveTimer = new Timer(_ => Save(), null, Timeout.Infinite, Timeout.Infinite);
+        Load();
+    }
+
+    /// <summary>
+    /// The key a token is filed under, or null for anything that is not a
+    /// token this client would have made. Long enough not to be guessed;
+    /// bounded so a hub client cannot make us hash a megabyte. A hash, never
+    /// the token, which is all it takes to play as the profile: the file only
+    /// gives away names and numbers the lobby shows anyway.
+    /// </summary>
+    public static string? KeyFor(string? token)
+    {
+        if (token is null || token.Length is < 16 or > 64) return null;
+        foreach (var ch in token)
+        {
+            if (!char.IsAsciiLetterOrDigit(ch) && ch != '-') return null;
+        }
+
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token))).ToLowerInvariant();
+    }
+
+    /// <summary>Files one finished match for one profile.</summary>
+    public void Record(string profileKey, string displayName, string teamColor, bool won, int supers, int catches)
+    {
+        lock (_lock)
+        {
+            if (!_entries.TryGetValue(profileKey, out var entry))
+            {
+                if (_entries.Count >= MaxProfiles)
+                {
+                    var stalest = _entries.MinBy(e => e.Value.LastPlayedUtc).Key;
+                    _entries.Remove(stalest);
+                }
+                entry = new Entry();
+                _entries[profileKey] = entry;
+            }
+
+            entry.DisplayName = displayName;
+            entry.TeamColor = teamColor;
+            entry.Matches++;
+            if (won) entry.Wins++;
+            entry.Supers += supers;
+            entry.Catches += catches;
+            entry.LastPlayedUtc = DateTime.UtcNow;
+            _dirty = true;
+        }
+
+        _saveTimer.Change(SaveDelay, Timeout.InfiniteTimeSpan);
+    }
+
+    /// <summary>
+    /// Ranked by wins, then supers, then catches; a tie goes to whoever
+    /// needed fewer matches for it.
+    /// </summary>
+    public LeaderboardDto Snapshot(string? viewerKey)
+    {
+        lock (_lock)
+        {
+            var ranked = _entries
+                .OrderByDescending(e => e.Value.Wins)
+                .ThenByDescending(e => e.Value.Supers)
+                .ThenByDescending(e => e.Value.Catches)
+                .ThenBy(e => e.Value.Matches)
+                .Select((e, i) => new LeaderboardEntryDto(
+                    i + 1, e.Value.DisplayName, e.Value.TeamColor, e.Value.Matches,
+                    e.Value.Wins, e.Value.Supers, e.Value.Catches, e.Key == viewerKey))
+                .ToList();
+
+            var you = ranked.FirstOrDefault(e => e.IsYou);
+            return new LeaderboardDto(
+                ranked.Take(TopCount).ToList(),
+                you is not null && you.Rank > TopCount ? you : null,
+                ranked.Count);
+        }
+    }
+
+    public void Dispose()
+    {
+        _saveTimer.Dispose();
+        // Whatever the timer had not got to yet.
+        Save();
+    }
+
+    private void Load()
+    {
+        if (!File.Exists(_path))
+        {
+            _logger.LogInformation("Leaderboard starts empty at {Path}", _path);
+            return;
+        }
+
+        try
+        {
+            var saved = JsonSerializer.Deserialize<Dictionary<string, Entry>>(File.ReadAllText(_path), JsonOptions);
+            foreach (var (key, entry) in saved ?? new())
+            {
+                _entries[key] = entry;
+            }
+            _logger.LogInformation("Leaderboard loaded {Count} profiles from {Path}", _entries.Count, _path);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or JsonException)
+        {
+            // Keep what is there for someone to look at rather than
+            // overwriting it with an empty ladder on the next save.
+            _logger.LogError(ex, "Leaderboard at {Path} could not be read; starting empty and keeping the old file as .bad", _path);
+            try
+            {
+                File.Move(_path, _path + ".bad", overwrite: true);
+            }
+            catch (Exception moveEx) when (moveEx is IOException or UnauthorizedAccessException)
+            {
+                _logger.LogWarning(moveEx, "Could not move the unreadable leaderboard aside");
+            }
+        }
+    }
+
+    private void Save()
+    {
+        // One writer at a time; the timer and Dispose can overlap at shutdown.
+        lock (_writeLock)
+        {
+            string json;
+            lock (_lock)
+            {
+                if (!_dirty) return;
+                json = JsonSerializer.Serialize(_entries, JsonOptions);
+                _dirty = false;
+            }
+
+            try
+            {
+                var directory = Path.GetDirectoryName(Path.GetFullPath(_path));
+                if (directory is not null) Directory.CreateDirectory(directory);
+                // Written beside it and moved over it, so a crash mid-write
+                // leaves the previous ladder rather than half of one.
+                var temp = _path + ".tmp";
+                File.WriteAllText(temp, json);
+                File.Move(temp, _path, overwrite: true);
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                // Carry on in memory, and say so once.
+                lock (_lock) _dirty = true;
+                if (!_warnedUnwritable)
+                {
+                    _warnedUnwritable = true;
+                    _logger.LogWarning(ex, "Leaderboard could not be written to {Path}; it is kept in memory only until that is fixed (set LEADERBOARD_PATH)", _path);
+                }
+            }
+        }
+    }
+
+    private sealed class Entry
+    {
+        public string DisplayName { get; set; } = "";
+        public string TeamColor { get; set; } = "";
+        public int Matches { get; set; }
+        public int Wins { get; set; }
+        public int Supers { get; set; }
+        public int Catches { get; set; }
+        public DateTime LastPlayedUtc { get; set; }
+    }
+}
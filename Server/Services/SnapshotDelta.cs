@@ -0,0 +1,102 @@
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// Turns a room's full state into what one recipient needs: the difference
+/// from a snapshot it has acknowledged.
+///
+/// Changed means changed as sent. Positions are rounded to a tenth of a pixel
+/// before they are kept (see BuildStateSnapshot), so a leader standing still
+/// or a dead player's swarm is exactly equal tick to tick and drops out of
+/// the delta entirely. Underlings drift and so move most ticks; for them the
+/// saving is that a move is five numbers, not the whole entity.
+/// </summary>
+public static class SnapshotDelta
+{
+    /// <summary>
+    /// The change from <paramref name="baseline"/> to <paramref name="current"/>,
+    /// or the whole of <paramref name="current"/> when there is no baseline.
+    /// Shared by everyone on the same baseline; <see cref="For"/> adds the
+    /// recipient's own part.
+    /// </summary>
+    public static SnapshotDto Between(string roomId, GameStateDto current, GameStateDto? baseline)
+    {
+        var room = baseline is not null && baseline.Room == current.Room ? null : current.Room;
+        var before = baseline?.Players.ToDictionary(p => p.ConnectionId);
+        var players = new List<PlayerDeltaDto>();
+
+        foreach (var player in current.Players)
+        {
+            if (before is not null && before.Remove(player.ConnectionId, out var old))
+            {
+                var delta = Diff(old, player);
+                if (delta is not null) players.Add(delta);
+            }
+            else
+            {
+                players.Add(new PlayerDeltaDto(
+                    player.ConnectionId, InfoOf(player), player.Leader, null,
+                    player.Underlings.Count > 0 ? player.Underlings.ToList() : null, null, null));
+            }
+        }
+
+        return new SnapshotDto(
+            roomId, current.SnapshotId, baseline?.SnapshotId, current.ServerTime, current.HuntSecondsRemaining,
+            room, players, before is { Count: > 0 } ? before.Keys.ToList() : null, null);
+    }
+
+    /// <summary>
+    /// <paramref name="shared"/> with the recipient's input acknowledgement,
+    /// if they are playing. Spectators get it as is.
+    /// </summary>
+    public static SnapshotDto For(SnapshotDto shared, GameStateDto current, string connectionId)
+    {
+        var self = current.Players.FirstOrDefault(p => p.ConnectionId == connectionId);
+        return self is null
+            ? shared
+            : shared with { Input = new InputAckDto(self.LastInputSequence, self.SecondsOnInput) };
+    }
+
+    private static PlayerInfoDto InfoOf(PlayerStateDto p) =>
+        new(p.DisplayName, p.TeamColor, p.Eaten, p.IsSuper, p.IsDead, p.Wins, p.IsAway);
+
+    private static EntityMoveDto MoveOf(EntityStateDto e) => new(e.Id, e.X, e.Y, e.Vx, e.Vy);
+
+    private static PlayerDeltaDto? Diff(PlayerStateDto old, PlayerStateDto now)
+    {
+        var info = InfoOf(now);
+        var infoChanged = info != InfoOf(old);
+
+        EntityStateDto? leader = null;
+        EntityMoveDto? leaderMove = null;
+        if (now.Leader != old.Leader)
+        {
+            if (now.Leader.Id == old.Leader.Id) leaderMove = MoveOf(now.Leader);
+            else leader = now.Leader;
+        }
+
+        List<EntityStateDto>? added = null;
+        List<EntityMoveDto>? moved = null;
+        var previous = old.Underlings.ToDictionary(u => u.Id);
+        foreach (var underling in now.Underlings)
+        {
+            if (!previous.Remove(underling.Id, out var was))
+            {
+                (added ??= new()).Add(underling);
+            }
+            else if (underling != was)
+            {
+                (moved ??= new()).Add(MoveOf(underling));
+            }
+        }
+        var removed = previous.Count > 0 ? previous.Keys.ToList() : null;
+
+        if (!infoChanged && leader is null && leaderMove is null && added is null && moved is null && removed is null)
+        {
+            return null;
+        }
+
+        return new PlayerDeltaDto(now.ConnectionId, infoChanged ? info : null, leader, leaderMove, added, moved, removed);
+    }
+}
@@ -0,0 +1,163 @@
+using MessagePack;
+using MessagePack.Formatters;
+using MessagePack.Resolvers;
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// How GameStateUpdated is laid out on the MessagePack hub protocol: as
+/// positional arrays, in the records' parameter order, which wire.js reads
+/// back by index — so the two change together or not at all. Every other
+/// message goes through SignalR's default resolver.
+/// </summary>
+public static class SnapshotWireFormat
+{
+    /// <summary>
+    /// <paramref name="fallback"/> with the snapshot layout in front of it;
+    /// for MessagePackHubProtocolOptions.SerializerOptions.
+    /// </summary>
+    public static IFormatterResolver Resolver(IFormatterResolver fallback) =>
+        CompositeResolver.Create(new IMessagePackFormatter[] { new SnapshotFormatter() }, new[] { fallback });
+
+    // Positions and velocities go as whole tenths. BuildStateSnapshot has
+    // already rounded them to 0.1, so nothing is lost, and a coordinate on
+    // the map fits a 16-bit integer: three bytes where a float is five.
+    private static int Tenths(float value) => (int)MathF.Round(value * 10f);
+
+    private sealed class SnapshotFormatter : IMessagePackFormatter<SnapshotDto?>
+    {
+        public void Serialize(ref MessagePackWriter writer, SnapshotDto? value, MessagePackSerializerOptions options)
+        {
+            if (value is null)
+            {
+                writer.WriteNil();
+                return;
+            }
+
+            // An array, not a map: at 33Hz the key names were most of each
+            // message.
+            writer.WriteArrayHeader(9);
+            writer.Write(value.RoomId);
+            writer.Write(value.SnapshotId);
+            WriteNullable(ref writer, value.BaselineId);
+            writer.Write(value.ServerTime);
+            writer.Write(value.HuntSecondsRemaining);
+            // A few times a match: not worth a layout of its own.
+            options.Resolver.GetFormatterWithVerify<RoomStateDto?>().Serialize(ref writer, value.Room, options);
+            writer.WriteArrayHeader(value.Players.Count);
+            foreach (var player in value.Players)
+            {
+                WritePlayer(ref writer, player);
+            }
+            WriteIds(ref writer, value.RemovedPlayers);
+            if (value.Input is null)
+            {
+                writer.WriteNil();
+            }
+            else
+            {
+                writer.WriteArrayHeader(2);
+                writer.Write(value.Input.Sequence);
+                writer.Write(value.Input.SecondsOnInput);
+            }
+        }
+
+        // Snapshots only ever leave the server.
+        public SnapshotDto? Deserialize(ref MessagePackReader reader, MessagePackSerializerOptions options) =>
+            throw new NotSupportedException("Snapshots are not read from clients.");
+
+        private static void WritePlayer(ref MessagePackWriter writer, PlayerDeltaDto player)
+        {
+            writer.WriteArrayHeader(7);
+            writer.Write(player.ConnectionId);
+
+            if (player.Info is { } info)
+            {
+                writer.WriteArrayHeader(7);
+                writer.Write(info.DisplayName);
+                writer.Write(info.TeamColor);
+                writer.Write(info.Eaten);
+                writer.Write(info.IsSuper);
+                writer.Write(info.IsDead);
+                writer.Write(info.Wins);
+                writer.Write(info.IsAway);
+            }
+            else
+            {
+                writer.WriteNil();
+            }
+
+            if (player.Leader is { } leader) WriteEntity(ref writer, leader);
+            else writer.WriteNil();
+
+            if (player.LeaderMove is { } leaderMove) WriteMove(ref writer, leaderMove);
+            else writer.WriteNil();
+
+            if (player.Added is { } added)
+            {
+                writer.WriteArrayHeader(added.Count);
+                foreach (var entity in added) WriteEntity(ref writer, entity);
+            }
+            else
+            {
+                writer.WriteNil();
+            }
+
+            if (player.Moved is { } moved)
+            {
+                writer.WriteArrayHeader(moved.Count);
+                foreach (var move in moved) WriteMove(ref writer, move);
+            }
+            else
+            {
+                writer.WriteNil();
+            }
+
+            WriteIds(ref writer, player.Removed);
+        }
+
+        private static void WriteEntity(ref MessagePackWriter writer, EntityStateDto entity)
+        {
+            writer.WriteArrayHeader(9);
+            writer.Write(entity.Id);
+            writer.Write(entity.OwnerId);
+            writer.Write(Tenths(entity.X));
+            writer.Write(Tenths(entity.Y));
+            // Not rounded beforehand, but nobody can see a twentieth of a pixel.
+            writer.Write(Tenths(entity.Radius));
+            writer.Write(entity.Color);
+            writer.Write(entity.Type);
+            writer.Write(Tenths(entity.Vx));
+            writer.Write(Tenths(entity.Vy));
+        }
+
+        private static void WriteMove(ref MessagePackWriter writer, EntityMoveDto move)
+        {
+            writer.WriteArrayHeader(5);
+            writer.Write(move.Id);
+            writer.Write(Tenths(move.X));
+            writer.Write(Tenths(move.Y));
+            writer.Write(Tenths(move.Vx));
+            writer.Write(Tenths(move.Vy));
+        }
+
+        private static void WriteIds(ref MessagePackWriter writer, IReadOnlyList<string>? ids)
+        {
+            if (ids is null)
+            {
+                writer.WriteNil();
+                return;
+            }
+
+            writer.WriteArrayHeader(ids.Count);
+            foreach (var id in ids) writer.Write(id);
+        }
+
+        private static void WriteNullable(ref MessagePackWriter writer, long? value)
+        {
+            if (value is { } v) writer.Write(v);
+            else writer.WriteNil();
+        }
+    }
+}
@@ -0,0 +1,61 @@
+using SwarmAndSnack.Server.Models;
+
+namespace SwarmAndSnack.Server.Services;
+
+/// <summary>
+/// The media server a room's voice can go through instead of the mesh, read
+/// from configuration the same way GAME_CLIENT_ORIGINS is:
+///
+///   VOICE_SFU_WHIP_URL  where a stream is published, with "{stream}" for its
+///                       name, e.g. https://media.example.com/{stream}/whip
+///   VOICE_SFU_WHEP_URL  where a stream is played back, likewise
+///
+/// Both must be set for the option to be offered. Any forwarder that speaks
+/// WHIP and WHEP will do (MediaMTX, Broadcast Box, Janus, a hosted one), and
+/// no audio ever passes through this server: the browser talks to the
+/// forwarder directly. What this server decides is the stream names. Each is
+/// "ss-{room key}-{connection id}", and the room key is random and only ever
+/// given to the room's players — it is what stops someone outside the room
+/// from listening in by guessing a name.
+/// </summary>
+public sealed class VoiceForwarder
+{
+    private const string StreamPlaceholder = "{stream}";
+
+    private readonly string? _whipUrl;
+    private readonly string? _whepUrl;
+
+    public VoiceForwarder(IConfiguration configuration, ILogger<VoiceForwarder> logger)
+    {
+        _whipUrl = Template(configuration["VOICE_SFU_WHIP_URL"]);
+        _whepUrl = Template(configuration["VOICE_SFU_WHEP_URL"]);
+
+        if ((_whipUrl is null) != (_whepUrl is null))
+        {
+            // One URL without the other is a forwarder nobody can use.
+            logger.LogWarning("Set both VOICE_SFU_WHIP_URL and VOICE_SFU_WHEP_URL, with {{stream}} in each; forwarded voice is disabled");
+        }
+    }
+
+    public bool IsConfigured => _whipUrl is not null && _whepUrl is not null;
+
+    /// <summary>The route for one player in a room; no URLs for a mesh room.</summary>
+    public VoiceRouteDto RouteFor(string transport, string voiceKey, string connectionId)
+    {
+        if (transport != VoiceTransport.Forwarded || !IsConfigured)
+        {
+            return new VoiceRouteDto(VoiceTransport.Mesh, IsConfigured);
+        }
+
+        return new VoiceRouteDto(
+            transport,
+            true,
+            _whipUrl!.Replace(StreamPlaceholder, StreamName(voiceKey, Uri.EscapeDataString(connectionId))),
+            _whepUrl!.Replace(StreamPlaceholder, StreamName(voiceKey, "{player}")));
+    }
+
+    private static string StreamName(string voiceKey, string player) => $"ss-{voiceKey}-{player}";
+
+    private static string? Template(string? url) =>
+        !string.IsNullOrWhiteSpace(url) && url.Contains(StreamPlaceholder) ? url.Trim() : null;
+}
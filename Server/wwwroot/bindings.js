@@ -0,0 +1,215 @@
+// Keyboard bindings: which key does what, remappable and remembered. game.js
+// asks actionFor(event.key); its key-binding screen edits the map.
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "swarmsnack.keys";
+  const SLOTS = 2;
+
+  const ACTIONS = [
+    { id: "up", label: "Move up", group: "Movement" },
+    { id: "down", label: "Move down", group: "Movement" },
+    { id: "left", label: "Move left", group: "Movement" },
+    { id: "right", label: "Move right", group: "Movement" },
+    { id: "mic", label: "Toggle mic", group: "Game" },
+    { id: "pushToTalk", label: "Push to talk (hold)", group: "Game" },
+    { id: "minimap", label: "Big minimap", group: "Game" },
+    { id: "followPrev", label: "Previous player", group: "Spectating" },
+    { id: "followNext", label: "Next player", group: "Spectating" },
+    { id: "freeCamera", label: "Free camera", group: "Spectating" },
+    { id: "overview", label: "Whole map", group: "Spectating" },
+  ];
+  const ACTION_IDS = ACTIONS.map((a) => a.id);
+
+  // Bindings are characters (event.key), not physical keys (event.code): on
+  // AZERTY the key labelled Z gives "z", and that is the key its owner looks
+  // for on the binding screen. Layouts are handled by these presets instead.
+  // The arrows stay as the second slot in every preset: they are in the same
+  // place on every layout.
+  const PRESETS = {
+    qwerty: {
+      label: "QWERTY",
+      keys: {
+        up: ["w", "ArrowUp"], down: ["s", "ArrowDown"],
+        left: ["a", "ArrowLeft"], right: ["d", "ArrowRight"],
+        mic: ["v", null], pushToTalk: ["t", null], minimap: ["n", null],
+        followPrev: ["q", "["], followNext: ["e", "]"],
+        freeCamera: ["f", null], overview: ["m", null],
+      },
+    },
+    // ZQSD is where WASD sits on a French keyboard. A is then free for the
+    // spectator cycle that Q had.
+    azerty: {
+      label: "AZERTY",
+      keys: {
+        up: ["z", "ArrowUp"], down: ["s", "ArrowDown"],
+        left: ["q", "ArrowLeft"], right: ["d", "ArrowRight"],
+        mic: ["v", null], pushToTalk: ["t", null], minimap: ["n", null],
+        followPrev: ["a", null], followNext: ["e", null],
+        freeCamera: ["f", null], overview: [",", null],
+      },
+    },
+    // The characters on the keys in QWERTY's WASD positions, and likewise for
+    // the rest, so muscle memory from other games carries over.
+    dvorak: {
+      label: "Dvorak",
+      keys: {
+        up: [",", "ArrowUp"], down: ["o", "ArrowDown"],
+        left: ["a", "ArrowLeft"], right: ["e", "ArrowRight"],
+        mic: ["k", null], pushToTalk: ["y", null], minimap: ["b", null],
+        followPrev: ["'", null], followNext: [".", null],
+        freeCamera: ["u", null], overview: ["m", null],
+      },
+    },
+  };
+
+  // Keys that mean something fixed elsewhere (closing things, replay
+  // controls, following player N or quick chat, opening chat, the F3
+  // overlay) and so cannot be taken.
+  const RESERVED = new Set(["Escape", "Tab", " ", "Enter", "1", "2", "3", "4", "5", "6", "7", "8", "F3"]);
+
+  /** Letters are stored lower-case so Shift or Caps Lock don't unbind them. */
+  function normalize(key) {
+    if (typeof key !== "string" || key === "") return null;
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  function copyKeys(keys) {
+    const out = {};
+    for (const id of ACTION_IDS) {
+      const slots = Array.isArray(keys[id]) ? keys[id] : [];
+      out[id] = Array.from({ length: SLOTS }, (_, i) => normalize(slots[i]) ?? null);
+    }
+    return out;
+  }
+
+  let preset = "qwerty";
+  let bindings = copyKeys(PRESETS.qwerty.keys);
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object" && saved.keys && typeof saved.keys === "object") {
+      preset = PRESETS[saved.preset] ? saved.preset : null;
+      // Actions added since this was saved get their preset's key, unless the
+      // player has put that key to another use in the meantime.
+      const taken = new Set(Object.values(saved.keys).flat().map(normalize));
+      const defaults = PRESETS[preset ?? "qwerty"].keys;
+      const filled = { ...saved.keys };
+      for (const id of ACTION_IDS) {
+        if (Array.isArray(saved.keys[id])) continue;
+        filled[id] = defaults[id].map((key) => (taken.has(normalize(key)) ? null : key));
+      }
+      bindings = copyKeys(filled);
+    }
+  } catch {
+    // A corrupt or blocked localStorage is not worth losing the keyboard over.
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ preset, keys: bindings }));
+    } catch {
+      /* private browsing — run with defaults */
+    }
+  }
+
+  const listeners = new Set();
+  function notify() {
+    for (const fn of listeners) fn();
+  }
+
+  // Rebuilt on every change; looked up on every keypress.
+  let byKey = new Map();
+  function reindex() {
+    byKey = new Map();
+    for (const id of ACTION_IDS) {
+      for (const key of bindings[id]) {
+        if (key && !byKey.has(key)) byKey.set(key, id);
+      }
+    }
+  }
+  reindex();
+
+  function actionFor(key) {
+    return byKey.get(normalize(key)) ?? null;
+  }
+
+  /**
+   * Puts `key` in an action's slot. Returns { ok, error?, takenFrom? }:
+   * takenFrom is the action that had the key and has now lost it, so the
+   * screen can say so. A key does one thing: steering and the spectator keys
+   * are live at the same time, so no two actions could safely share one.
+   */
+  function bind(action, slot, key) {
+    const normalized = normalize(key);
+    if (!ACTION_IDS.includes(action) || slot < 0 || slot >= SLOTS || !normalized) {
+      return { ok: false, error: "Invalid" };
+    }
+    if (RESERVED.has(normalized)) return { ok: false, error: "Reserved" };
+
+    let takenFrom = null;
+    for (const id of ACTION_IDS) {
+      bindings[id] = bindings[id].map((k, i) => {
+        if (k !== normalized || (id === action && i === slot)) return k;
+        if (id !== action) takenFrom = id;
+        return null;
+      });
+    }
+    bindings[action][slot] = normalized;
+    preset = null;
+    reindex();
+    persist();
+    notify();
+    return { ok: true, takenFrom };
+  }
+
+  function unbind(action, slot) {
+    if (!ACTION_IDS.includes(action) || !bindings[action][slot]) return;
+    bindings[action][slot] = null;
+    preset = null;
+    reindex();
+    persist();
+    notify();
+  }
+
+  function applyPreset(name) {
+    if (!PRESETS[name]) return;
+    bindings = copyKeys(PRESETS[name].keys);
+    preset = name;
+    reindex();
+    persist();
+    notify();
+  }
+
+  /** Actions that end up with no key at all — worth a warning for movement. */
+  function unbound() {
+    return ACTION_IDS.filter((id) => bindings[id].every((k) => !k));
+  }
+
+  const KEY_LABELS = {
+    ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→",
+    Enter: "Enter", Backspace: "Backspace", Shift: "Shift", Control: "Ctrl",
+    Alt: "Alt", Meta: "Meta",
+  };
+
+  function label(key) {
+    if (!key) return "—";
+    return KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+  }
+
+  window.KeyBindings = {
+    ACTIONS,
+    PRESETS,
+    SLOTS,
+    actionFor,
+    keysFor: (action) => [...(bindings[action] ?? [])],
+    bind,
+    unbind,
+    applyPreset,
+    unbound,
+    label,
+    normalize,
+    /** The preset in force, or null once anything has been rebound by hand. */
+    preset: () => preset,
+    onChange: (fn) => listeners.add(fn),
+  };
+})();
@@ -0,0 +1,181 @@
+// Room text chat: the lobby's message log, the compact feed over the canvas
+// during a match, and quick-chat lines on the number keys.
+(function () {
+  "use strict";
+
+  // Number keys 1–6 while playing. Short enough to read mid-chase.
+  const QUICK_CHAT = ["Nice one!", "Help!", "Run!", "Going in.", "Good game!", "Oops."];
+  const MAX_LOG = 50;
+  const FEED_SIZE = 5;
+  const FEED_TTL_MS = 8000;
+
+  const ERRORS = {
+    RateLimited: "Slow down — too many messages.",
+    Spectating: "Spectators can read the chat but not post.",
+    Empty: "Nothing to send.",
+    NotInRoom: "Join a room to chat.",
+    RoomNotFound: "That room is gone.",
+  };
+
+  let connection = null;
+  let els = {};
+  let colorFor = () => "#e2e8f0";
+  let roomId = null;
+  let selfId = null;
+  let noteTimer = null;
+
+  // Names and messages only ever go in as textContent, never markup: a
+  // message of `<img src=x onerror=…>` would otherwise run on every machine
+  // in the room. The server strips control characters, but escaping is this
+  // file's job whatever it lets through.
+  function lineFor(message) {
+    const li = document.createElement("li");
+    li.className = "chat-line";
+    if (message.senderId === selfId) li.classList.add("own");
+    const name = document.createElement("strong");
+    name.style.color = colorFor(message.teamColor);
+    name.textContent = message.displayName || message.teamColor;
+    const text = document.createElement("span");
+    text.textContent = message.text;
+    li.append(name, " ", text);
+    return li;
+  }
+
+  function append(message) {
+    if (els.log) {
+      const stick = els.log.scrollTop + els.log.clientHeight >= els.log.scrollHeight - 4;
+      els.log.appendChild(lineFor(message));
+      while (els.log.children.length > MAX_LOG) els.log.firstElementChild.remove();
+      // Follow new messages unless the reader has scrolled back.
+      if (stick) els.log.scrollTop = els.log.scrollHeight;
+    }
+
+    if (els.feed) {
+      const line = lineFor(message);
+      els.feed.appendChild(line);
+      while (els.feed.children.length > FEED_SIZE) els.feed.firstElementChild.remove();
+      setTimeout(() => line.classList.add("faded"), FEED_TTL_MS);
+    }
+  }
+
+  function setNote(text) {
+    if (!els.note) return;
+    els.note.textContent = text;
+    clearTimeout(noteTimer);
+    if (text) noteTimer = setTimeout(() => { els.note.textContent = ""; }, 4000);
+  }
+
+  function clear() {
+    if (els.log) els.log.replaceChildren();
+    if (els.feed) els.feed.replaceChildren();
+    setNote("");
+  }
+
+  // Not added to the log here: it appears when the hub broadcasts it back,
+  // so everybody's log has the same order and a rate-limited message never
+  // looks as if it went out.
+  async function send(text) {
+    const trimmed = (text ?? "").trim();
+    if (!trimmed || !connection || !roomId) return false;
+    try {
+      await connection.invoke("SendChat", trimmed);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setNote("Message not sent.");
+      return false;
+    }
+  }
+
+  function wireForm(form, input, afterSend) {
+    if (!form || !input) return;
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const text = input.value;
+      input.value = "";
+      await send(text);
+      if (afterSend) afterSend();
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        input.value = "";
+        input.blur();
+        if (afterSend) afterSend();
+      }
+    });
+  }
+
+  function closeFeedInput() {
+    if (!els.feedForm) return;
+    els.feedForm.hidden = true;
+    els.feedInput?.blur();
+  }
+
+  /**
+   * @param hubConnection the SignalR connection
+   * @param elements { log, form, input, note, feed, feedForm, feedInput }
+   * @param options { colorFor(teamColor) } for name colours
+   */
+  function attach(hubConnection, elements, options = {}) {
+    if (connection) return;
+    connection = hubConnection;
+    els = elements;
+    if (typeof options.colorFor === "function") colorFor = options.colorFor;
+
+    connection.on("ChatMessage", (message) => {
+      if (message && roomId) append(message);
+    });
+
+    // Sent once on joining or spectating: what was said before we arrived.
+    connection.on("ChatHistory", (payload) => {
+      if (!payload || payload.roomId !== roomId) return;
+      clear();
+      for (const message of payload.messages ?? []) append(message);
+      // Old lines do not pop up over the game; only the log shows them.
+      if (els.feed) els.feed.replaceChildren();
+    });
+
+    connection.on("ChatFailed", (payload) => {
+      setNote(ERRORS[payload?.error] || `Message not sent: ${payload?.error}`);
+    });
+
+    wireForm(els.form, els.input, null);
+    wireForm(els.feedForm, els.feedInput, closeFeedInput);
+    els.feedInput?.addEventListener("blur", closeFeedInput);
+  }
+
+  /** A new room (or none): the old room's conversation goes with it. */
+  function setRoom(nextRoomId, nextSelfId) {
+    if (nextRoomId !== roomId) clear();
+    roomId = nextRoomId;
+    selfId = nextSelfId;
+  }
+
+  /**
+   * Puts the cursor in a chat box: the feed's own line over the canvas while
+   * playing (the side panel is hidden then), the lobby log's otherwise.
+   */
+  function open(playing) {
+    if (!roomId) return;
+    if (playing && els.feedForm && els.feedInput) {
+      els.feedForm.hidden = false;
+      els.feedInput.focus();
+    } else if (els.input) {
+      els.input.focus();
+    }
+  }
+
+  function quick(index) {
+    const text = QUICK_CHAT[index];
+    if (text) send(text);
+  }
+
+  window.GameChat = {
+    QUICK_CHAT,
+    attach,
+    setRoom,
+    open,
+    quick,
+    send,
+  };
+})();
@@ -27,7 +27,28 @@
   const MAX_INTERPOLATION_DELAY_MS = 220;
   const SNAPSHOT_RETENTION_MS = 1200;
   const MAX_STATE_BUFFER = 80;
-  const MAX_RECONCILE_STEP_PX = 7;
+  // Reconciliation. Each snapshot the leader is re-predicted from the server's
+  // position (see predictFromAcknowledged); what is left over is a few pixels
+  // of tick rounding, blended away, or a teleport, snapped to.
+  const RECONCILE_DEADBAND_PX = 1;
+  const RECONCILE_BLEND = 0.35;
+  const HARD_SNAP_PX = 100;
+  // Replaying a backlog after the tab slept is not worth freezing a frame for.
+  const MAX_REPLAY_SECONDS = 1;
+  const REPLAY_STEP_SECONDS = 1 / 60;
+  // GameConstants.SuperSpeedMultiplier: what a room plays by until its first
+  // snapshot says otherwise (state.rules).
+  const SUPER_SPEED_MULTIPLIER = 1.18;
+
+  // One-click variants for the match rules panel. Classic is GameConstants.
+  // Blitz is a quick round on a small map of food; marathon a long hunt with
+  // plenty to gather first. Each keeps the swarm above the threshold, which
+  // the server insists on.
+  const MATCH_RULE_PRESETS = {
+    classic: { underlingsToBecomeSuper: 5, huntDurationSeconds: 120, superSpeedMultiplier: 1.18, underlingsPerPlayer: 6, huntStartGraceSeconds: 3 },
+    blitz: { underlingsToBecomeSuper: 3, huntDurationSeconds: 60, superSpeedMultiplier: 1.25, underlingsPerPlayer: 4, huntStartGraceSeconds: 2 },
+    marathon: { underlingsToBecomeSuper: 8, huntDurationSeconds: 300, superSpeedMultiplier: 1.12, underlingsPerPlayer: 12, huntStartGraceSeconds: 4 },
+  };
   const DEBUG_MODE = false; // Set to true to enable console diagnostics
 
   const canvas = document.getElementById("gameCanvas");
@@ -37,6 +58,12 @@
   const overlayMessageEl = document.getElementById("overlayMessage");
   const restartBtn = document.getElementById("restartBtn");
   const displayNameInput = document.getElementById("displayName");
+  const profileToggleEl = document.getElementById("profileToggle");
+  const profileColorOptionEl = document.getElementById("profileColorOption");
+  const profileColorEl = document.getElementById("profileColor");
+  const profileSwatchEl = document.getElementById("profileColorSwatch");
+  const leaderboardPanelEl = document.getElementById("leaderboardPanel");
+  const leaderboardBodyEl = document.getElementById("leaderboardBody");
   const roomCodeInput = document.getElementById("roomCode");
   const createBtn = document.getElementById("createBtn");
   const joinBtn = document.getElementById("joinBtn");
@@ -46,10 +73,50 @@
   const howToPlayBtn = document.getElementById("howToPlayBtn");
   const rulesModal = document.getElementById("rulesModal");
   const closeRulesBtn = document.getElementById("closeRulesBtn");
+  const keysBtn = document.getElementById("keysBtn");
+  const keysModal = document.getElementById("keysModal");
+  const closeKeysBtn = document.getElementById("closeKeysBtn");
+  const keysTableEl = document.getElementById("keysTable");
+  const keysNoteEl = document.getElementById("keysNote");
   const mobileControls = document.getElementById("mobileControls");
+  const touchZoneEl = document.getElementById("touchZone");
+  const touchModeEl = document.getElementById("touchMode");
+  const touchHandEl = document.getElementById("touchHand");
+  const gamepadPanelEl = document.getElementById("gamepadPanel");
+  const gamepadNameEl = document.getElementById("gamepadName");
+  const gamepadDeadzoneEl = document.getElementById("gamepadDeadzone");
+  const netSimPanelEl = document.getElementById("netSimPanel");
+  const chatPanelEl = document.getElementById("chatPanel");
+  const netSimPresetEl = document.getElementById("netSimPreset");
+  const netSimStatsEl = document.getElementById("netSimStats");
   const startBtn = document.getElementById("startBtn");
+  const eightWayOptionEl = document.getElementById("eightWayOption");
+  const eightWayToggleEl = document.getElementById("eightWayToggle");
+  const proximityVoiceOptionEl = document.getElementById("proximityVoiceOption");
+  const proximityVoiceToggleEl = document.getElementById("proximityVoiceToggle");
+  const sfuVoiceOptionEl = document.getElementById("sfuVoiceOption");
+  const sfuVoiceToggleEl = document.getElementById("sfuVoiceToggle");
+  const matchRulesPanelEl = document.getElementById("matchRulesPanel");
+  const matchRulesSummaryEl = document.getElementById("matchRulesSummary");
+  const matchRulesNoteEl = document.getElementById("matchRulesNote");
+  const matchRulesApplyBtn = document.getElementById("matchRulesApply");
+  const ruleInputEls = [...document.querySelectorAll("[data-rule]")];
+  const seriesOptionEl = document.getElementById("seriesOption");
+  const seriesLengthEl = document.getElementById("seriesLength");
+  const seriesBoardEl = document.getElementById("seriesBoard");
   const avatarBarEl = document.getElementById("avatarBar");
   const micBtn = document.getElementById("micBtn");
+  const voiceModeBtn = document.getElementById("voiceModeBtn");
+  const voiceSettingsBtn = document.getElementById("voiceSettingsBtn");
+  const voiceModal = document.getElementById("voiceModal");
+  const closeVoiceBtn = document.getElementById("closeVoiceBtn");
+  const micDeviceEl = document.getElementById("micDevice");
+  const speakerDeviceEl = document.getElementById("speakerDevice");
+  const micLevelBarEl = document.getElementById("micLevelBar");
+  const echoCancelToggleEl = document.getElementById("echoCancelToggle");
+  const noiseSuppressToggleEl = document.getElementById("noiseSuppressToggle");
+  const micTestBtn = document.getElementById("micTestBtn");
+  const voiceNoteEl = document.getElementById("voiceNote");
   const micIconEl = document.getElementById("micIcon");
   const micLabelEl = document.getElementById("micLabel");
   const voiceStatusEl = document.getElementById("voiceStatus");
@@ -67,6 +134,24 @@
   const statPlayersEl = document.getElementById("statPlayers");
   const statTimeEl = document.getElementById("statTime");
   const statPingEl = document.getElementById("statPing");
+  const watchReplayBtn = document.getElementById("watchReplayBtn");
+  const saveReplayBtn = document.getElementById("saveReplayBtn");
+  const openReplayBtn = document.getElementById("openReplayBtn");
+  const replayFileInput = document.getElementById("replayFile");
+  const replayBarEl = document.getElementById("replayBar");
+  const replayPlayBtn = document.getElementById("replayPlayBtn");
+  const replayScrubEl = document.getElementById("replayScrub");
+  const replayTimeEl = document.getElementById("replayTime");
+  const replaySpeedEl = document.getElementById("replaySpeed");
+  const replayCloseBtn = document.getElementById("replayCloseBtn");
+  const spectateBtn = document.getElementById("spectateBtn");
+  const spectatorTagEl = document.getElementById("spectatorTag");
+  const spectatePrevBtn = document.getElementById("spectatePrevBtn");
+  const spectateNextBtn = document.getElementById("spectateNextBtn");
+  const spectateLabelEl = document.getElementById("spectateLabel");
+  const spectateFreeBtn = document.getElementById("spectateFreeBtn");
+  const spectateMapBtn = document.getElementById("spectateMapBtn");
+  const spectateJoinBtn = document.getElementById("spectateJoinBtn");
 
   const canvasWidth = canvas.width;
   const canvasHeight = canvas.height;
@@ -77,31 +162,78 @@
   let worldHeight = canvasHeight;
   let worldRooms = [];
   let worldThickets = [];
-  const camera = { x: 0, y: 0 };
+  // zoom is 1 except in the spectators' whole-map view.
+  const camera = { x: 0, y: 0, zoom: 1 };
 
   let connection;
   let roomId = null;
   let myPlayerId = null;
+  // Issued with our seat; after an automatic reconnect it gets the seat back
+  // under the new connection's id (see Rejoined).
+  let reconnectToken = null;
   let isHost = false;
+  // Watching a room with no leader of our own; see the Spectating section.
+  let isSpectating = false;
   let needsLeaderSnap = false;
   let lobbyCount = 0;
   let lastDirectionSent = "none";
   let pendingDirection = "none";
+  // Room option, mirrored from snapshots: diagonals are accepted. Off, the
+  // server drops a diagonal Move to a stop, so input never produces one.
+  let eightWayMovement = false;
+  // The server has a voice forwarder, so rooms may send voice through it.
+  let voiceForwarderAvailable = false;
+  // The rules the match rules panel last showed. Snapshots only refill it
+  // when these change, so the host can type without being overwritten.
+  let lastMatchRulesKey = null;
+  // The room's series history, from GameOver and SeriesUpdated; snapshots
+  // only carry the running wins.
+  let series = null;
+  let seriesRoomId = null;
+  let lastSeriesBoardKey = null;
   let lastFrame = performance.now();
 
   // Simplified state: just latest from server + local leader override
   let serverState = createEmptyState();
   let myLocalLeader = { x: canvasWidth / 2, y: canvasHeight / 2, vx: 0, vy: 0 };
   let localDirectionVector = { x: 0, y: 0 };
+  let localLeaderSpeed = LEADER_SPEED;
+  // Every Move carries the next number. Snapshots echo the newest one the
+  // server applied, and how long it has moved under it, so everything here
+  // from that one on is what the server has not seen yet:
+  // { sequence, direction, sentAt }.
+  let inputSequence = 0;
+  const sentInputs = [];
   const activeKeyDirections = new Map();
+  // The key holding push-to-talk open, so its keyup closes it.
+  let pushToTalkKey = null;
   const stateBuffer = []; // Ordered snapshots for jitter-resistant interpolation
   let serverClockOffsetMs = null;
   let currentInterpolationDelayMs = BASE_INTERPOLATION_DELAY_MS;
   let lastAcceptedSnapshotId = 0;
   const recentSnapshotIntervals = [];
+  // Snapshots arrive as deltas against one we acknowledged, so the rebuilt
+  // states are kept by id to build the next ones on. At least as many as the
+  // server keeps (GameConstants.SnapshotHistoryLength), so any baseline it
+  // picks is one we have.
+  const SNAPSHOT_HISTORY = 64;
+  const snapshotHistory = new Map();
+  // Acks go a few times a second, not per snapshot: a slightly older
+  // baseline only makes the deltas a little larger.
+  const ACK_INTERVAL_MS = 100;
+  let lastAckSentAt = 0;
+  let fullStateRequestedAt = 0;
+  // Walls, rooms and thickets: sent once per room and world size, as
+  // LevelUpdated, and attached to every rebuilt state.
+  let level = null;
+  let levelRequestedFor = null;
 
   // Debug tracking
   let frameCount = 0;
+  // Per-second rates for the F3 overlay, independent of the debug log's
+  // three-second window.
+  const hudRates = { windowStart: performance.now(), frames: 0, snapshots: 0, fps: 0, snapshotsPerSec: 0 };
+  let lastAckedInput = 0;
   let lastDebugLog = performance.now();
   let serverUpdateCount = 0;
   let inputsSent = 0;
@@ -113,20 +245,14 @@
   let lastSnapshotServerTime = null;
   let staleSnapshotDrops = 0;
 
-  const directionByKey = {
-    ArrowUp: "up",
-    ArrowDown: "down",
-    ArrowLeft: "left",
-    ArrowRight: "right",
-    w: "up",
-    a: "left",
-    s: "down",
-    d: "right",
-    W: "up",
-    A: "left",
-    S: "down",
-    D: "right",
-  };
+  // Which key steers is up to the player (bindings.js); the four movement
+  // actions are named after the direction they send.
+  const MOVE_ACTIONS = new Set(["up", "down", "left", "right"]);
+
+  function directionForKey(key) {
+    const action = KeyBindings.actionFor(key);
+    return MOVE_ACTIONS.has(action) ? action : null;
+  }
 
   function createEmptyState() {
     return {
@@ -137,6 +263,17 @@
     };
   }
 
+  /**
+   * Whose eyes the view is through. Normally yours; while a replay is open it
+   * is whoever recorded it, so the camera, the "(you)" tag and the phase banner
+   * all follow the player the match was played by.
+   */
+  function viewerId() {
+    if (GameReplay.isReplaying()) return GameReplay.selfId();
+    if (isSpectating) return spectatorCam.mode === "follow" ? spectatorCam.targetId : null;
+    return myPlayerId;
+  }
+
   function setStatus(message) {
     // Called every snapshot (~33/s); skip identical writes to avoid DOM churn.
     if (statusEl.textContent !== message) {
@@ -201,17 +338,24 @@
     serverClockOffsetMs = null;
     currentInterpolationDelayMs = BASE_INTERPOLATION_DELAY_MS;
     lastAcceptedSnapshotId = 0;
+    snapshotHistory.clear();
+    lastAckSentAt = 0;
     snapshotJitterMs = 0;
     lastSnapshotServerTime = null;
     staleSnapshotDrops = 0;
   }
 
   async function startConnection() {
-    connection = new signalR.HubConnectionBuilder()
+    const builder = new signalR.HubConnectionBuilder()
       .withUrl("/gamehub", { transport: signalR.HttpTransportType.WebSockets })
-      .withAutomaticReconnect()
-      .build();
-
+      .withAutomaticReconnect();
+    const protocol = GameWire.protocol();
+    if (protocol) builder.withHubProtocol(protocol);
+    connection = builder.build();
+
+    // Before any handler is registered, so all of them go through them.
+    GameWire.attach(connection);
+    NetSim.attach(connection);
     registerHandlers();
 
     connection.onreconnecting(() => {
@@ -222,41 +366,80 @@
     connection.onreconnected(() => {
       setStatus("Reconnected. Syncing state…");
       lastDirectionSent = "none";
-      flushDirection();
-      if (roomId) {
-        connection.invoke("RequestState").catch(console.error);
+      // A reconnect is a new connection, which knows nothing of the profile,
+      // the room or the seat. Steering waits for Rejoined: until then the
+      // server has nowhere to apply it.
+      sendProfile();
+      if (roomId && reconnectToken) {
+        connection.invoke("Rejoin", roomId, reconnectToken).catch(console.error);
+      } else if (roomId && isSpectating) {
+        connection.invoke("SpectateGame", roomId).catch(console.error);
       }
     });
 
     connection.onclose(() => {
       setStatus("Connection closed. Refresh to retry.");
+      GameReplay.stop();
       serverState = createEmptyState();
       activeKeyDirections.clear();
       setPendingDirection("none");
       lastDirectionSent = "none";
+      sentInputs.length = 0;
       resetSnapshotPipeline();
       VoiceClient.reset();
+      GameChat.setRoom(null, null);
     });
 
     await connection.start();
+    // Before anything can create or join a room (the invite link below does
+    // it straight away), so the preferred colour is known in time.
+    await sendProfile();
     VoiceClient.attach(connection, myPlayerId);
+    // Whether "Voice via server" can be offered at all: the server says if a
+    // forwarder is configured.
+    connection
+      .invoke("GetVoiceRoute")
+      .then((route) => {
+        voiceForwarderAvailable = !!route?.forwarderAvailable;
+      })
+      .catch(() => {});
+    GameChat.attach(connection, {
+      log: document.getElementById("chatLog"),
+      form: document.getElementById("chatForm"),
+      input: document.getElementById("chatInput"),
+      note: document.getElementById("chatNote"),
+      feed: document.getElementById("chatFeed"),
+      feedForm: document.getElementById("chatFeedForm"),
+      feedInput: document.getElementById("chatFeedInput"),
+    }, { colorFor: (teamColor) => paletteFor(teamColor).leader });
     setStatus("Connected. Create or join a game.");
     flushDirection();
 
-    const queryCode = new URLSearchParams(window.location.search).get("code");
+    const query = new URLSearchParams(window.location.search);
+    const queryCode = query.get("code");
     if (queryCode) {
       roomCodeInput.value = queryCode.toUpperCase();
-      joinBtn.click();
+      // ?spectate=1 is for the big screen: it watches instead of taking a slot.
+      if (query.get("spectate") === "1" && spectateBtn) spectateBtn.click();
+      else joinBtn.click();
     }
   }
 
   function registerHandlers() {
     connection.on("GameCreated", (payload) => {
+      stopSpectating();
       resetSnapshotPipeline();
       roomId = payload.roomId;
       myPlayerId = payload.player.playerId;
+      reconnectToken = payload.reconnectToken ?? null;
       isHost = payload.hostId ? payload.hostId === myPlayerId : true;
       VoiceClient.setSelfId(myPlayerId);
+      GameChat.setRoom(roomId, myPlayerId);
+      // Until we report our lag the server judges us by a wider, lag-blind
+      // reach; report now rather than at the next two-second ping.
+      measureLatency();
+      // A new seat on the server, counting acknowledgements from zero.
+      sentInputs.length = 0;
       serverState = createEmptyState();
       lobbyCount = 1;
       needsLeaderSnap = true; // adopt our room spawn from the first snapshot
@@ -266,11 +449,19 @@
     });
 
     connection.on("JoinedGame", (payload) => {
+      stopSpectating();
       resetSnapshotPipeline();
       roomId = payload.roomId;
       myPlayerId = payload.player?.playerId ?? myPlayerId;
+      reconnectToken = payload.reconnectToken ?? reconnectToken;
       isHost = payload.hostId ? payload.hostId === myPlayerId : false;
       VoiceClient.setSelfId(myPlayerId);
+      GameChat.setRoom(roomId, myPlayerId);
+      // Until we report our lag the server judges us by a wider, lag-blind
+      // reach; report now rather than at the next two-second ping.
+      measureLatency();
+      // A new seat on the server, counting acknowledgements from zero.
+      sentInputs.length = 0;
       serverState = createEmptyState();
       needsLeaderSnap = true; // adopt our room spawn from the first snapshot
       setInviteLink(roomId);
@@ -288,6 +479,71 @@
       setStatus(`Join failed: ${messages[payload.error] || payload.error}`);
     });
 
+    // Our seat, back after a reconnect, under this connection's id. The
+    // leader, the inputs not yet acknowledged and the replay all carry on;
+    // only what is keyed by the id starts again. The server has held the
+    // leader still, so adopt where it stopped.
+    connection.on("Rejoined", (payload) => {
+      roomId = payload.roomId;
+      myPlayerId = payload.player.playerId;
+      isHost = payload.hostId === myPlayerId;
+      VoiceClient.rejoinAs(myPlayerId);
+      // The chat history that follows names our old lines by the new id too.
+      GameChat.setRoom(roomId, myPlayerId);
+      needsLeaderSnap = true;
+      lastDirectionSent = "none";
+      flushDirection();
+      measureLatency();
+      setStatus("Reconnected.");
+    });
+
+    connection.on("RejoinFailed", (payload) => {
+      const messages = {
+        RoomNotFound: "the room closed while you were away.",
+        SeatExpired: "you were away too long and lost your seat.",
+      };
+      roomId = null;
+      myPlayerId = null;
+      reconnectToken = null;
+      isHost = false;
+      GameReplay.stop();
+      serverState = createEmptyState();
+      sentInputs.length = 0;
+      resetSnapshotPipeline();
+      VoiceClient.setSelfId(null);
+      GameChat.setRoom(null, null);
+      setInviteLink(null);
+      updateStatusFromState(serverState);
+      setStatus(`Reconnected, but ${messages[payload.error] || payload.error}`);
+    });
+
+    connection.on("SpectatingGame", (payload) => {
+      resetSnapshotPipeline();
+      roomId = payload.roomId;
+      myPlayerId = null;
+      reconnectToken = null;
+      isHost = false;
+      // No voice for spectators; this also drops any calls from a previous room.
+      VoiceClient.setSelfId(null);
+      GameChat.setRoom(roomId, null);
+      serverState = createEmptyState();
+      needsLeaderSnap = false;
+      startSpectating();
+      setInviteLink(roomId);
+      hideOverlay();
+      updateStatusFromState(serverState);
+      connection.invoke("RequestState").catch(console.error);
+    });
+
+    connection.on("SpectateFailed", (payload) => {
+      const messages = {
+        RoomNotFound: "Room not found. Check the code.",
+        AlreadyPlaying: "You are already playing in that room.",
+        SpectatorsFull: "That room has as many spectators as it allows.",
+      };
+      setStatus(`Can't spectate: ${messages[payload.error] || payload.error}`);
+    });
+
     connection.on("PlayerJoined", (payload) => {
       if (payload.hostId && myPlayerId) {
         isHost = payload.hostId === myPlayerId;
@@ -301,6 +557,22 @@
       });
     });
 
+    connection.on("RoomOptionFailed", (payload) => {
+      const messages = {
+        NotHost: "Only the host can change room options.",
+        AlreadyStarted: "Room options are locked once the match starts.",
+        RoomNotFound: "Room not found.",
+        ForwarderUnavailable: "This server has no voice forwarder set up.",
+        OutOfRange: "One of those rules is outside what the server allows.",
+        SwarmTooSmall: "Each swarm must be bigger than the number needed to turn super.",
+      };
+      // Whatever the host typed did not take; show the room's rules again.
+      lastMatchRulesKey = null;
+      setStatus(messages[payload.error] || `Cannot change option: ${payload.error}`);
+      // The checkbox flipped locally; put it back to what the room says.
+      updateRoomOptions(serverState);
+    });
+
     connection.on("StartFailed", (payload) => {
       const messages = {
         NotHost: "Only the host can start the match.",
@@ -310,32 +582,46 @@
       setStatus(messages[payload.error] || `Cannot start: ${payload.error}`);
     });
 
-    connection.on("GameStateUpdated", (payload) => {
-      if (serverState.winnerId) {
+    connection.on("LevelUpdated", applyLevel);
+
+    connection.on("GameStateUpdated", (delta) => {
+      if (roomId && delta.roomId && delta.roomId !== roomId) {
+        resetSnapshotPipeline();
+        // Whatever was being recorded belongs to the room we just left.
+        GameReplay.stop();
+      }
+
+      if (delta.snapshotId <= lastAcceptedSnapshotId) {
+        staleSnapshotDrops++;
         return;
       }
 
-      if (roomId && payload.roomId && payload.roomId !== roomId) {
-        resetSnapshotPipeline();
+      // Rebuilt and acknowledged even while a replay or the result card has
+      // the screen, so the baselines stay fresh for when they let go.
+      const payload = rebuildSnapshot(delta);
+      if (!payload) {
+        requestFullState();
+        return;
       }
+      lastAcceptedSnapshotId = delta.snapshotId;
+      acknowledgeSnapshot(delta.snapshotId);
 
-      if (typeof payload.snapshotId === "number") {
-        if (payload.snapshotId <= lastAcceptedSnapshotId) {
-          staleSnapshotDrops++;
-          return;
-        }
-        lastAcceptedSnapshotId = payload.snapshotId;
+      // A replay owns serverState while it is open; live lobby snapshots would
+      // otherwise yank the view back to the room every 30ms.
+      if (serverState.winnerId || GameReplay.isReplaying()) {
+        return;
       }
 
       serverState = payload;
       pushStateSnapshot(payload);
+      GameReplay.record(payload);
       roomId = payload.roomId;
       serverUpdateCount++;
+      hudRates.snapshots++;
 
-      if (typeof payload.worldWidth === "number") worldWidth = payload.worldWidth;
-      if (typeof payload.worldHeight === "number") worldHeight = payload.worldHeight;
-      if (Array.isArray(payload.rooms)) worldRooms = payload.rooms;
-      if (Array.isArray(payload.thickets)) worldThickets = payload.thickets;
+      setEightWayMovement(!!payload.eightWayMovement);
+      VoiceClient.setProximity(!!payload.proximityVoice);
+      VoiceClient.setTransport(payload.voiceTransport || "mesh");
 
       // The snapshot roster is the authoritative "who is in this room" list, in
       // the lobby and mid-match alike, so voice peering follows it.
@@ -345,6 +631,8 @@
       if (myPlayerId && payload.players) {
         const me = payload.players.find((p) => p.connectionId === myPlayerId);
         if (me && me.leader) {
+          const superMultiplier = payload.rules?.superSpeedMultiplier ?? SUPER_SPEED_MULTIPLIER;
+          localLeaderSpeed = LEADER_SPEED * (me.isSuper ? superMultiplier : 1);
           if (needsLeaderSnap) {
             // Fresh match/spawn: adopt the authoritative position immediately
             // instead of rubber-banding from a stale local position.
@@ -353,49 +641,33 @@
             myLocalLeader.vx = 0;
             myLocalLeader.vy = 0;
             needsLeaderSnap = false;
+            // Nothing sent before the spawn moves us from here.
+            sentInputs.splice(0, sentInputs.length - 1);
           } else {
-            // Keep local control immediate and reconcile toward authoritative state.
-            const targetX = me.leader.x;
-            const targetY = me.leader.y;
-            const dx = myLocalLeader.x - targetX;
-            const dy = myLocalLeader.y - targetY;
+            // Keep local control immediate; correct it toward where the server
+            // says we are plus whatever we have done since it last heard.
+            const predicted = predictFromAcknowledged(me);
+            const dx = predicted.x - myLocalLeader.x;
+            const dy = predicted.y - myLocalLeader.y;
             const distSq = dx * dx + dy * dy;
+            lastAckedInput = me.lastInputSequence ?? 0;
+            PerfHud.sample("drift", Math.sqrt(distSq));
 
             if (DEBUG_MODE && distSq > 100) {
               console.log(`Drift: ${Math.sqrt(distSq).toFixed(1)}px`);
             }
 
-            // If we are stopped locally, trust local position to avoid visible post-stop pulls.
-            const isLocallyStopped =
-              localDirectionVector.x === 0 && localDirectionVector.y === 0;
-            // Expected honest drift grows with latency (the server's view of us
-            // trails by ~RTT). Scale the tolerance with the measured ping so a
-            // laggy or heavily loaded setup doesn't trigger a correction on
-            // every snapshot (constant rubber-band stutter). Capped below the
-            // 100px hard-snap so severe desync still snaps.
-            const latencySlackPx = Math.min(
-              90,
-              LEADER_SPEED * (currentLatency + 0.05),
-            );
-            const movingPx = Math.max(25, latencySlackPx);
-            const stoppedPx = Math.max(50, latencySlackPx * 1.5);
-            const driftThreshold = isLocallyStopped
-              ? stoppedPx * stoppedPx
-              : movingPx * movingPx;
-
-            if (distSq > 10000) {
-              // Hard snap only when severely desynced (>100px).
+            if (distSq > HARD_SNAP_PX * HARD_SNAP_PX) {
+              // Severe desync, or the server moved us (a new round's spawn).
               if (DEBUG_MODE) console.warn("Hard snap correction!");
-              myLocalLeader.x = targetX;
-              myLocalLeader.y = targetY;
+              myLocalLeader.x = predicted.x;
+              myLocalLeader.y = predicted.y;
               hardSnapCount++;
-            } else if (distSq > driftThreshold) {
-              // Bounded correction avoids visible rubber-band spikes on bursty updates.
-              const dist = Math.sqrt(distSq);
-              const step = Math.min(MAX_RECONCILE_STEP_PX, dist);
-              const correction = step / Math.max(1, dist);
-              myLocalLeader.x = lerp(myLocalLeader.x, targetX, correction);
-              myLocalLeader.y = lerp(myLocalLeader.y, targetY, correction);
+            } else if (distSq > RECONCILE_DEADBAND_PX * RECONCILE_DEADBAND_PX) {
+              // The prediction already accounts for latency, so what remains is
+              // small; close a share of it per snapshot rather than jumping.
+              myLocalLeader.x += dx * RECONCILE_BLEND;
+              myLocalLeader.y += dy * RECONCILE_BLEND;
               correctionCount++;
             }
           }
@@ -405,21 +677,47 @@
       // maybeAssignPlayerId(payload); // REMOVED: Caused race condition where Red player attached to Blue
       updateStatusFromState(payload);
     });
+    connection.on("SeriesUpdated", (payload) => {
+      if (!payload || payload.roomId !== roomId) return;
+      setSeries(payload.series);
+    });
+
     connection.on("GameOver", (payload) => {
       if (!payload) {
         return;
       }
+      setSeries(payload.series);
+      // The match is on the ladder by now; an open ladder should show it.
+      if (leaderboardPanelEl?.open) loadLeaderboard();
 
       const isDraw = !payload.winnerId;
       const winner = isDraw
         ? null
         : serverState.players.find((p) => p.connectionId === payload.winnerId);
 
-      // Ensure state reflects game over so movement stops (truthy sentinel for a draw).
-      serverState.winnerId = payload.winnerId || "__draw__";
+      // Ensure state reflects game over so movement stops (truthy sentinel for a
+      // draw). A copy: the snapshot itself is a baseline for later ones.
+      serverState = { ...serverState, winnerId: payload.winnerId || "__draw__" };
+
+      GameReplay.note("gameOver", {
+        winnerId: payload.winnerId ?? null,
+        winnerName: winner ? winner.displayName || winner.teamColor : null,
+      });
+      GameReplay.stop();
+      updateReplayButtons();
 
       GameAudio.playTrack("victory");
 
+      // The match that decides a series is the series' moment, not the
+      // match's: the card crowns whoever took the series.
+      const seriesWinner = series && series.length > 1 && series.winnerId
+        ? serverState.players.find((p) => p.connectionId === series.winnerId)
+        : null;
+      if (seriesWinner) {
+        showSeriesCeremony(seriesWinner, payload.stats);
+        return;
+      }
+
       const winnerColor = winner ? paletteFor(winner.teamColor).leader : "#ffffff";
       const titleText = winner ? "VICTORY!" : isDraw ? "DRAW" : "GAME OVER";
 
@@ -462,13 +760,16 @@
 
       // Only the host can trigger a rematch.
       if (restartBtn) restartBtn.style.display = isHost ? "" : "none";
-      showOverlay([title, sub, note]);
+      showOverlay([title, sub, ...matchStatsNodes(payload.stats), ...seriesOverlayNodes(), note]);
       paintVictoryCrest(winner ? winner.teamColor : null);
     });
 
     connection.on("MatchStarted", () => {
+      // The host does not wait for anyone to finish watching.
+      if (GameReplay.isReplaying()) exitReplay();
       hideOverlay();
       setStatus("Match starting!");
+      TouchControls.release();
       activeKeyDirections.clear();
       setPendingDirection("none");
       lastDirectionSent = "none";
@@ -478,6 +779,9 @@
       correctionCount = 0;
       hardSnapCount = 0;
       if (restartBtn) restartBtn.style.display = "";
+      GameReplay.start(roomId, myPlayerId);
+      GameReplay.note("matchStarted");
+      updateReplayButtons();
     });
   }
 
@@ -515,6 +819,130 @@
     );
   }
 
+  // ---- Snapshot deltas ------------------------------------------------------
+
+  // Only ever sent for the room we are in, sometimes ahead of the first
+  // snapshot from it. The same version again (RequestState resends it) still
+  // applies, which is what puts the live world back after a replay.
+  function applyLevel(next) {
+    if (!next) return;
+    if (level && level.roomId === next.roomId && level.version > next.version) return;
+    level = next;
+    if (GameReplay.isReplaying()) return;
+    worldWidth = level.worldWidth;
+    worldHeight = level.worldHeight;
+    worldRooms = level.rooms;
+    worldThickets = level.thickets;
+  }
+
+  /** Applies one player's changes to what the baseline had (nothing, for a new player). */
+  function applyPlayerDelta(old, change) {
+    const player = old
+      ? { ...old, ...change.info }
+      : { connectionId: change.connectionId, ...change.info, underlings: [], lastInputSequence: 0, secondsOnInput: 0 };
+    if (change.leader) player.leader = change.leader;
+    else if (change.leaderMove) player.leader = { ...old.leader, ...change.leaderMove };
+
+    if (change.added || change.moved || change.removed) {
+      const moved = new Map((change.moved ?? []).map((m) => [m.id, m]));
+      const removed = new Set(change.removed ?? []);
+      const underlings = [];
+      for (const u of old?.underlings ?? []) {
+        if (removed.has(u.id)) continue;
+        const move = moved.get(u.id);
+        underlings.push(move ? { ...u, ...move } : u);
+      }
+      if (change.added) underlings.push(...change.added);
+      player.underlings = underlings;
+    }
+    return player;
+  }
+
+  /**
+   * The full state a delta describes, in the shape snapshots always had — so
+   * interpolation, rendering and replays never know the difference. Null when
+   * the baseline it names is not one we still have. Unchanged players and
+   * entities are the baseline's own objects, shared, which is why nothing
+   * may modify a snapshot once it is rebuilt.
+   */
+  function rebuildSnapshot(delta) {
+    let base = null;
+    if (delta.baselineId != null) {
+      base = snapshotHistory.get(delta.baselineId);
+      if (!base) return null;
+    }
+
+    const changes = new Map((delta.players ?? []).map((p) => [p.connectionId, p]));
+    const removed = new Set(delta.removedPlayers ?? []);
+    const players = [];
+    for (const old of base?.players ?? []) {
+      if (removed.has(old.connectionId)) continue;
+      const change = changes.get(old.connectionId);
+      changes.delete(old.connectionId);
+      players.push(change ? applyPlayerDelta(old, change) : old);
+    }
+    for (const change of changes.values()) players.push(applyPlayerDelta(null, change));
+
+    // Our own acknowledgement comes separately; nobody else's is sent.
+    if (delta.input && myPlayerId) {
+      const index = players.findIndex((p) => p.connectionId === myPlayerId);
+      if (index >= 0) {
+        players[index] = {
+          ...players[index],
+          lastInputSequence: delta.input.sequence,
+          secondsOnInput: delta.input.secondsOnInput,
+        };
+      }
+    }
+
+    const state = {
+      ...base,
+      ...delta.room,
+      roomId: delta.roomId,
+      snapshotId: delta.snapshotId,
+      serverTime: delta.serverTime,
+      huntSecondsRemaining: delta.huntSecondsRemaining,
+      players,
+    };
+    if (level && level.roomId === delta.roomId) {
+      state.worldWidth = level.worldWidth;
+      state.worldHeight = level.worldHeight;
+      state.obstacles = level.obstacles;
+      state.rooms = level.rooms;
+      state.thickets = level.thickets;
+    }
+    // A level we do not have yet: normally already on its way (it is sent
+    // ahead of the snapshot that names it), so ask once, not per snapshot.
+    const levelKey = `${delta.roomId}:${state.levelVersion}`;
+    const haveLevel = level && level.roomId === delta.roomId && level.version >= state.levelVersion;
+    if (!haveLevel && levelRequestedFor !== levelKey) {
+      levelRequestedFor = levelKey;
+      connection.invoke("RequestLevel").catch(console.error);
+    }
+
+    snapshotHistory.set(delta.snapshotId, state);
+    if (snapshotHistory.size > SNAPSHOT_HISTORY) {
+      snapshotHistory.delete(snapshotHistory.keys().next().value);
+    }
+    return state;
+  }
+
+  function acknowledgeSnapshot(snapshotId) {
+    const now = performance.now();
+    if (now - lastAckSentAt < ACK_INTERVAL_MS) return;
+    lastAckSentAt = now;
+    connection.invoke("AckSnapshot", snapshotId).catch(() => {});
+  }
+
+  /** Lost the thread (a baseline we no longer have): start again from a full one. */
+  function requestFullState() {
+    const now = performance.now();
+    if (now - fullStateRequestedAt < 1000) return;
+    fullStateRequestedAt = now;
+    snapshotHistory.clear();
+    connection.invoke("RequestState").catch(console.error);
+  }
+
   function pushStateSnapshot(state) {
     const clientNow = Date.now();
     const hasServerTime = typeof state.serverTime === "number";
@@ -559,6 +987,17 @@
   }
 
   function getBufferedStateForRender() {
+    // A replay runs on its own clock, so the live buffer and its adaptive
+    // delay are bypassed — but the two frames either side of the cursor go
+    // through the same interpolation as live ones.
+    if (GameReplay.isReplaying()) {
+      const sample = GameReplay.sample();
+      if (!sample) return serverState;
+      return sample.older === sample.newer
+        ? sample.newer
+        : interpolateState(sample.older, sample.newer, sample.t);
+    }
+
     if (stateBuffer.length === 0) {
       return serverState;
     }
@@ -666,6 +1105,9 @@
     }
 
     lobbyCount = state.players?.length ?? lobbyCount;
+    // A seat held for someone reconnecting counts toward the room, not
+    // toward starting a match: the server only starts with who is here.
+    const enoughToStart = (state.players?.filter((p) => !p.isAway).length ?? lobbyCount) >= 2;
     const inLobby = !state.isActive && !state.winnerId;
 
     // Derived from state every snapshot rather than toggled on individual
@@ -691,20 +1133,28 @@
     // Runs every snapshot; only touch the DOM when something actually changes.
     if (startBtn) {
       if (inLobby && isHost && roomId) {
-        const label = lobbyCount < 2 ? "Waiting for players…" : "Start Match";
+        const label = enoughToStart ? "Start Match" : "Waiting for players…";
         if (startBtn.style.display !== "block") startBtn.style.display = "block";
-        if (startBtn.disabled !== (lobbyCount < 2)) startBtn.disabled = lobbyCount < 2;
+        if (startBtn.disabled !== !enoughToStart) startBtn.disabled = !enoughToStart;
         if (startBtn.textContent !== label) startBtn.textContent = label;
       } else if (startBtn.style.display !== "none") {
         startBtn.style.display = "none";
       }
     }
 
-    if (state.isActive) {
+    updateRoomOptions(state);
+    // Chat stays through the result screen: that is when people say "gg".
+    if (chatPanelEl && chatPanelEl.hidden === !!roomId) chatPanelEl.hidden = !roomId;
+
+    if (isSpectating && !state.winnerId) {
+      setStatus(state.isActive
+        ? `Spectating ${roomId}.`
+        : `Spectating ${roomId} — ${lobbyCount}/${MAX_PLAYERS} in the lobby.`);
+    } else if (state.isActive) {
       setStatus("Battle in progress!");
     } else if (state.winnerId) {
       // Overlay handles the game-over messaging.
-    } else if (lobbyCount < 2) {
+    } else if (!enoughToStart) {
       setStatus(`Waiting for players… (${lobbyCount}/${MAX_PLAYERS})`);
     } else if (isHost) {
       setStatus(`Ready — ${lobbyCount}/${MAX_PLAYERS} in lobby. Press Start Match.`);
@@ -713,6 +1163,104 @@
     }
   }
 
+  // Shown to everyone in a room's lobby, editable by the host alone. Runs
+  // every snapshot, so like the Start button it only writes on a change.
+  function updateRoomOptions(state) {
+    const visible = !!roomId && !state.isActive && !state.winnerId;
+    const locked = !isHost || isSpectating;
+    const sync = (labelEl, toggleEl, checked) => {
+      if (!labelEl || !toggleEl) return;
+      if (labelEl.hidden === visible) labelEl.hidden = !visible;
+      if (toggleEl.disabled !== locked) toggleEl.disabled = locked;
+      if (toggleEl.checked !== checked) toggleEl.checked = checked;
+    };
+    sync(eightWayOptionEl, eightWayToggleEl, !!state.eightWayMovement);
+    sync(proximityVoiceOptionEl, proximityVoiceToggleEl, !!state.proximityVoice);
+    // Only offered where the server has somewhere to forward voice to — but a
+    // room already set to it keeps showing it, so nobody wonders why.
+    const forwarded = state.voiceTransport === "sfu";
+    if (voiceForwarderAvailable || forwarded) sync(sfuVoiceOptionEl, sfuVoiceToggleEl, forwarded);
+    else if (sfuVoiceOptionEl && !sfuVoiceOptionEl.hidden) sfuVoiceOptionEl.hidden = true;
+    updateMatchRules(state, visible, locked);
+    updateSeriesBoard(state);
+  }
+
+  // ---- Match rules ---------------------------------------------------------
+
+  function describeRules(rules) {
+    return [
+      `${rules.underlingsToBecomeSuper} to turn super`,
+      `${formatReplayTime(rules.huntDurationSeconds * 1000)} hunt`,
+      `hunter ×${rules.superSpeedMultiplier.toFixed(2)}`,
+      `${rules.underlingsPerPlayer} underlings each`,
+      `${rules.huntStartGraceSeconds}s grace`,
+    ].join(" · ");
+  }
+
+  function presetFor(rules) {
+    return Object.keys(MATCH_RULE_PRESETS).find((name) =>
+      Object.entries(MATCH_RULE_PRESETS[name]).every(([key, value]) => Math.abs(rules[key] - value) < 1e-3)) ?? null;
+  }
+
+  // Everyone sees the rules before the match; only the host can touch them.
+  function updateMatchRules(state, visible, locked) {
+    if (!matchRulesPanelEl) return;
+    const rules = state.rules;
+    const show = visible && !!rules;
+    if (matchRulesPanelEl.hidden === show) matchRulesPanelEl.hidden = !show;
+    if (!show) return;
+
+    for (const el of matchRulesPanelEl.querySelectorAll("input, button")) {
+      if (el.disabled !== locked) el.disabled = locked;
+    }
+
+    // Rewritten only when the room's rules change, which also discards any
+    // half-made edit: what the room will play is what the panel shows.
+    const key = JSON.stringify(rules);
+    if (key === lastMatchRulesKey) return;
+    lastMatchRulesKey = key;
+
+    const preset = presetFor(rules);
+    if (matchRulesSummaryEl) {
+      matchRulesSummaryEl.textContent = preset ? preset[0].toUpperCase() + preset.slice(1) : "Custom";
+      matchRulesSummaryEl.title = describeRules(rules);
+    }
+    for (const el of ruleInputEls) {
+      if (typeof rules[el.dataset.rule] === "number") el.value = String(rules[el.dataset.rule]);
+    }
+    for (const btn of matchRulesPanelEl.querySelectorAll("[data-rule-preset]")) {
+      btn.classList.toggle("active", btn.dataset.rulePreset === preset);
+    }
+    if (matchRulesNoteEl) matchRulesNoteEl.textContent = "";
+  }
+
+  function readRuleInputs() {
+    const rules = {};
+    for (const el of ruleInputEls) rules[el.dataset.rule] = Number(el.value);
+    return rules;
+  }
+
+  async function sendMatchRules(rules) {
+    if (!roomId) return;
+    try {
+      await connection.invoke("SetMatchRules", rules);
+    } catch (err) {
+      console.error(err);
+      if (matchRulesNoteEl) matchRulesNoteEl.textContent = "Rules not sent.";
+    }
+    // Refill the panel from the next snapshot, whether or not they took.
+    lastMatchRulesKey = null;
+  }
+
+  function setEightWayMovement(enabled) {
+    if (enabled === eightWayMovement) return;
+    eightWayMovement = enabled;
+    TouchControls.setEightWay(enabled);
+    GamepadInput.setEightWay(enabled);
+    // Held keys may now combine, or may no longer; steer by the new rule.
+    setPendingDirection(resolveDirectionFromKeys());
+  }
+
   // Must match GameConstants.WallThickness — rooms are drawn with walls inside
   // their own footprint, so the standable interior is inset by this much.
   const WALL_THICKNESS = 44;
@@ -725,7 +1273,7 @@
     return worldRooms[index % worldRooms.length] || null;
   }
 
-  function penLocalLeaderInLobby() {
+  function penLocalLeaderInLobby(leader) {
     if (serverState.isActive || serverState.winnerId) return;
     const pen = myRoomRect();
     if (!pen) return;
@@ -736,37 +1284,77 @@
     const minY = pen.y + inset;
     const maxY = pen.y + pen.height - inset;
 
-    myLocalLeader.x = clamp(myLocalLeader.x, Math.min(minX, maxX), Math.max(minX, maxX));
-    myLocalLeader.y = clamp(myLocalLeader.y, Math.min(minY, maxY), Math.max(minY, maxY));
+    leader.x = clamp(leader.x, Math.min(minX, maxX), Math.max(minX, maxX));
+    leader.y = clamp(leader.y, Math.min(minY, maxY), Math.max(minY, maxY));
   }
 
   function updateLocalLeader(deltaSeconds) {
     // Move local leader instantly based on input
-    const vx = localDirectionVector.x * LEADER_SPEED;
-    const vy = localDirectionVector.y * LEADER_SPEED;
+    stepLeader(myLocalLeader, localDirectionVector, deltaSeconds);
+  }
 
-    myLocalLeader.x = clamp(
-      myLocalLeader.x + vx * deltaSeconds,
-      LEADER_RADIUS,
-      worldWidth - LEADER_RADIUS,
-    );
-    myLocalLeader.y = clamp(
-      myLocalLeader.y + vy * deltaSeconds,
-      LEADER_RADIUS,
-      worldHeight - LEADER_RADIUS,
-    );
-    myLocalLeader.vx = vx;
-    myLocalLeader.vy = vy;
+  /** One step of the leader's movement, as the server simulates it. */
+  function stepLeader(leader, vector, deltaSeconds) {
+    const vx = vector.x * localLeaderSpeed;
+    const vy = vector.y * localLeaderSpeed;
+
+    leader.x = clamp(leader.x + vx * deltaSeconds, LEADER_RADIUS, worldWidth - LEADER_RADIUS);
+    leader.y = clamp(leader.y + vy * deltaSeconds, LEADER_RADIUS, worldHeight - LEADER_RADIUS);
+    leader.vx = vx;
+    leader.vy = vy;
 
     // In the lobby you can drive, but only inside your own room. The server pens
     // you the same way; mirroring it here keeps the optimistic position from
     // rubber-banding against a clamp it cannot see coming.
-    penLocalLeaderInLobby();
+    penLocalLeaderInLobby(leader);
 
     // Slide the optimistic local leader around obstacles so it matches the server
     // (which does the same circle-vs-rectangle resolution) and doesn't clip walls.
-    collideLeaderWithObstacles(myLocalLeader);
-    collideLeaderWithThickets(myLocalLeader);
+    collideLeaderWithObstacles(leader);
+    collideLeaderWithThickets(leader);
+  }
+
+  /**
+   * Where the server will have us once it catches up: its position for us,
+   * plus every input it has not applied yet, re-run from there.
+   *
+   * The acknowledged input itself is partly done — the server reports how
+   * long it has moved under it, and only the rest of the time we held it is
+   * replayed. That remainder is the round trip, which is exactly the drift the
+   * old fixed-step lerp kept tugging back as rubber-banding.
+   */
+  function predictFromAcknowledged(me) {
+    const acked = me.lastInputSequence ?? 0;
+    // Keep the acknowledged input as the base of the replay; older ones are
+    // settled.
+    while (sentInputs.length > 1 && sentInputs[1].sequence <= acked) {
+      sentInputs.shift();
+    }
+    if (sentInputs.length && sentInputs[0].sequence < acked) {
+      sentInputs.shift();
+    }
+
+    const predicted = { x: me.leader.x, y: me.leader.y, vx: 0, vy: 0 };
+    const now = performance.now();
+    let budget = MAX_REPLAY_SECONDS;
+    for (let i = 0; i < sentInputs.length && budget > 0; i++) {
+      const input = sentInputs[i];
+      const end = i + 1 < sentInputs.length ? sentInputs[i + 1].sentAt : now;
+      let seconds = (end - input.sentAt) / 1000;
+      // Negative when the server ran on with it longer than we did (the next
+      // input was still in flight). That is what really happened, so leave it.
+      if (input.sequence === acked) seconds -= me.secondsOnInput ?? 0;
+      seconds = Math.min(seconds, budget);
+      budget -= Math.max(0, seconds);
+
+      const vector = directionToVector(input.direction);
+      while (seconds > 0) {
+        const dt = Math.min(REPLAY_STEP_SECONDS, seconds);
+        stepLeader(predicted, vector, dt);
+        seconds -= dt;
+      }
+    }
+    return predicted;
   }
 
   // Mirrors ResolveThicketCollisions on the server so the optimistic leader
@@ -855,7 +1443,7 @@
       let leader = player.leader;
       const latestPlayer = latestPlayersById.get(player.connectionId);
 
-      if (player.connectionId === myPlayerId) {
+      if (player.connectionId === myPlayerId && !GameReplay.isReplaying()) {
         // Use my local leader position
         leader = {
           ...player.leader,
@@ -1541,48 +2129,111 @@
   const staticLayer = document.createElement("canvas");
   let staticLayerSignature = null;
 
-  function updateCamera() {
-    camera.x = clamp(
-      myLocalLeader.x - canvasWidth / 2,
-      0,
-      Math.max(0, worldWidth - canvasWidth),
-    );
-    camera.y = clamp(
-      myLocalLeader.y - canvasHeight / 2,
-      0,
-      Math.max(0, worldHeight - canvasHeight),
+  function updateCamera(focus) {
+    const viewWidth = canvasWidth / camera.zoom;
+    const viewHeight = canvasHeight / camera.zoom;
+    // Zoomed out far enough to see past the world, centre it rather than pin
+    // it to the top-left corner.
+    camera.x = worldWidth < viewWidth
+      ? (worldWidth - viewWidth) / 2
+      : clamp(focus.x - viewWidth / 2, 0, worldWidth - viewWidth);
+    camera.y = worldHeight < viewHeight
+      ? (worldHeight - viewHeight) / 2
+      : clamp(focus.y - viewHeight / 2, 0, worldHeight - viewHeight);
+  }
+
+  function drawStaticView() {
+    const zoom = camera.zoom;
+    if (zoom === 1) {
+      ctx.drawImage(
+        staticLayer,
+        camera.x, camera.y, canvasWidth, canvasHeight,
+        0, 0, canvasWidth, canvasHeight,
+      );
+      return;
+    }
+
+    // Zoomed out, the view can be bigger than the layer. Blit only the part
+    // that exists; the margin is filled instead of smeared.
+    ctx.fillStyle = "#050912";
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    const sx = Math.max(0, camera.x);
+    const sy = Math.max(0, camera.y);
+    const sw = Math.min(staticLayer.width, camera.x + canvasWidth / zoom) - sx;
+    const sh = Math.min(staticLayer.height, camera.y + canvasHeight / zoom) - sy;
+    if (sw <= 0 || sh <= 0) return;
+    ctx.drawImage(
+      staticLayer,
+      sx, sy, sw, sh,
+      (sx - camera.x) * zoom, (sy - camera.y) * zoom, sw * zoom, sh * zoom,
     );
   }
 
   function renderScene() {
-    const signature = `${worldWidth}x${worldHeight}:${serverState.obstacles?.length ?? 0}:${worldRooms.length}:${worldThickets.length}`;
-    if (signature !== staticLayerSignature) {
+    // By identity: each level arrives as new arrays, and a repaint of the room
+    // colours changes nothing a count would notice.
+    const signature = [worldWidth, worldHeight, serverState.obstacles, worldRooms, worldThickets];
+    if (!staticLayerSignature || signature.some((part, i) => part !== staticLayerSignature[i])) {
       staticLayerSignature = signature;
       renderStaticLayer();
       renderMinimapBase();
     }
 
-    updateCamera();
-    ctx.drawImage(
-      staticLayer,
-      camera.x, camera.y, canvasWidth, canvasHeight,
-      0, 0, canvasWidth, canvasHeight,
-    );
-
     const bufferedState = getBufferedStateForRender();
     const renderState = buildRenderState(bufferedState);
 
+    updateCamera(cameraFocus(renderState));
+    drawStaticView();
+
     ctx.save();
+    ctx.scale(camera.zoom, camera.zoom);
     ctx.translate(-camera.x, -camera.y);
     drawEntities(renderState);
     ctx.restore();
 
+    updateVoicePositions(renderState);
+
     // These two are drawn in screen space, after the camera transform is undone.
     drawOffscreenMarkers(renderState);
     drawMinimap(renderState);
 
     // Avatars follow the newest roster rather than the delayed render state.
     drawAvatars(serverState);
+
+    PerfHud.draw(ctx, [
+      `FPS ${hudRates.fps} · snapshots/s ${hudRates.snapshotsPerSec} · ${GameWire.name()}`,
+      `Interp ${currentInterpolationDelayMs.toFixed(0)}ms · jitter ${snapshotJitterMs.toFixed(1)}ms · buffer ${stateBuffer.length}`,
+      `Soft ${correctionCount} · hard ${hardSnapCount} · stale ${staleSnapshotDrops}`,
+      `Input #${inputSequence} · acked #${lastAckedInput}${NetSim.enabled() ? " · simulated" : ""}`,
+    ]);
+  }
+
+  // Proximity voice hears from where things are drawn: your own leader where
+  // you see it, everyone else at their interpolated positions. A replay is a
+  // different match from the room you are talking to, so it places nobody.
+  function updateVoicePositions(renderState) {
+    if (!VoiceClient.proximity()) return;
+    const positions = new Map();
+    let listener = null;
+    if (!GameReplay.isReplaying()) {
+      for (const player of renderState.players ?? []) {
+        if (player.isDead || !player.leader) continue;
+        if (player.connectionId === myPlayerId) listener = player.leader;
+        else positions.set(player.connectionId, player.leader);
+      }
+    }
+    VoiceClient.setPositions(listener, positions);
+  }
+
+  // Live, the camera rides the optimistic local leader so it never lags your
+  // own input. In a replay there is no local leader, only the recorded one.
+  function cameraFocus(renderState) {
+    if (!GameReplay.isReplaying()) {
+      return isSpectating ? spectatorFocus(renderState) : myLocalLeader;
+    }
+    const id = viewerId();
+    const viewer = (renderState.players ?? []).find((p) => p.connectionId === id);
+    return viewer ? viewer.leader : { x: worldWidth / 2, y: worldHeight / 2 };
   }
 
   // ---- Minimap ------------------------------------------------------------
@@ -1630,11 +2281,11 @@
     minimapCtx.lineWidth = 1;
     minimapCtx.strokeRect(
       Math.round(camera.x * kx) + 0.5, Math.round(camera.y * ky) + 0.5,
-      Math.round(canvasWidth * kx), Math.round(canvasHeight * ky),
+      Math.round((canvasWidth / camera.zoom) * kx), Math.round((canvasHeight / camera.zoom) * ky),
     );
 
     for (const player of state.players) {
-      const isSelf = player.connectionId === myPlayerId;
+      const isSelf = player.connectionId === viewerId();
       const colors = paletteFor(player.teamColor);
       const x = player.leader.x * kx;
       const y = player.leader.y * ky;
@@ -1656,13 +2307,14 @@
   // cannot see, in their team colour. Without it the first warning you get that
   // someone is hunting you is them arriving.
   function drawOffscreenMarkers(state) {
-    if (!state || !state.players) return;
+    // The zoomed-out view already shows everyone.
+    if (!state || !state.players || camera.zoom !== 1) return;
     const pad = 20;
     const cx = canvasWidth / 2;
     const cy = canvasHeight / 2;
 
     for (const player of state.players) {
-      if (player.connectionId === myPlayerId) continue;
+      if (player.connectionId === viewerId()) continue;
       const sx = player.leader.x - camera.x;
       const sy = player.leader.y - camera.y;
       if (sx >= 0 && sx <= canvasWidth && sy >= 0 && sy <= canvasHeight) continue;
@@ -2386,9 +3038,9 @@
 
   let lastCreatureFrame = performance.now();
 
-  function onScreen(x, y) {
-    return x >= camera.x && x <= camera.x + canvasWidth
-      && y >= camera.y && y <= camera.y + canvasHeight;
+  function onScreen(x, y, margin = 0) {
+    return x >= camera.x - margin && x <= camera.x + canvasWidth / camera.zoom + margin
+      && y >= camera.y - margin && y <= camera.y + canvasHeight / camera.zoom + margin;
   }
 
   function trackUnderling(underling, colour) {
@@ -2413,8 +3065,14 @@
   // bursts. Eating is inherently one-at-a-time and happens in contact, so a
   // vanish only counts when the frame is otherwise calm and a leader is on top
   // of it.
+  //
+  // A third: mid-match the server only sends the creatures around our view,
+  // so a swarm wandering off takes its underlings out of the roster well off
+  // screen. Those are dropped quietly before counting — an eat out there
+  // would have burst out of sight anyway.
   const MAX_EATS_PER_FRAME = 2;
   const EAT_REACH = 90;
+  const LEFT_VIEW_MARGIN = 100;
 
   // Being caught is the single biggest event in a match, so it gets a burst of
   // its own — much larger than an underling being eaten, in the victim's colour.
@@ -2443,8 +3101,13 @@
 
   function detectEatBursts(state) {
     let gone = 0;
-    for (const entry of underlingTrack.values()) {
-      if (entry.frame !== creatureFrame) gone++;
+    for (const [id, entry] of underlingTrack) {
+      if (entry.frame === creatureFrame) continue;
+      if (!onScreen(entry.x, entry.y, LEFT_VIEW_MARGIN)) {
+        underlingTrack.delete(id);
+        continue;
+      }
+      gone++;
     }
     if (!gone) return;
 
@@ -2499,8 +3162,18 @@
 
   let lastVoiceRosterKey = null;
 
+  let lastVoiceNamesKey = null;
+
   function syncVoiceRoster(players) {
-    const ids = (players ?? []).map((p) => p.connectionId).filter(Boolean);
+    // Someone away has no connection to call; they come back under a new id.
+    const ids = (players ?? []).filter((p) => !p.isAway).map((p) => p.connectionId).filter(Boolean);
+    // Names before peers: a peer's saved volume is looked up by name the
+    // moment its audio arrives.
+    const namesKey = (players ?? []).map((p) => `${p.connectionId}:${p.displayName}`).join("|");
+    if (namesKey !== lastVoiceNamesKey) {
+      lastVoiceNamesKey = namesKey;
+      VoiceClient.setPeerNames(players ?? []);
+    }
     const key = ids.slice().sort().join(",");
     if (key === lastVoiceRosterKey) return;
     lastVoiceRosterKey = key;
@@ -2509,6 +3182,96 @@
 
   const avatarEls = new Map();
   let avatarRosterKey = null;
+  // The avatar whose volume popover is open, kept across roster rebuilds.
+  let openAvatarAudioId = null;
+
+  // Volume slider and mute for one other player, under their avatar. Only
+  // this browser hears the difference; the player is not told.
+  function buildAvatarAudio(playerId, name) {
+    const panel = document.createElement("div");
+    panel.className = "avatar-audio";
+    panel.hidden = openAvatarAudioId !== playerId;
+    panel.addEventListener("click", (e) => e.stopPropagation());
+
+    const title = document.createElement("span");
+    title.className = "avatar-audio-name";
+    title.textContent = name;
+
+    const saved = VoiceClient.peerAudio(playerId);
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.step = "1";
+    slider.value = String(Math.round(saved.volume * 100));
+    slider.setAttribute("aria-label", `Volume for ${name}`);
+    slider.addEventListener("input", () => {
+      VoiceClient.setPeerVolume(playerId, Number(slider.value) / 100);
+    });
+
+    const mute = document.createElement("button");
+    mute.type = "button";
+    mute.className = "mic-btn";
+    const showMuted = (muted) => {
+      mute.textContent = muted ? "Unmute" : "Mute";
+      mute.classList.toggle("live", muted);
+    };
+    showMuted(saved.muted);
+    mute.addEventListener("click", () => {
+      const muted = !VoiceClient.peerAudio(playerId).muted;
+      VoiceClient.setPeerMuted(playerId, muted);
+      showMuted(muted);
+    });
+
+    // Call health, filled in by drawAvatars while the popover is open.
+    const stats = document.createElement("div");
+    stats.className = "avatar-stats";
+
+    const reconnect = document.createElement("button");
+    reconnect.type = "button";
+    reconnect.className = "mic-btn";
+    reconnect.textContent = "Reconnect voice";
+    reconnect.addEventListener("click", () => {
+      const started = VoiceClient.reconnectPeer(playerId);
+      reconnect.textContent = started ? "Reconnecting…" : "Just tried — wait a moment";
+      reconnect.disabled = true;
+      setTimeout(() => {
+        reconnect.textContent = "Reconnect voice";
+        reconnect.disabled = false;
+      }, 4000);
+    });
+
+    panel.append(title, slider, mute, stats, reconnect);
+    return panel;
+  }
+
+  const HEALTH_TITLES = {
+    connected: "Voice connected",
+    connecting: "Voice connecting…",
+    failed: "Voice connection failed — retrying",
+    "one-way": "One-way audio: one of you cannot hear the other — retrying",
+    idle: "Nothing to hear yet — their mic is not on the voice server",
+    none: "No voice connection",
+  };
+
+  function describeCall(stats) {
+    if (!stats) return ["No voice connection"];
+    const num = (value, unit, digits = 0) => (value == null ? "—" : `${value.toFixed(digits)} ${unit}`);
+    return [
+      `Call: ${stats.health}${stats.relayed ? " (relay)" : ""}`,
+      `Round trip: ${num(stats.rttMs, "ms")}`,
+      `Jitter: ${num(stats.jitterMs, "ms")}`,
+      `Loss: ${num(stats.lossPct, "%", 1)}`,
+      `Incoming: ${num(stats.kbpsIn, "kbps")}`,
+    ];
+  }
+
+  function toggleAvatarAudio(playerId) {
+    openAvatarAudioId = openAvatarAudioId === playerId ? null : playerId;
+    for (const [id, el] of avatarEls) {
+      if (el.audio) el.audio.hidden = id !== openAvatarAudioId;
+    }
+  }
 
   function rebuildAvatars(players) {
     avatarEls.clear();
@@ -2520,7 +3283,7 @@
       const wrap = document.createElement("div");
       wrap.className = "avatar";
       wrap.dataset.playerId = player.connectionId;
-      if (player.connectionId === myPlayerId) wrap.classList.add("is-self");
+      if (player.connectionId === viewerId()) wrap.classList.add("is-self");
 
       const disc = document.createElement("div");
       disc.className = "avatar-disc";
@@ -2531,6 +3294,15 @@
       mic.className = "avatar-mic";
       disc.appendChild(mic);
 
+      // Call health, for everyone you have a call with. Top-left, away from
+      // the mic badge.
+      let health = null;
+      if (player.connectionId !== viewerId() && !isSpectating && !GameReplay.isReplaying()) {
+        health = document.createElement("span");
+        health.className = "avatar-health";
+        disc.appendChild(health);
+      }
+
       // Swarm count rides on the avatar rather than in a separate scoreboard.
       // Two strips competing for the same bar squeezed the avatars down to one
       // visible player; merging them means the roster and the score are one
@@ -2542,14 +3314,34 @@
 
       const label = document.createElement("span");
       label.className = "avatar-name";
-      label.textContent = player.connectionId === myPlayerId ? `${name} (you)` : name;
+      label.textContent = player.connectionId === viewerId() && !isSpectating ? `${name} (you)` : name;
       label.title = name;
 
       wrap.appendChild(disc);
       wrap.appendChild(label);
+
+      // Spectators and replays have no voice, and there is nothing to turn
+      // down about yourself.
+      let audio = null;
+      const isSelf = player.connectionId === viewerId();
+      if (!isSelf && !isSpectating && !GameReplay.isReplaying()) {
+        audio = buildAvatarAudio(player.connectionId, name);
+        wrap.appendChild(audio);
+        disc.classList.add("adjustable");
+        disc.title = `Volume and call details for ${name}`;
+        disc.addEventListener("click", (e) => {
+          e.stopPropagation();
+          toggleAvatarAudio(player.connectionId);
+        });
+      }
+
       avatarBarEl.appendChild(wrap);
-      avatarEls.set(player.connectionId, { wrap, mic, score });
+      avatarEls.set(player.connectionId, {
+        wrap, mic, score, audio, health,
+        stats: audio ? audio.querySelector(".avatar-stats") : null,
+      });
     }
+    if (!avatarEls.has(openAvatarAudioId)) openAvatarAudioId = null;
   }
 
   function drawAvatars(state) {
@@ -2577,21 +3369,54 @@
       const eaten = p?.eaten ?? 0;
       const isSuper = !!p?.isSuper;
       const isDead = !!p?.isDead;
+      const isAway = !!p?.isAway;
       // In the lobby the count is zero for everyone, which is just noise on
       // eight chips. The badge only earns its place once there is a race on.
       const playing = !!state?.isActive;
-      const stamp = `${eaten}|${isSuper}|${isDead}|${playing}`;
+      const stamp = `${eaten}|${isSuper}|${isDead}|${playing}|${isAway}`;
       if (el.score && el.wrap._stamp !== stamp) {
         el.wrap._stamp = stamp;
         el.score.textContent = isSuper ? "⚡" : isDead ? "✕" : playing ? String(eaten) : "";
         el.wrap.classList.toggle("apex", isSuper);
         el.wrap.classList.toggle("eliminated", isDead);
+        el.wrap.classList.toggle("away", isAway);
+        el.wrap.title = isAway ? "Reconnecting…" : "";
         el.wrap.dataset.snack = "";
       }
-      if (el.wrap._micOn !== micOn) {
+      // Muted here trumps their mic state: whether they are talking is
+      // beside the point if you have chosen not to hear it.
+      const mutedHere = !!el.audio && VoiceClient.peerAudio(id).muted;
+      if (el.wrap._micOn !== micOn || el.wrap._mutedHere !== mutedHere) {
         el.wrap._micOn = micOn;
+        el.wrap._mutedHere = mutedHere;
         el.wrap.classList.toggle("muted", !micOn);
-        el.mic.textContent = micOn ? "🎤" : "🔇";
+        el.wrap.classList.toggle("locally-muted", mutedHere);
+        el.mic.textContent = mutedHere ? "🔕" : micOn ? "🎤" : "🔇";
+      }
+      if (el.health) {
+        const health = VoiceClient.peerHealth(id) ?? "none";
+        if (el.wrap._health !== health) {
+          el.wrap._health = health;
+          el.health.dataset.health = health;
+          el.health.title = HEALTH_TITLES[health] ?? health;
+        }
+      }
+      // The numbers only change every health check; twice a second is plenty.
+      if (el.stats && !el.audio.hidden && performance.now() - (el.wrap._statsAt ?? 0) > 500) {
+        el.wrap._statsAt = performance.now();
+        const lines = describeCall(VoiceClient.peerStats(id)).map((line) => {
+          const row = document.createElement("div");
+          row.textContent = line;
+          return row;
+        });
+        el.stats.replaceChildren(...lines);
+      }
+
+      const relayed = VoiceClient.isRelayed(id);
+      if (el.wrap._relayed !== relayed) {
+        el.wrap._relayed = relayed;
+        el.wrap.classList.toggle("relayed", relayed);
+        el.mic.title = relayed ? "Voice goes through the relay server — a direct connection was not possible" : "";
       }
       if (el.wrap._speaking !== speaking) {
         el.wrap._speaking = speaking;
@@ -2608,7 +3433,13 @@
   function updateMicButton() {
     if (!micBtn) return;
     const live = VoiceClient.isMicLive();
-    const label = live ? "Mic On" : "Enable Mic";
+    // In push-to-talk, once the mic is granted the button's job is done and
+    // its label says which key to hold.
+    let label = live ? "Mic On" : "Enable Mic";
+    if (VoiceClient.mode() === "ptt" && VoiceClient.hasMic()) {
+      const key = KeyBindings.keysFor("pushToTalk").find(Boolean);
+      label = live ? "Talking" : key ? `Hold ${KeyBindings.label(key)}` : "Bind a PTT key";
+    }
     if (label !== lastMicLabel) {
       lastMicLabel = label;
       micLabelEl.textContent = label;
@@ -2626,6 +3457,14 @@
       lastVoiceStatus = status;
       voiceStatusEl.textContent = status;
     }
+    const relayed = VoiceClient.relayedPeerCount();
+    const relayTitle = relayed
+      ? `${relayed} of ${VoiceClient.peerCount()} voice connections go through the relay server`
+      : "";
+    if (voiceStatusEl && voiceStatusEl.title !== relayTitle) {
+      voiceStatusEl.title = relayTitle;
+      voiceStatusEl.classList.toggle("relayed", relayed > 0);
+    }
   }
 
 
@@ -2649,6 +3488,15 @@
         return { x: -1, y: 0 };
       case "right":
         return { x: 1, y: 0 };
+      // Unit length, like Direction.ToVector, so a diagonal is no faster.
+      case "up-left":
+        return { x: -Math.SQRT1_2, y: -Math.SQRT1_2 };
+      case "up-right":
+        return { x: Math.SQRT1_2, y: -Math.SQRT1_2 };
+      case "down-left":
+        return { x: -Math.SQRT1_2, y: Math.SQRT1_2 };
+      case "down-right":
+        return { x: Math.SQRT1_2, y: Math.SQRT1_2 };
       default:
         return { x: 0, y: 0 };
     }
@@ -2675,7 +3523,26 @@
         resolved = direction;
       }
     }
-    return resolved;
+    if (!eightWayMovement || resolved.includes("-")) {
+      return resolved;
+    }
+
+    // With diagonals on, a held vertical and a held horizontal combine: W+D is
+    // up-right. Each axis still goes to its latest key, so W then S is down.
+    let vertical = null;
+    let horizontal = null;
+    let verticalAt = -Infinity;
+    let horizontalAt = -Infinity;
+    for (const { direction, timestamp } of activeKeyDirections.values()) {
+      if ((direction === "up" || direction === "down") && timestamp >= verticalAt) {
+        vertical = direction;
+        verticalAt = timestamp;
+      } else if ((direction === "left" || direction === "right") && timestamp >= horizontalAt) {
+        horizontal = direction;
+        horizontalAt = timestamp;
+      }
+    }
+    return vertical && horizontal ? `${vertical}-${horizontal}` : resolved;
   }
 
   function setPendingDirection(direction) {
@@ -2685,6 +3552,30 @@
     flushDirection();
   }
 
+  function measureLatency() {
+    lastPingTime = performance.now();
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+    const start = performance.now();
+    connection
+      .invoke("Ping")
+      .then(() => {
+        const rtt = (performance.now() - start) / 1000; // Seconds
+        // Smooth the latency value
+        currentLatency = lerp(currentLatency, rtt, 0.2);
+        if (DEBUG_MODE && Math.random() < 0.1)
+          console.log(`Latency: ${(currentLatency * 1000).toFixed(0)}ms`);
+        // The server rewinds what we eat and catch to where we drew it:
+        // a round trip plus the interpolation delay behind the newest
+        // snapshot. Only players are judged, so only they report.
+        if (!isSpectating && myPlayerId) {
+          connection
+            .invoke("ReportLatency", currentLatency * 1000, currentInterpolationDelayMs)
+            .catch(() => {});
+        }
+      })
+      .catch(() => {});
+  }
+
   function flushDirection() {
     if (
       !connection ||
@@ -2709,7 +3600,9 @@
     // (like press-release) are ignored because the previous promise hasn't resolved.
     lastDirectionSent = pendingDirection;
 
-    connection.invoke("Move", pendingDirection).catch((err) => {
+    const input = { sequence: ++inputSequence, direction: pendingDirection, sentAt: performance.now() };
+    sentInputs.push(input);
+    connection.invoke("Move", input.direction, input.sequence, input.sentAt).catch((err) => {
       console.error("Move failed:", err);
       // Reset lastDirectionSent so we retry on next flush
       lastDirectionSent = "retry";
@@ -2717,16 +3610,71 @@
   }
 
   function handleKeyDown(event) {
-    const direction = directionByKey[event.key];
-    if (!direction) {
+    if (document.activeElement?.tagName === "INPUT") {
       return;
     }
 
-    if (document.activeElement?.tagName === "INPUT") {
+    // Works in every mode, replays and spectating included: the overlay is
+    // how a player tells us what they are seeing.
+    if (event.key === "F3") {
+      PerfHud.toggle();
+      event.preventDefault();
+      return;
+    }
+
+    // Enter opens chat, unless a button or the like has focus and Enter
+    // means pressing it. Held keys are let go first: their keyups will land
+    // in the text box, and the leader would otherwise run on until Enter
+    // was pressed again.
+    const nothingFocused = !document.activeElement || document.activeElement === document.body;
+    if (event.key === "Enter" && nothingFocused && roomId && !isSpectating && !GameReplay.isReplaying()) {
+      handleWindowBlur();
+      GameChat.open(document.body.classList.contains("is-playing"));
+      event.preventDefault();
+      return;
+    }
+
+    // While watching a replay the keys drive the replay. Steering would still
+    // reach the server and walk your live leader around a lobby you can't see.
+    if (GameReplay.isReplaying()) {
+      handleReplayKey(event);
+      return;
+    }
+    if (isSpectating) {
+      handleSpectatorKey(event, true);
       return;
     }
 
-    activeKeyDirections.set(event.key, {
+    // Quick chat. Spectators use the same keys to pick who to follow, and
+    // have returned above.
+    if (/^[1-6]$/.test(event.key) && roomId) {
+      if (!event.repeat) GameChat.quick(Number(event.key) - 1);
+      event.preventDefault();
+      return;
+    }
+
+    const action = KeyBindings.actionFor(event.key);
+    if (action === "mic" || action === "minimap") {
+      if (!event.repeat) runUiAction(action);
+      event.preventDefault();
+      return;
+    }
+    // Held, not pressed: handleKeyUp lets go of the same key.
+    if (action === "pushToTalk") {
+      if (!event.repeat && VoiceClient.mode() === "ptt") {
+        pushToTalkKey = KeyBindings.normalize(event.key);
+        VoiceClient.pushToTalk(true);
+      }
+      event.preventDefault();
+      return;
+    }
+
+    const direction = directionForKey(event.key);
+    if (!direction) {
+      return;
+    }
+
+    activeKeyDirections.set(KeyBindings.normalize(event.key), {
       direction,
       timestamp: performance.now(),
     });
@@ -2738,7 +3686,23 @@
   }
 
   function handleKeyUp(event) {
-    if (!directionByKey[event.key]) {
+    // Before everything else, focus included: a keyup that goes missing would
+    // leave the mic open.
+    if (pushToTalkKey && KeyBindings.normalize(event.key) === pushToTalkKey) {
+      releasePushToTalk();
+      event.preventDefault();
+      return;
+    }
+
+    if (isSpectating) {
+      handleSpectatorKey(event, false);
+      return;
+    }
+
+    // Looked up by what is held rather than by the current bindings, so a key
+    // rebound while held still lets go.
+    const key = KeyBindings.normalize(event.key);
+    if (!activeKeyDirections.has(key)) {
       return;
     }
 
@@ -2746,7 +3710,7 @@
       return;
     }
 
-    activeKeyDirections.delete(event.key);
+    activeKeyDirections.delete(key);
 
     event.preventDefault();
 
@@ -2754,7 +3718,16 @@
     setPendingDirection(resolved);
   }
 
+  function releasePushToTalk() {
+    if (!pushToTalkKey) return;
+    pushToTalkKey = null;
+    VoiceClient.pushToTalk(false);
+  }
+
   function handleWindowBlur() {
+    releasePushToTalk();
+    spectatorPanKeys.clear();
+    TouchControls.release();
     if (activeKeyDirections.size === 0 && pendingDirection === "none") {
       return;
     }
@@ -2770,9 +3743,22 @@
       now = performance.now();
     }
 
+    PerfHud.sample("frame", now - lastFrame, now);
     const deltaSeconds = clamp((now - lastFrame) / 1000, 0, 0.25);
     lastFrame = now;
     frameCount++;
+    hudRates.frames++;
+    if (now - hudRates.windowStart >= 1000) {
+      const seconds = (now - hudRates.windowStart) / 1000;
+      hudRates.fps = Math.round(hudRates.frames / seconds);
+      hudRates.snapshotsPerSec = Math.round(hudRates.snapshots / seconds);
+      hudRates.frames = 0;
+      hudRates.snapshots = 0;
+      hudRates.windowStart = now;
+    }
+    PerfHud.sample("rtt", currentLatency * 1000, now);
+
+    GamepadInput.poll();
 
     // Periodic input sync (every 100ms) to ensure server is in sync
     // This acts like a UDP heartbeat, ensuring the server knows our intent even if packets drop
@@ -2781,9 +3767,11 @@
         connection &&
         connection.state === signalR.HubConnectionState.Connected
       ) {
-        // Force resend if we are moving, or just to be safe
-        if (lastDirectionSent !== "none" || pendingDirection !== "none") {
-          connection.invoke("Move", pendingDirection).catch(() => {});
+        // Force resend if we are moving, or just to be safe. Same number as
+        // the original: the server treats it as a keep-alive, not a new input.
+        const last = sentInputs[sentInputs.length - 1];
+        if (last && (lastDirectionSent !== "none" || pendingDirection !== "none")) {
+          connection.invoke("Move", last.direction, last.sequence, last.sentAt).catch(() => {});
         }
       }
       lastInputSync = now;
@@ -2791,27 +3779,17 @@
 
     // Measure Latency every 2 seconds
     if (now - lastPingTime > 2000) {
-      if (
-        connection &&
-        connection.state === signalR.HubConnectionState.Connected
-      ) {
-        const start = performance.now();
-        connection
-          .invoke("Ping")
-          .then(() => {
-            const rtt = (performance.now() - start) / 1000; // Seconds
-            // Smooth the latency value
-            currentLatency = lerp(currentLatency, rtt, 0.2);
-            if (DEBUG_MODE && Math.random() < 0.1)
-              console.log(`Latency: ${(currentLatency * 1000).toFixed(0)}ms`);
-          })
-          .catch(() => {});
-      }
-      lastPingTime = now;
-    }
-
-    // Update only MY leader locally
-    if (!serverState.winnerId) {
+      measureLatency();
+    }
+
+    // Update only MY leader locally. A replay has no local leader; it moves
+    // its own cursor instead.
+    if (GameReplay.isReplaying()) {
+      GameReplay.advance(deltaSeconds * 1000);
+      applyReplayFrame();
+    } else if (isSpectating) {
+      panSpectatorCamera(deltaSeconds);
+    } else if (!serverState.winnerId) {
       updateLocalLeader(deltaSeconds);
     }
 
@@ -2859,26 +3837,170 @@
     });
   }
 
-  // Mobile Controls Logic
-  if (mobileControls) {
-    const dpadButtons = mobileControls.querySelectorAll(".dpad-btn");
+  // ---- Key binding screen -------------------------------------------------
+  //
+  // Click a key to rebind it; the next keypress is captured before the game
+  // sees it. Backspace clears the slot and Escape cancels.
 
-    dpadButtons.forEach((btn) => {
-      const direction = btn.getAttribute("data-dir");
-      const keyId = `Mobile${direction}`; // Unique ID for the map
+  let keyCapture = null; // { action, slot } while waiting for a keypress
 
-      const handlePress = (e) => {
-        e.preventDefault(); // Prevent mouse emulation/scrolling
-        btn.classList.add("active");
-        activeKeyDirections.set(keyId, {
-          direction: direction,
-          timestamp: performance.now(),
-        });
-        setPendingDirection(resolveDirectionFromKeys());
-      };
+  function actionLabel(id) {
+    return KeyBindings.ACTIONS.find((a) => a.id === id)?.label ?? id;
+  }
 
-      const handleRelease = (e) => {
-        e.preventDefault();
+  function setKeysNote(text, warn = false) {
+    if (!keysNoteEl) return;
+    keysNoteEl.textContent = text;
+    keysNoteEl.classList.toggle("warn", warn);
+  }
+
+  function defaultKeysNote() {
+    // A direction with no key is a leader that cannot go that way.
+    const missing = KeyBindings.unbound().filter((id) => MOVE_ACTIONS.has(id));
+    if (missing.length) {
+      setKeysNote(`No key for: ${missing.map(actionLabel).join(", ")}.`, true);
+    } else {
+      setKeysNote("Click a key to change it. Backspace clears it, Escape cancels.");
+    }
+  }
+
+  function renderKeysTable() {
+    if (!keysTableEl) return;
+    keysTableEl.replaceChildren();
+    let group = null;
+    for (const action of KeyBindings.ACTIONS) {
+      if (action.group !== group) {
+        group = action.group;
+        const head = document.createElement("tr");
+        const th = document.createElement("th");
+        th.colSpan = 1 + KeyBindings.SLOTS;
+        th.textContent = group;
+        head.appendChild(th);
+        keysTableEl.appendChild(head);
+      }
+      const row = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = action.label;
+      row.appendChild(name);
+      KeyBindings.keysFor(action.id).forEach((key, slot) => {
+        const cell = document.createElement("td");
+        const button = document.createElement("button");
+        button.type = "button";
+        const capturing = keyCapture?.action === action.id && keyCapture.slot === slot;
+        button.textContent = capturing ? "Press a key…" : KeyBindings.label(key);
+        button.classList.toggle("capturing", capturing);
+        button.addEventListener("click", () => {
+          keyCapture = { action: action.id, slot };
+          setKeysNote(`Press a key for ${actionLabel(action.id)}.`);
+          renderKeysTable();
+        });
+        cell.appendChild(button);
+        row.appendChild(cell);
+      });
+      keysTableEl.appendChild(row);
+    }
+
+    const preset = KeyBindings.preset();
+    for (const btn of keysModal.querySelectorAll("[data-preset]")) {
+      btn.classList.toggle("active", btn.dataset.preset === preset);
+    }
+  }
+
+  // Capture phase, so the game's own key handlers never see a key meant for
+  // the binding screen.
+  window.addEventListener("keydown", (event) => {
+    if (!keyCapture) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const { action, slot } = keyCapture;
+    keyCapture = null;
+
+    if (event.key === "Escape") {
+      defaultKeysNote();
+    } else if (event.key === "Backspace" || event.key === "Delete") {
+      KeyBindings.unbind(action, slot);
+      defaultKeysNote();
+    } else {
+      const result = KeyBindings.bind(action, slot, event.key);
+      if (!result.ok) {
+        setKeysNote(
+          result.error === "Reserved"
+            ? `${KeyBindings.label(event.key)} is reserved and can't be bound.`
+            : "That key can't be bound.",
+          true,
+        );
+      } else if (result.takenFrom) {
+        setKeysNote(
+          `${KeyBindings.label(event.key)} was ${actionLabel(result.takenFrom)} — that is now unbound.`,
+          true,
+        );
+      } else {
+        defaultKeysNote();
+      }
+    }
+    renderKeysTable();
+  }, true);
+
+  if (keysBtn && keysModal && closeKeysBtn) {
+    keysBtn.addEventListener("click", () => {
+      keyCapture = null;
+      renderKeysTable();
+      defaultKeysNote();
+      keysModal.classList.add("open");
+    });
+    const closeKeys = () => {
+      keyCapture = null;
+      keysModal.classList.remove("open");
+    };
+    closeKeysBtn.addEventListener("click", closeKeys);
+    keysModal.addEventListener("click", (e) => {
+      if (e.target === keysModal) closeKeys();
+    });
+    for (const btn of keysModal.querySelectorAll("[data-preset]")) {
+      btn.addEventListener("click", () => {
+        keyCapture = null;
+        KeyBindings.applyPreset(btn.dataset.preset);
+        renderKeysTable();
+        defaultKeysNote();
+      });
+    }
+  }
+
+  // The spectator bar's tooltips name the keys, so they follow the bindings.
+  function updateSpectateHints() {
+    const hint = (btn, text, action) => {
+      if (!btn) return;
+      const key = KeyBindings.keysFor(action).find(Boolean);
+      btn.title = key ? `${text} (${KeyBindings.label(key)})` : text;
+    };
+    hint(spectatePrevBtn, "Previous player", "followPrev");
+    hint(spectateNextBtn, "Next player", "followNext");
+    hint(spectateFreeBtn, "Free camera", "freeCamera");
+    hint(spectateMapBtn, "Whole map", "overview");
+  }
+  KeyBindings.onChange(updateSpectateHints);
+  updateSpectateHints();
+
+  // Mobile Controls Logic
+  if (mobileControls) {
+    const dpadButtons = mobileControls.querySelectorAll(".dpad-btn");
+
+    dpadButtons.forEach((btn) => {
+      const direction = btn.getAttribute("data-dir");
+      const keyId = `Mobile${direction}`; // Unique ID for the map
+
+      const handlePress = (e) => {
+        e.preventDefault(); // Prevent mouse emulation/scrolling
+        btn.classList.add("active");
+        activeKeyDirections.set(keyId, {
+          direction: direction,
+          timestamp: performance.now(),
+        });
+        setPendingDirection(resolveDirectionFromKeys());
+      };
+
+      const handleRelease = (e) => {
+        e.preventDefault();
         btn.classList.remove("active");
         activeKeyDirections.delete(keyId);
         setPendingDirection(resolveDirectionFromKeys());
@@ -2890,6 +4012,170 @@
     });
   }
 
+  // Thumbstick and swipe steering (touch.js). They report a direction like a
+  // held key does, under their own slot in the key map, so resolving against
+  // the keyboard and the D-pad needs nothing new.
+  const TOUCH_KEY_ID = "Touch";
+
+  TouchControls.attach(touchZoneEl, (direction) => {
+    if (direction === "none") {
+      activeKeyDirections.delete(TOUCH_KEY_ID);
+    } else {
+      activeKeyDirections.set(TOUCH_KEY_ID, { direction, timestamp: performance.now() });
+    }
+    setPendingDirection(resolveDirectionFromKeys());
+  });
+
+  function applyTouchSettings() {
+    const mode = TouchControls.mode();
+    const hand = TouchControls.hand();
+    for (const m of TouchControls.MODES) document.body.classList.toggle(`touch-${m}`, m === mode);
+    document.body.classList.toggle("touch-left-handed", hand === "left");
+    document.body.classList.toggle("touch-right-handed", hand === "right");
+    if (touchModeEl) touchModeEl.value = mode;
+    if (touchHandEl) touchHandEl.value = hand;
+  }
+
+  if (touchModeEl) {
+    touchModeEl.addEventListener("change", () => TouchControls.setMode(touchModeEl.value));
+  }
+  if (touchHandEl) {
+    touchHandEl.addEventListener("change", () => TouchControls.setHand(touchHandEl.value));
+  }
+  TouchControls.onChange(applyTouchSettings);
+  applyTouchSettings();
+
+  // Controllers (gamepad.js). The stick and D-pad steer through their own slot
+  // in the key map, like touch does; face buttons press the same on-screen
+  // buttons a mouse would, so every action keeps its existing guards.
+  const GAMEPAD_KEY_ID = "Gamepad";
+
+  /** Actions shared by controller buttons and keyboard hotkeys. */
+  function runUiAction(action) {
+    if (action === "start") {
+      // Whichever start is on screen: the lobby's or the rematch on the card.
+      if (startBtn && startBtn.style.display !== "none" && !startBtn.disabled) {
+        startBtn.click();
+      } else if (!overlayEl.classList.contains("hidden") && restartBtn.style.display !== "none") {
+        restartBtn.click();
+      }
+    } else if (action === "mic") {
+      if (micBtn && !micBtn.disabled) micBtn.click();
+    } else if (action === "minimap") {
+      document.body.classList.toggle("minimap-expanded");
+    }
+  }
+
+  GamepadInput.init({
+    onDirection: (direction) => {
+      if (direction === "none") {
+        activeKeyDirections.delete(GAMEPAD_KEY_ID);
+      } else if (!isSpectating && !GameReplay.isReplaying()) {
+        activeKeyDirections.set(GAMEPAD_KEY_ID, { direction, timestamp: performance.now() });
+      }
+      setPendingDirection(resolveDirectionFromKeys());
+    },
+    onAction: runUiAction,
+  });
+
+  // Settings are shown for the first connected pad; that is nearly always
+  // the one just picked up, since browsers only announce a pad on first use.
+  function updateGamepadPanel() {
+    if (!gamepadPanelEl) return;
+    const pad = GamepadInput.connected()[0];
+    gamepadPanelEl.hidden = !pad;
+    if (!pad) return;
+    const config = GamepadInput.configFor(pad.id);
+    // Browsers report ids like "Xbox Wireless Controller (STANDARD GAMEPAD
+    // Vendor: 045e Product: 02fd)"; the part before the bracket is the name.
+    if (gamepadNameEl) gamepadNameEl.textContent = pad.id.split("(")[0].trim() || "Gamepad";
+    if (gamepadDeadzoneEl) gamepadDeadzoneEl.value = String(Math.round(config.deadzone * 100));
+    for (const select of gamepadPanelEl.querySelectorAll("select[data-action]")) {
+      select.value = String(config.buttons[select.dataset.action]);
+    }
+  }
+
+  if (gamepadPanelEl) {
+    for (const select of gamepadPanelEl.querySelectorAll("select[data-action]")) {
+      GamepadInput.BUTTON_NAMES.forEach((name, index) => {
+        // The D-pad steers; binding it to an action as well would do both.
+        if (name.startsWith("D-pad")) return;
+        const option = document.createElement("option");
+        option.value = String(index);
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.addEventListener("change", () => {
+        const pad = GamepadInput.connected()[0];
+        if (pad) GamepadInput.setButton(pad.id, select.dataset.action, Number(select.value));
+      });
+    }
+  }
+  if (gamepadDeadzoneEl) {
+    gamepadDeadzoneEl.addEventListener("input", () => {
+      const pad = GamepadInput.connected()[0];
+      if (pad) GamepadInput.setDeadzone(pad.id, Number(gamepadDeadzoneEl.value) / 100);
+    });
+  }
+  GamepadInput.onChange(updateGamepadPanel);
+  updateGamepadPanel();
+
+  // ---- Network simulator ---------------------------------------------------
+  // A development panel: ?netsim shows it, ?netsim=<preset> also starts with
+  // that preset. The readout is the counters the reconciliation and snapshot
+  // pipeline keep anyway, so a preset can be tried against the thresholds
+  // without deploying anywhere.
+
+  function updateNetSimPanel() {
+    if (!netSimPanelEl) return;
+    const settings = NetSim.settings();
+    if (netSimPresetEl) netSimPresetEl.value = NetSim.preset() ?? "";
+    for (const input of netSimPanelEl.querySelectorAll("input[data-netsim]")) {
+      input.value = String(Math.round(settings[input.dataset.netsim] * Number(input.dataset.scale)));
+      input.title = input.value;
+    }
+  }
+
+  function updateNetSimStats() {
+    if (!netSimStatsEl || netSimPanelEl.hidden) return;
+    const s = NetSim.settings();
+    const sim = NetSim.stats();
+    netSimStatsEl.textContent = [
+      `Simulating ${s.latencyMs}±${s.jitterMs}ms each way, ${Math.round(s.reorder * 100)}% reordered, ${Math.round(s.drop * 100)}% snapshots dropped`,
+      `Ping ${Math.round(currentLatency * 1000)}ms · interpolation ${currentInterpolationDelayMs.toFixed(0)}ms · snapshot jitter ${snapshotJitterMs.toFixed(1)}ms`,
+      `Soft corrections ${correctionCount} · hard snaps ${hardSnapCount} · stale drops ${staleSnapshotDrops}`,
+      `Delayed ${sim.delayed} · reordered ${sim.reordered} · dropped ${sim.dropped}`,
+    ].join("\n");
+  }
+
+  const netSimQuery = new URLSearchParams(window.location.search).get("netsim");
+  if (netSimPanelEl && netSimQuery !== null) {
+    netSimPanelEl.hidden = false;
+    if (netSimPresetEl) {
+      for (const [name, preset] of Object.entries(NetSim.PRESETS)) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = preset.label;
+        netSimPresetEl.appendChild(option);
+      }
+      const custom = document.createElement("option");
+      custom.value = "";
+      custom.textContent = "Custom";
+      custom.disabled = true;
+      netSimPresetEl.appendChild(custom);
+      netSimPresetEl.addEventListener("change", () => NetSim.applyPreset(netSimPresetEl.value));
+    }
+    for (const input of netSimPanelEl.querySelectorAll("input[data-netsim]")) {
+      input.addEventListener("input", () => {
+        NetSim.set(input.dataset.netsim, Number(input.value) / Number(input.dataset.scale));
+      });
+    }
+    NetSim.onChange(updateNetSimPanel);
+    NetSim.applyPreset(netSimQuery);
+    updateNetSimPanel();
+    setInterval(updateNetSimStats, 500);
+  }
+
   createBtn.addEventListener("click", async () => {
     hideOverlay();
     setStatus("Creating room…");
@@ -2931,6 +4217,9 @@
         console.error(err);
       }
     };
+    // Remembered with or without a profile: nobody wants to retype it.
+    if (!displayNameInput.value) displayNameInput.value = GameProfile.name();
+    displayNameInput.addEventListener("input", () => GameProfile.setName(displayNameInput.value));
     displayNameInput.addEventListener("change", pushName);
     displayNameInput.addEventListener("blur", pushName);
     displayNameInput.addEventListener("keydown", (e) => {
@@ -2938,6 +4227,30 @@
     });
   }
 
+  if (profileColorEl) {
+    for (const color of GameProfile.COLORS) {
+      const option = document.createElement("option");
+      option.value = color;
+      option.textContent = titleCase(color);
+      profileColorEl.appendChild(option);
+    }
+    profileColorEl.addEventListener("change", () => GameProfile.setColor(profileColorEl.value || null));
+  }
+  if (profileToggleEl) {
+    profileToggleEl.addEventListener("change", () => GameProfile.setEnabled(profileToggleEl.checked));
+  }
+  GameProfile.onChange(() => {
+    updateProfileControls();
+    sendProfile();
+    if (leaderboardPanelEl?.open) loadLeaderboard();
+  });
+  updateProfileControls();
+  if (leaderboardPanelEl) {
+    leaderboardPanelEl.addEventListener("toggle", () => {
+      if (leaderboardPanelEl.open) loadLeaderboard();
+    });
+  }
+
   restartBtn.addEventListener("click", async () => {
     if (!roomId) {
       return;
@@ -2963,6 +4276,73 @@
     });
   }
 
+  for (const [toggleEl, method] of [
+    [eightWayToggleEl, "SetEightWayMovement"],
+    [proximityVoiceToggleEl, "SetProximityVoice"],
+  ]) {
+    if (!toggleEl) continue;
+    toggleEl.addEventListener("change", async () => {
+      if (!roomId) {
+        return;
+      }
+      try {
+        await connection.invoke(method, toggleEl.checked);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  if (seriesLengthEl) {
+    seriesLengthEl.addEventListener("change", async () => {
+      if (!roomId) {
+        return;
+      }
+      try {
+        await connection.invoke("SetSeriesLength", Number(seriesLengthEl.value));
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  for (const el of ruleInputEls) {
+    el.addEventListener("input", () => {
+      if (matchRulesNoteEl) matchRulesNoteEl.textContent = "Not applied yet.";
+    });
+  }
+
+  if (matchRulesApplyBtn) {
+    matchRulesApplyBtn.addEventListener("click", () => {
+      const rules = readRuleInputs();
+      if (Object.values(rules).some((v) => !Number.isFinite(v))) {
+        if (matchRulesNoteEl) matchRulesNoteEl.textContent = "Every rule needs a number.";
+        return;
+      }
+      sendMatchRules(rules);
+    });
+  }
+
+  for (const btn of document.querySelectorAll("[data-rule-preset]")) {
+    btn.addEventListener("click", () => {
+      const preset = MATCH_RULE_PRESETS[btn.dataset.rulePreset];
+      if (preset) sendMatchRules({ ...preset });
+    });
+  }
+
+  if (sfuVoiceToggleEl) {
+    sfuVoiceToggleEl.addEventListener("change", async () => {
+      if (!roomId) {
+        return;
+      }
+      try {
+        await connection.invoke("SetVoiceTransport", sfuVoiceToggleEl.checked ? "sfu" : "mesh");
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
   if (micBtn) {
     if (!VoiceClient.isSupported()) {
       micBtn.disabled = true;
@@ -2981,6 +4361,507 @@
     });
   }
 
+  function updateVoiceModeButton() {
+    if (!voiceModeBtn) return;
+    const ptt = VoiceClient.mode() === "ptt";
+    const key = KeyBindings.keysFor("pushToTalk").find(Boolean);
+    voiceModeBtn.textContent = ptt ? "PTT" : "Open";
+    voiceModeBtn.classList.toggle("live", ptt);
+    voiceModeBtn.title = ptt
+      ? `Push to talk${key ? ` (hold ${KeyBindings.label(key)})` : ""} — click for open mic`
+      : "Open mic — click for push to talk";
+  }
+
+  if (voiceModeBtn) {
+    voiceModeBtn.disabled = !VoiceClient.isSupported();
+    voiceModeBtn.addEventListener("click", () => {
+      releasePushToTalk();
+      VoiceClient.setMode(VoiceClient.mode() === "ptt" ? "open" : "ptt");
+      updateVoiceModeButton();
+      updateMicButton();
+    });
+    KeyBindings.onChange(updateVoiceModeButton);
+    updateVoiceModeButton();
+  }
+
+  // ---- Voice settings ------------------------------------------------------
+  //
+  // Device pickers, a level meter and the mic test. The lists are rebuilt on
+  // opening and whenever a device comes or goes; the meter only runs while
+  // the dialog is open.
+
+  let micLevelFrame = null;
+
+  function fillDeviceSelect(select, devices, selectedId) {
+    select.replaceChildren();
+    const fallback = document.createElement("option");
+    fallback.value = "";
+    fallback.textContent = "System default";
+    select.appendChild(fallback);
+    for (const device of devices) {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.textContent = device.label;
+      select.appendChild(option);
+    }
+    // A saved device that is not plugged in shows as the default it falls
+    // back to, without forgetting the choice.
+    select.value = devices.some((d) => d.deviceId === selectedId) ? selectedId : "";
+  }
+
+  async function refreshVoiceSettings() {
+    if (!voiceModal || !voiceModal.classList.contains("open")) return;
+    const saved = VoiceClient.audioSettings();
+    const { inputs, outputs } = await VoiceClient.listDevices();
+    fillDeviceSelect(micDeviceEl, inputs, saved.inputId);
+    fillDeviceSelect(speakerDeviceEl, outputs, saved.outputId);
+    speakerDeviceEl.disabled = !VoiceClient.canPickOutput;
+    echoCancelToggleEl.checked = saved.echoCancellation;
+    noiseSuppressToggleEl.checked = saved.noiseSuppression;
+
+    let note = "";
+    if (!VoiceClient.isSupported()) note = "Voice chat is not available in this browser.";
+    else if (!VoiceClient.hasMic()) note = "Enable or test your mic to see device names and your level.";
+    else if (!VoiceClient.canPickOutput) note = "This browser plays voice on the system's default speakers.";
+    voiceNoteEl.textContent = note;
+  }
+
+  function drawMicLevel() {
+    micLevelFrame = null;
+    if (!voiceModal.classList.contains("open")) return;
+    // Speech sits around 0.02–0.25 RMS; stretch it so talking fills the bar.
+    const level = Math.min(1, VoiceClient.micLevel() * 4);
+    micLevelBarEl.style.width = `${Math.round(level * 100)}%`;
+    micLevelBarEl.style.background = level > 0.9 ? "#f87171" : "#4ade80";
+    micLevelFrame = requestAnimationFrame(drawMicLevel);
+  }
+
+  if (voiceSettingsBtn && voiceModal && closeVoiceBtn) {
+    voiceSettingsBtn.addEventListener("click", () => {
+      voiceModal.classList.add("open");
+      refreshVoiceSettings();
+      if (!micLevelFrame) micLevelFrame = requestAnimationFrame(drawMicLevel);
+    });
+    const closeVoice = () => voiceModal.classList.remove("open");
+    closeVoiceBtn.addEventListener("click", closeVoice);
+    voiceModal.addEventListener("click", (e) => {
+      if (e.target === voiceModal) closeVoice();
+    });
+    VoiceClient.onDevicesChange(refreshVoiceSettings);
+
+    micDeviceEl.addEventListener("change", async () => {
+      if (!(await VoiceClient.setInputDevice(micDeviceEl.value))) {
+        voiceNoteEl.textContent = "Could not switch to that microphone.";
+      }
+    });
+    speakerDeviceEl.addEventListener("change", () => {
+      VoiceClient.setOutputDevice(speakerDeviceEl.value);
+    });
+    echoCancelToggleEl.addEventListener("change", () => {
+      VoiceClient.setProcessing("echoCancellation", echoCancelToggleEl.checked);
+    });
+    noiseSuppressToggleEl.addEventListener("change", () => {
+      VoiceClient.setProcessing("noiseSuppression", noiseSuppressToggleEl.checked);
+    });
+
+    micTestBtn.addEventListener("click", async () => {
+      const labels = { recording: "Recording… speak now", playing: "Playing back…", idle: "Test my mic" };
+      const ok = await VoiceClient.testMic((phase) => {
+        micTestBtn.textContent = labels[phase];
+        micTestBtn.disabled = phase !== "idle";
+      });
+      if (!ok) voiceNoteEl.textContent = VoiceClient.hasMic() ? "The mic test did not work in this browser." : VoiceClient.getStatus();
+      updateMicButton();
+    });
+  }
+
+  // A click anywhere else closes an avatar's volume popover.
+  document.addEventListener("click", () => {
+    if (openAvatarAudioId) toggleAvatarAudio(openAvatarAudioId);
+  });
+
+  // ---- Replays -------------------------------------------------------------
+  //
+  // Every match you play is recorded as it streams in (replay.js). After it
+  // ends it can be saved to a file, and any saved file can be opened and
+  // watched from the lobby. Playback borrows the live render path wholesale —
+  // serverState, the world statics and the interpolation all come from the
+  // replay instead of the socket — so nothing here draws anything itself.
+
+  let lastReplayBarKey = null;
+
+  function updateReplayButtons() {
+    const has = GameReplay.hasRecording();
+    if (watchReplayBtn) watchReplayBtn.disabled = !has;
+    if (saveReplayBtn) saveReplayBtn.disabled = !has;
+  }
+
+  function formatReplayTime(ms) {
+    const secs = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+  }
+
+  // Runs every frame of playback, same as a snapshot would.
+  function applyReplayFrame() {
+    const sample = GameReplay.sample();
+    if (!sample) return;
+    const state = sample.newer;
+    serverState = state;
+    worldWidth = state.worldWidth;
+    worldHeight = state.worldHeight;
+    worldRooms = state.rooms;
+    worldThickets = state.thickets;
+
+    updateInfoRow(state);
+    updateStatusBar(state);
+    updateMatchClock(state);
+
+    const paused = GameReplay.isPaused();
+    const key = `${Math.round(GameReplay.progress() * 1000)}|${paused}|${GameReplay.speed()}`;
+    if (key === lastReplayBarKey) return;
+    lastReplayBarKey = key;
+    if (replayScrubEl && document.activeElement !== replayScrubEl) {
+      replayScrubEl.value = String(Math.round(GameReplay.progress() * 1000));
+    }
+    if (replayTimeEl) {
+      replayTimeEl.textContent =
+        `${formatReplayTime(GameReplay.elapsedMs())} / ${formatReplayTime(GameReplay.durationMs())}`;
+    }
+    if (replayPlayBtn) {
+      replayPlayBtn.textContent = paused ? "▶" : "❚❚";
+      replayPlayBtn.title = paused ? "Play" : "Pause";
+    }
+  }
+
+  function enterReplay(replay) {
+    // Watching over a live match would mean not playing it. A finished one is
+    // fine — its last snapshot still says active, but the winner settles it.
+    if (serverState.isActive && !serverState.winnerId) {
+      setStatus("Replays can be watched between matches.");
+      return;
+    }
+    if (!GameReplay.open(replay)) return;
+
+    hideOverlay();
+    TouchControls.release();
+    activeKeyDirections.clear();
+    setPendingDirection("none");
+    lastReplayBarKey = null;
+    staticLayerSignature = null;
+    if (replaySpeedEl) replaySpeedEl.value = "1";
+    document.body.classList.add("is-replaying");
+    setPlayingLayout(true);
+    applyReplayFrame();
+    setStatus("Watching a replay.");
+  }
+
+  function exitReplay() {
+    if (!GameReplay.isReplaying()) return;
+    GameReplay.close();
+    document.body.classList.remove("is-replaying");
+
+    // Back to live: forget everything the replay put in place and let the next
+    // snapshot rebuild it. RequestState saves waiting for the lobby to tick.
+    serverState = createEmptyState();
+    resetSnapshotPipeline();
+    staticLayerSignature = null;
+    lastScoreKey = null;
+    lastStatusKey = null;
+    setPlayingLayout(false);
+    updateStatusFromState(serverState);
+    if (roomId && connection?.state === signalR.HubConnectionState.Connected) {
+      connection.invoke("RequestState").catch(() => {});
+    } else if (!roomId) {
+      setStatus("Create a room or join with a code.");
+    }
+  }
+
+  function handleReplayKey(event) {
+    if (event.key === " ") {
+      GameReplay.togglePause();
+    } else if (event.key === "Escape") {
+      exitReplay();
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+      // Five seconds either way, worked out as a fraction of the whole.
+      const span = GameReplay.durationMs();
+      const step = span > 0 ? 5000 / span : 0;
+      GameReplay.seek(GameReplay.progress() + (event.key === "ArrowLeft" ? -step : step));
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  GameReplay.onEvent((event) => {
+    if (event.type !== "gameOver") return;
+    const name = event.payload?.winnerName;
+    setStatus(name ? `Replay: ${name} won.` : "Replay: the match ended in a draw.");
+  });
+
+  if (watchReplayBtn) {
+    watchReplayBtn.addEventListener("click", () => enterReplay());
+  }
+  if (saveReplayBtn) {
+    saveReplayBtn.addEventListener("click", () => {
+      if (!GameReplay.download()) setStatus("No finished match to save yet.");
+    });
+  }
+
+  if (openReplayBtn && replayFileInput) {
+    openReplayBtn.addEventListener("click", () => replayFileInput.click());
+    replayFileInput.addEventListener("change", async () => {
+      const file = replayFileInput.files?.[0];
+      // Cleared so choosing the same file again still fires change.
+      replayFileInput.value = "";
+      if (!file) return;
+      try {
+        enterReplay(await GameReplay.load(file));
+      } catch (err) {
+        setStatus(err.message);
+      }
+    });
+  }
+
+  if (replayPlayBtn) {
+    replayPlayBtn.addEventListener("click", () => GameReplay.togglePause());
+  }
+  if (replayScrubEl) {
+    replayScrubEl.addEventListener("input", () => {
+      GameReplay.seek(Number(replayScrubEl.value) / 1000);
+    });
+  }
+  if (replaySpeedEl) {
+    replaySpeedEl.addEventListener("change", () => {
+      GameReplay.setSpeed(Number(replaySpeedEl.value));
+    });
+  }
+  if (replayCloseBtn) {
+    replayCloseBtn.addEventListener("click", exitReplay);
+  }
+  updateReplayButtons();
+
+  // ---- Spectating -----------------------------------------------------------
+  //
+  // A spectator is in the room's snapshot feed but has no leader, so there is
+  // nothing for the camera to ride. It has three modes instead: follow one
+  // player (cycled with Q/E or 1-8), pan freely (arrows/WASD or drag), or
+  // the whole map zoomed out to fit (M) — the one for a big screen.
+
+  const spectatorCam = { mode: "follow", targetId: null, x: 0, y: 0 };
+  const spectatorPanKeys = new Set();
+  const SPECTATOR_PAN_SPEED = 900; // world px per second
+  let lastSpectateLabel = null;
+
+  function startSpectating() {
+    isSpectating = true;
+    spectatorCam.mode = "follow";
+    spectatorCam.targetId = null;
+    spectatorPanKeys.clear();
+    TouchControls.release();
+    activeKeyDirections.clear();
+    setPendingDirection("none");
+    document.body.classList.add("is-spectating");
+  }
+
+  function stopSpectating() {
+    if (!isSpectating) return;
+    isSpectating = false;
+    camera.zoom = 1;
+    spectatorPanKeys.clear();
+    document.body.classList.remove("is-spectating");
+  }
+
+  function spectatorFocus(renderState) {
+    const players = renderState.players ?? [];
+
+    if (spectatorCam.mode === "overview") {
+      camera.zoom = Math.min(canvasWidth / worldWidth, canvasHeight / worldHeight);
+      return { x: worldWidth / 2, y: worldHeight / 2 };
+    }
+    camera.zoom = 1;
+
+    if (spectatorCam.mode === "follow") {
+      let target = players.find((p) => p.connectionId === spectatorCam.targetId);
+      // Whoever we were following left; pick up someone rather than staring at
+      // an empty room.
+      if (!target && players.length) {
+        target = players[0];
+        spectatorCam.targetId = target.connectionId;
+      }
+      if (target) {
+        // Remembered so switching to free pan starts from here, not a jump.
+        spectatorCam.x = target.leader.x;
+        spectatorCam.y = target.leader.y;
+      }
+    }
+    return spectatorCam;
+  }
+
+  function followPlayer(targetId) {
+    spectatorCam.mode = "follow";
+    spectatorCam.targetId = targetId;
+  }
+
+  function cycleFollow(step) {
+    const players = serverState.players ?? [];
+    if (!players.length) return;
+    const index = players.findIndex((p) => p.connectionId === spectatorCam.targetId);
+    // From free or map mode, the first press lands on the first/last player.
+    const from = spectatorCam.mode === "follow" && index >= 0 ? index : step > 0 ? -1 : 0;
+    const next = (from + step + players.length) % players.length;
+    followPlayer(players[next].connectionId);
+  }
+
+  function setFreeCamera() {
+    // Leave the overview centred on what was in the middle of it.
+    if (spectatorCam.mode === "overview") {
+      spectatorCam.x = worldWidth / 2;
+      spectatorCam.y = worldHeight / 2;
+    }
+    spectatorCam.mode = "free";
+  }
+
+  function toggleOverview() {
+    if (spectatorCam.mode === "overview") {
+      followPlayer(spectatorCam.targetId);
+    } else {
+      spectatorCam.mode = "overview";
+    }
+  }
+
+  function panSpectatorCamera(deltaSeconds) {
+    updateSpectateBar();
+    if (spectatorPanKeys.size === 0) return;
+    let dx = 0;
+    let dy = 0;
+    for (const direction of spectatorPanKeys) {
+      const v = directionToVector(direction);
+      dx += v.x;
+      dy += v.y;
+    }
+    if (dx === 0 && dy === 0) return;
+    if (spectatorCam.mode !== "free") setFreeCamera();
+    panSpectatorBy(dx * SPECTATOR_PAN_SPEED * deltaSeconds, dy * SPECTATOR_PAN_SPEED * deltaSeconds);
+  }
+
+  // Clamped to the area the camera can actually centre on, so panning past an
+  // edge and back does not have to unwind the overshoot first.
+  function panSpectatorBy(dx, dy) {
+    const halfW = canvasWidth / 2;
+    const halfH = canvasHeight / 2;
+    spectatorCam.x = clamp(spectatorCam.x + dx, halfW, Math.max(halfW, worldWidth - halfW));
+    spectatorCam.y = clamp(spectatorCam.y + dy, halfH, Math.max(halfH, worldHeight - halfH));
+  }
+
+  function handleSpectatorKey(event, down) {
+    const direction = directionForKey(event.key);
+    if (direction) {
+      if (down) spectatorPanKeys.add(direction);
+      else spectatorPanKeys.delete(direction);
+      event.preventDefault();
+      return;
+    }
+    if (!down) return;
+
+    const action = KeyBindings.actionFor(event.key);
+    if (action === "followPrev") {
+      cycleFollow(-1);
+    } else if (action === "followNext") {
+      cycleFollow(1);
+    } else if (action === "freeCamera") {
+      setFreeCamera();
+    } else if (action === "overview") {
+      toggleOverview();
+    } else if (action === "minimap") {
+      runUiAction(action);
+    } else if (/^[1-8]$/.test(event.key)) {
+      const player = (serverState.players ?? [])[Number(event.key) - 1];
+      if (player) followPlayer(player.connectionId);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+
+  function updateSpectateBar() {
+    if (!spectateLabelEl) return;
+    let label;
+    if (spectatorCam.mode === "overview") {
+      label = "Whole map";
+    } else if (spectatorCam.mode === "free") {
+      label = "Free camera";
+    } else {
+      const target = (serverState.players ?? []).find((p) => p.connectionId === spectatorCam.targetId);
+      label = target ? target.displayName || target.teamColor : "—";
+    }
+    const key = `${spectatorCam.mode}|${label}`;
+    if (key === lastSpectateLabel) return;
+    lastSpectateLabel = key;
+    spectateLabelEl.textContent = label;
+    if (spectateFreeBtn) spectateFreeBtn.classList.toggle("active", spectatorCam.mode === "free");
+    if (spectateMapBtn) spectateMapBtn.classList.toggle("active", spectatorCam.mode === "overview");
+  }
+
+  // Drag to pan. The canvas is CSS-scaled to fit the page, so a screen pixel is
+  // not a world pixel; convert through the element's on-screen size.
+  let spectatorDrag = null;
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!isSpectating || GameReplay.isReplaying()) return;
+    spectatorDrag = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (!spectatorDrag || spectatorDrag.id !== e.pointerId) return;
+    const scale = canvas.width / canvas.getBoundingClientRect().width / camera.zoom;
+    const dx = (e.clientX - spectatorDrag.x) * scale;
+    const dy = (e.clientY - spectatorDrag.y) * scale;
+    spectatorDrag.x = e.clientX;
+    spectatorDrag.y = e.clientY;
+    if (dx === 0 && dy === 0) return;
+    if (spectatorCam.mode !== "free") setFreeCamera();
+    panSpectatorBy(-dx, -dy);
+  });
+  const endSpectatorDrag = (e) => {
+    if (spectatorDrag && spectatorDrag.id === e.pointerId) spectatorDrag = null;
+  };
+  canvas.addEventListener("pointerup", endSpectatorDrag);
+  canvas.addEventListener("pointercancel", endSpectatorDrag);
+
+  if (spectateBtn) {
+    spectateBtn.addEventListener("click", async () => {
+      if (!roomCodeInput.value) {
+        setStatus("Enter a room code to spectate.");
+        return;
+      }
+      hideOverlay();
+      const code = roomCodeInput.value.trim().toUpperCase();
+      setStatus(`Opening ${code} to watch…`);
+      try {
+        await connection.invoke("SpectateGame", code);
+      } catch (err) {
+        console.error(err);
+        setStatus("Failed to spectate.");
+      }
+    });
+  }
+  if (spectatePrevBtn) spectatePrevBtn.addEventListener("click", () => cycleFollow(-1));
+  if (spectateNextBtn) spectateNextBtn.addEventListener("click", () => cycleFollow(1));
+  if (spectateFreeBtn) spectateFreeBtn.addEventListener("click", setFreeCamera);
+  if (spectateMapBtn) spectateMapBtn.addEventListener("click", toggleOverview);
+  if (spectateJoinBtn) {
+    // Stepping in from the sidelines. Only works in the lobby; mid-match the
+    // server answers MatchInProgress like any other join.
+    spectateJoinBtn.addEventListener("click", async () => {
+      if (!roomId) return;
+      try {
+        await connection.invoke("JoinGame", roomId, displayNameInput.value.trim());
+      } catch (err) {
+        console.error(err);
+        setStatus("Failed to join game.");
+      }
+    });
+  }
+
   // ---- Match layout mode --------------------------------------------------
   //
   // In a match the setup panel is collapsed and the page re-fits against a
@@ -3100,6 +4981,400 @@
     }
   }
 
+  // ---- Series --------------------------------------------------------------
+
+  function setSeries(next) {
+    series = next ?? null;
+    seriesRoomId = roomId;
+    lastSeriesBoardKey = null;
+    updateSeriesBoard(serverState);
+  }
+
+  function currentSeries() {
+    return series && seriesRoomId === roomId ? series : null;
+  }
+
+  function seriesName(entry) {
+    return entry.displayName || entry.teamColor;
+  }
+
+  /**
+   * Wins per player over the series' matches, most first. Built from the
+   * match summaries rather than the live roster, so someone who won a match
+   * and then left still shows on the board.
+   */
+  function seriesStandings(s) {
+    const byId = new Map();
+    for (const match of s.matches ?? []) {
+      for (const p of match.players ?? []) {
+        const entry = byId.get(p.connectionId) ?? { ...p, wins: 0 };
+        entry.displayName = p.displayName;
+        if (p.won) entry.wins++;
+        byId.set(p.connectionId, entry);
+      }
+    }
+    return [...byId.values()].sort((a, b) => b.wins - a.wins);
+  }
+
+  function seriesHeading(s) {
+    const target = Math.floor(s.length / 2) + 1;
+    if (s.winnerId) return `Best of ${s.length} — decided`;
+    if (s.match > s.length) return `Best of ${s.length} — decider, match ${s.match}`;
+    return s.match > 0
+      ? `Best of ${s.length} — match ${s.match}, first to ${target}`
+      : `Best of ${s.length} — first to ${target}`;
+  }
+
+  /** One line per match: who won, who hunted, who caught and who lasted. */
+  function describeMatch(match) {
+    const name = (id) => {
+      const p = (match.players ?? []).find((x) => x.connectionId === id);
+      return p ? seriesName(p) : "?";
+    };
+    const supers = (match.players ?? [])
+      .filter((p) => p.timesSuper > 0)
+      .map((p) => (p.timesSuper > 1 ? `${seriesName(p)} ×${p.timesSuper}` : seriesName(p)));
+    const catches = (match.players ?? []).reduce((n, p) => n + (p.catches ?? 0), 0);
+    const losers = (match.players ?? []).filter((p) => !p.won);
+    const lasted = losers.sort((a, b) => b.secondsAlive - a.secondsAlive)[0];
+    const parts = [
+      `${match.winnerId ? `${name(match.winnerId)} won` : "Draw"} in ${formatReplayTime(match.durationSeconds * 1000)}`,
+      supers.length ? `⚡ ${supers.join(", ")}` : "nobody went super",
+      `${catches} ${catches === 1 ? "catch" : "catches"}`,
+    ];
+    if (lasted) parts.push(`${seriesName(lasted)} lasted ${formatReplayTime(lasted.secondsAlive * 1000)}`);
+    return `${match.match}. ${parts.join(" · ")}`;
+  }
+
+  /** The standings and match list, as elements — names go in as text. */
+  function buildSeriesBoard(s, { withMatches = true } = {}) {
+    const wrap = document.createElement("div");
+    wrap.className = "series-board";
+
+    const heading = document.createElement("p");
+    heading.className = "series-heading";
+    heading.textContent = seriesHeading(s);
+    wrap.appendChild(heading);
+
+    const standings = seriesStandings(s);
+    if (standings.length) {
+      const list = document.createElement("ol");
+      list.className = "series-standings";
+      for (const entry of standings) {
+        const li = document.createElement("li");
+        const nameEl = document.createElement("strong");
+        nameEl.style.color = paletteFor(entry.teamColor).leader;
+        nameEl.textContent = seriesName(entry);
+        li.append(nameEl, ` ${entry.wins}`);
+        if (entry.connectionId === s.winnerId) li.classList.add("series-leader");
+        list.appendChild(li);
+      }
+      wrap.appendChild(list);
+    }
+
+    if (withMatches && s.matches?.length) {
+      const matches = document.createElement("ul");
+      matches.className = "series-matches";
+      for (const match of s.matches) {
+        const li = document.createElement("li");
+        li.textContent = describeMatch(match);
+        matches.appendChild(li);
+      }
+      wrap.appendChild(matches);
+    }
+    return wrap;
+  }
+
+  /** The series so far, under the result card. Nothing for a best-of-one. */
+  function seriesOverlayNodes() {
+    const s = currentSeries();
+    return s && s.length > 1 && s.matches?.length ? [buildSeriesBoard(s, { withMatches: false })] : [];
+  }
+
+  // ---- Match stats ----------------------------------------------------------
+
+  const formatSeconds = (seconds) => formatReplayTime((seconds ?? 0) * 1000);
+
+  // The stats table's columns, in order. Sorting is biggest first except where
+  // `ascending` says smaller is better; a missing value always sorts last.
+  const MATCH_STAT_COLUMNS = [
+    { key: "underlingsEaten", label: "Eaten", title: "Underlings eaten", format: String },
+    { key: "catches", label: "Catches", title: "Leaders caught as the super", format: String },
+    { key: "secondsAsSuper", label: "Super", title: "Time spent as the super", format: formatSeconds },
+    { key: "secondsAliveInHunt", label: "Hunted", title: "Time survived while being hunted", format: formatSeconds },
+    { key: "distanceTravelled", label: "Distance", title: "How far their leader moved", format: (v) => Math.round(v).toLocaleString() },
+    {
+      key: "closestEscape",
+      label: "Closest",
+      title: "The closest the super came without catching them",
+      format: (v) => (v == null ? "—" : v.toFixed(1)),
+      ascending: true,
+    },
+    { key: "secondsAlive", label: "Alive", title: "Time in the match before being caught", format: formatSeconds },
+  ];
+
+  // One award per stat worth bragging about. A tie shares it; nobody gets it
+  // for a zero, or when everyone has the same number.
+  const MATCH_AWARDS = [
+    { name: "Glutton", key: "underlingsEaten", detail: (v) => `${v} eaten` },
+    { name: "Apex", key: "catches", detail: (v) => `${v} caught` },
+    { name: "Most Evasive", key: "closestEscape", detail: (v) => `escaped by ${v.toFixed(1)}` },
+    { name: "Survivor", key: "secondsAliveInHunt", detail: (v) => `${formatSeconds(v)} hunted` },
+    { name: "Wanderer", key: "distanceTravelled", detail: (v) => `${Math.round(v).toLocaleString()} travelled` },
+  ];
+
+  function compareStat(column, a, b) {
+    const va = a[column.key];
+    const vb = b[column.key];
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return column.ascending ? va - vb : vb - va;
+  }
+
+  function matchAwards(players) {
+    const awards = [];
+    for (const award of MATCH_AWARDS) {
+      const column = MATCH_STAT_COLUMNS.find((c) => c.key === award.key);
+      const eligible = players.filter((p) => p[award.key] != null && (column.ascending || p[award.key] > 0));
+      if (!eligible.length) continue;
+      const best = [...eligible].sort((a, b) => compareStat(column, a, b))[0][award.key];
+      const holders = eligible.filter((p) => p[award.key] === best);
+      if (players.length > 1 && holders.length === players.length) continue;
+      awards.push({ award, holders, value: best });
+    }
+    return awards;
+  }
+
+  /**
+   * The finished match for the result card: the awards, then every player's
+   * numbers in a table that re-sorts on a header click (again to reverse).
+   * Names go in as text, like everywhere else they are shown.
+   */
+  function matchStatsNodes(match) {
+    const players = match?.players ?? [];
+    if (!players.length) return [];
+    const nodes = [];
+
+    const awards = matchAwards(players);
+    if (awards.length) {
+      const list = document.createElement("ul");
+      list.className = "match-awards";
+      for (const { award, holders, value } of awards) {
+        const li = document.createElement("li");
+        const badge = document.createElement("span");
+        badge.className = "match-award";
+        badge.textContent = award.name;
+        li.append(badge, " ");
+        holders.forEach((p, i) => {
+          const nameEl = document.createElement("strong");
+          nameEl.style.color = paletteFor(p.teamColor).leader;
+          nameEl.textContent = seriesName(p);
+          li.append(...(i ? [" & ", nameEl] : [nameEl]));
+        });
+        li.append(` — ${award.detail(value)}`);
+        list.appendChild(li);
+      }
+      nodes.push(list);
+    }
+
+    const table = document.createElement("table");
+    table.className = "match-summary";
+    const head = table.createTHead().insertRow();
+    head.appendChild(document.createElement("th"));
+    const body = table.createTBody();
+    let sortColumn = MATCH_STAT_COLUMNS.find((c) => c.key === "secondsAlive");
+    let reversed = false;
+    const headers = new Map();
+
+    const render = () => {
+      const rows = [...players].sort((a, b) => {
+        const missing = (a[sortColumn.key] == null) - (b[sortColumn.key] == null);
+        if (missing) return missing;
+        const order = compareStat(sortColumn, a, b) || Number(b.won) - Number(a.won);
+        return reversed ? -order : order;
+      });
+      const cells = rows.map((p) => {
+        const row = document.createElement("tr");
+        const nameCell = row.insertCell();
+        nameCell.textContent = p.won ? `${seriesName(p)} ★` : seriesName(p);
+        nameCell.style.color = paletteFor(p.teamColor).leader;
+        for (const column of MATCH_STAT_COLUMNS) {
+          row.insertCell().textContent = column.format(p[column.key]);
+        }
+        return row;
+      });
+      body.replaceChildren(...cells);
+      for (const [column, th] of headers) {
+        const sorted = column === sortColumn;
+        const best = column.ascending ? "ascending" : "descending";
+        const worst = column.ascending ? "descending" : "ascending";
+        th.setAttribute("aria-sort", sorted ? (reversed ? worst : best) : "none");
+      }
+    };
+
+    for (const column of MATCH_STAT_COLUMNS) {
+      const th = document.createElement("th");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "stat-sort";
+      button.textContent = column.label;
+      button.title = column.title;
+      button.addEventListener("click", () => {
+        reversed = column === sortColumn ? !reversed : false;
+        sortColumn = column;
+        render();
+      });
+      th.appendChild(button);
+      head.appendChild(th);
+      headers.set(column, th);
+    }
+    render();
+
+    const scroller = document.createElement("div");
+    scroller.className = "match-summary-scroll";
+    scroller.appendChild(table);
+    nodes.push(scroller);
+    return nodes;
+  }
+
+  /** The series is over: the champion's crest, the final score, the deciding match, every match. */
+  function showSeriesCeremony(champion, stats) {
+    const s = currentSeries();
+    const colour = paletteFor(champion.teamColor).leader;
+    const standings = seriesStandings(s);
+    const score = standings.map((e) => e.wins).join("–");
+
+    const title = document.createElement("h1");
+    title.className = "victory-title series-title";
+    title.style.setProperty("--winner-color", colour);
+    title.textContent = "SERIES WINNER";
+
+    const sub = document.createElement("p");
+    sub.className = "victory-sub";
+    const nameEl = document.createElement("strong");
+    nameEl.style.color = colour;
+    nameEl.style.textShadow = `0 0 10px ${colour}`;
+    nameEl.textContent = champion.displayName || champion.teamColor;
+    sub.append(nameEl, ` takes the best of ${s.length}, ${score}!`);
+
+    let note = null;
+    if (!isHost) {
+      note = document.createElement("p");
+      note.className = "victory-note";
+      note.textContent = "Waiting for the host to start a new series…";
+    }
+
+    setStatus(`Series over! ${champion.displayName || champion.teamColor} wins ${score}`);
+    if (restartBtn) restartBtn.style.display = isHost ? "" : "none";
+    showOverlay([title, sub, ...matchStatsNodes(stats), buildSeriesBoard(s), note]);
+    paintVictoryCrest(champion.teamColor);
+  }
+
+  // The lobby's view of the series: the length picker (host only) and the
+  // board. Shown whenever the room plays more than one match.
+  function updateSeriesBoard(state) {
+    const length = state.seriesLength ?? 1;
+    const inLobby = !!roomId && !state.isActive;
+    if (seriesOptionEl) {
+      if (seriesOptionEl.hidden === inLobby) seriesOptionEl.hidden = !inLobby;
+      const locked = !isHost || isSpectating;
+      if (seriesLengthEl.disabled !== locked) seriesLengthEl.disabled = locked;
+      if (seriesLengthEl.value !== String(length) && document.activeElement !== seriesLengthEl) {
+        seriesLengthEl.value = String(length);
+      }
+    }
+    if (!seriesBoardEl) return;
+
+    const s = currentSeries();
+    const show = !!roomId && length > 1;
+    const board = s && s.length === length ? s : { length, match: state.seriesMatch ?? 0, winnerId: null, matches: [] };
+    const key = show ? JSON.stringify([board.length, board.match, board.winnerId, board.matches.length]) : "";
+    if (key === lastSeriesBoardKey) return;
+    lastSeriesBoardKey = key;
+    seriesBoardEl.hidden = !show;
+    seriesBoardEl.replaceChildren(...(show ? [buildSeriesBoard(board)] : []));
+  }
+
+  // ---- Profile and ladder ----------------------------------------------------
+
+  async function sendProfile() {
+    if (connection?.state !== signalR.HubConnectionState.Connected) return;
+    try {
+      await connection.invoke("SetProfile", GameProfile.forServer());
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function updateProfileControls() {
+    const enabled = GameProfile.enabled();
+    if (profileToggleEl) profileToggleEl.checked = enabled;
+    if (!profileColorOptionEl) return;
+    profileColorOptionEl.hidden = !enabled;
+    profileColorEl.value = GameProfile.color() ?? "";
+    const color = GameProfile.color();
+    profileSwatchEl.style.setProperty("--swatch", color ? paletteFor(color).leader : "transparent");
+  }
+
+  const titleCase = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+  function leaderboardRow(entry) {
+    const row = document.createElement("tr");
+    if (entry.isYou) row.classList.add("is-you");
+    row.insertCell().textContent = String(entry.rank);
+    const nameCell = row.insertCell();
+    nameCell.textContent = entry.displayName;
+    nameCell.style.color = paletteFor(entry.teamColor).leader;
+    for (const value of [entry.wins, entry.supers, entry.catches, entry.matches]) {
+      row.insertCell().textContent = String(value);
+    }
+    return row;
+  }
+
+  /** The ladder as a table; your own line is marked, and added below the top if you are further down. */
+  function renderLeaderboard(board) {
+    const nodes = [];
+    if (board.top.length) {
+      const table = document.createElement("table");
+      const head = table.createTHead().insertRow();
+      for (const label of ["#", "", "Wins", "⚡", "Catches", "Played"]) {
+        const th = document.createElement("th");
+        th.textContent = label;
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      for (const entry of board.top) body.appendChild(leaderboardRow(entry));
+      if (board.you) {
+        const gap = body.insertRow();
+        gap.className = "gap";
+        const cell = gap.insertCell();
+        cell.colSpan = 6;
+        cell.textContent = "…";
+        body.appendChild(leaderboardRow(board.you));
+      }
+      nodes.push(table);
+    }
+
+    const note = document.createElement("p");
+    note.className = "leaderboard-note";
+    note.textContent = !board.top.length
+      ? "Nobody is on the ladder yet."
+      : GameProfile.enabled()
+        ? `${board.players} ${board.players === 1 ? "player" : "players"} ranked by wins, then supers, then catches.`
+        : "Tick “Keep a profile on this device” to get on it.";
+    nodes.push(note);
+    leaderboardBodyEl.replaceChildren(...nodes);
+  }
+
+  async function loadLeaderboard() {
+    if (!leaderboardBodyEl || connection?.state !== signalR.HubConnectionState.Connected) return;
+    try {
+      renderLeaderboard(await connection.invoke("GetLeaderboard"));
+    } catch (err) {
+      console.error(err);
+      leaderboardBodyEl.textContent = "Couldn't load the ladder.";
+    }
+  }
+
   let lastScoreKey = null;
   let lastStatusKey = null;
 
@@ -3109,10 +5384,19 @@
     if (roomTagEl && roomTagEl.textContent !== (roomId || "—")) {
       roomTagEl.textContent = roomId || "—";
     }
+    if (spectatorTagEl) {
+      const watching = state.spectatorCount ?? 0;
+      const text = watching > 0 ? `👁 ${watching}` : "";
+      if (spectatorTagEl.textContent !== text) {
+        spectatorTagEl.textContent = text;
+        spectatorTagEl.title = `${watching} watching`;
+      }
+    }
     if (!scoreLineEl) return;
 
     const players = state.players ?? [];
-    const key = players.map((p) => `${p.displayName}:${p.eaten}:${p.isDead}:${p.isSuper}`).join("|");
+    const inSeries = (state.seriesLength ?? 1) > 1;
+    const key = players.map((p) => `${p.displayName}:${p.eaten}:${p.isDead}:${p.isSuper}:${p.wins}:${p.isAway}`).join("|") + inSeries;
     if (key === lastScoreKey) return;
     lastScoreKey = key;
 
@@ -3127,8 +5411,11 @@
       const span = document.createElement("span");
       const colours = paletteFor(player.teamColor);
       span.style.color = player.isDead ? "#475569" : colours.leader;
-      const mark = player.isSuper ? " ⚡" : player.isDead ? " ✕" : "";
-      span.textContent = `${player.displayName}: ${player.eaten ?? 0}${mark}`;
+      const mark = player.isSuper ? " ⚡" : player.isDead ? " ✕" : player.isAway ? " …" : "";
+      // In a series, each player's match wins so far: who is ahead matters
+      // more the longer it goes.
+      const wins = inSeries ? ` ★${player.wins ?? 0}` : "";
+      span.textContent = `${player.displayName}: ${player.eaten ?? 0}${mark}${wins}`;
       scoreLineEl.appendChild(span);
     });
   }
@@ -3188,13 +5475,26 @@
     }
 
     const hunting = state.phase === "hunting";
-    const me = (state.players ?? []).find((p) => p.connectionId === myPlayerId);
+    const me = (state.players ?? []).find((p) => p.connectionId === viewerId());
     const target = state.underlingsToBecomeSuper ?? 5;
     const superPlayer = (state.players ?? []).find((p) => p.isSuper);
 
     let text;
     let mood;
-    if (!hunting) {
+    if (isSpectating && !GameReplay.isReplaying()) {
+      // Nobody here is "you"; describe the match instead.
+      if (!hunting) {
+        text = me
+          ? `${(me.displayName || me.teamColor).toUpperCase()} HAS ${me.eaten ?? 0} OF ${target}`
+          : `GATHERING — FIRST TO ${target} TURNS SUPER`;
+        mood = "gather";
+      } else {
+        const left = (state.players ?? []).filter((p) => !p.isDead && !p.isSuper).length;
+        const name = superPlayer?.displayName || "SOMEONE";
+        text = `${name.toUpperCase()} IS SUPER — ${left} LEFT TO CATCH`;
+        mood = "hunted";
+      }
+    } else if (!hunting) {
       text = `EAT ${target} TO BECOME SUPER — YOU HAVE ${me?.eaten ?? 0}`;
       mood = "gather";
     } else if (me?.isSuper) {
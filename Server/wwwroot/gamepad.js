@@ -0,0 +1,198 @@
+// Controller input through the Gamepad API: sticks and the D-pad become one
+// of four directions (eight when the room allows diagonals), face buttons
+// become named UI actions.
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "swarmsnack.gamepad";
+
+  // Names for the "standard" mapping every mainstream pad reports under.
+  const BUTTON_NAMES = [
+    "A", "B", "X", "Y", "LB", "RB", "LT", "RT",
+    "Back", "Start", "L-stick", "R-stick",
+    "D-pad up", "D-pad down", "D-pad left", "D-pad right", "Home",
+  ];
+  const DPAD = { 12: "up", 13: "down", 14: "left", 15: "right" };
+
+  const ACTIONS = ["start", "mic", "minimap"];
+  const DEFAULT_BUTTONS = { start: 9, mic: 3, minimap: 2 };
+  const DEFAULT_DEADZONE = 0.25;
+
+  // Per controller, keyed by the id the browser reports: a worn pad drifts
+  // further than a new one, and people on the same couch bring different pads.
+  /** { [gamepad.id]: { deadzone, buttons: { action: index } } } */
+  let configs = {};
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") configs = saved;
+  } catch {
+    // A corrupt or blocked localStorage is not worth failing input over.
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(configs));
+    } catch {
+      /* private browsing — run with defaults */
+    }
+  }
+
+  const listeners = new Set();
+  function notify() {
+    for (const fn of listeners) fn();
+  }
+
+  let onDirection = null;
+  let onAction = null;
+  let direction = "none";
+  // Room option: report diagonals instead of only the dominant axis.
+  let eightWay = false;
+  /** Buttons held on the previous poll, per pad index, so a hold fires once. */
+  const held = new Map();
+  let padCount = 0;
+
+  function configFor(id) {
+    const saved = configs[id];
+    const buttons = { ...DEFAULT_BUTTONS };
+    let deadzone = DEFAULT_DEADZONE;
+    if (saved && typeof saved === "object") {
+      if (typeof saved.deadzone === "number") deadzone = Math.min(0.9, Math.max(0, saved.deadzone));
+      for (const action of ACTIONS) {
+        const index = saved.buttons?.[action];
+        if (Number.isInteger(index) && index >= 0 && index < BUTTON_NAMES.length) buttons[action] = index;
+      }
+    }
+    return { deadzone, buttons };
+  }
+
+  function pads() {
+    if (!navigator.getGamepads) return [];
+    return [...navigator.getGamepads()].filter((p) => p && p.connected);
+  }
+
+  function isPressed(button) {
+    return !!button && (button.pressed || button.value > 0.5);
+  }
+
+  // Unless the room allows diagonals the server only knows four directions,
+  // so the stick gives the dominant axis once it is past the deadzone. The
+  // deadzone is radial: per-axis deadzones make the diagonals sticky and feel
+  // like a square gate.
+  function stickDirection(pad, deadzone) {
+    const x = pad.axes[0] ?? 0;
+    const y = pad.axes[1] ?? 0;
+    if (Math.hypot(x, y) < deadzone) return "none";
+    if (eightWay) {
+      const sector = (Math.round(Math.atan2(y, x) / (Math.PI / 4)) + 8) % 8;
+      return ["right", "down-right", "down", "down-left", "left", "up-left", "up", "up-right"][sector];
+    }
+    if (Math.abs(x) >= Math.abs(y)) return x > 0 ? "right" : "left";
+    return y > 0 ? "down" : "up";
+  }
+
+  function padDirection(pad, config) {
+    // The D-pad wins over the stick: it is the deliberate input of the two.
+    let vertical = null;
+    let horizontal = null;
+    for (const [index, dir] of Object.entries(DPAD)) {
+      if (!isPressed(pad.buttons[index])) continue;
+      if (dir === "up" || dir === "down") vertical = vertical ?? dir;
+      else horizontal = horizontal ?? dir;
+    }
+    if (vertical && horizontal) return eightWay ? `${vertical}-${horizontal}` : vertical;
+    if (vertical || horizontal) return vertical || horizontal;
+    return stickDirection(pad, config.deadzone);
+  }
+
+  // The Gamepad API has no input events, only connect and disconnect, so
+  // game.js calls this once a frame from its draw loop. Reports only changes.
+  function poll() {
+    if (padCount === 0) return;
+    let next = "none";
+    for (const pad of pads()) {
+      const config = configFor(pad.id);
+      if (next === "none") next = padDirection(pad, config);
+
+      const before = held.get(pad.index) ?? new Set();
+      const now = new Set();
+      pad.buttons.forEach((button, index) => {
+        if (isPressed(button)) now.add(index);
+      });
+      for (const action of ACTIONS) {
+        const index = config.buttons[action];
+        if (now.has(index) && !before.has(index) && onAction) onAction(action);
+      }
+      held.set(pad.index, now);
+    }
+
+    if (next !== direction) {
+      direction = next;
+      if (onDirection) onDirection(direction);
+    }
+  }
+
+  function init(handlers) {
+    onDirection = handlers.onDirection ?? null;
+    onAction = handlers.onAction ?? null;
+
+    // Hot-plug. Browsers only announce a pad once it has been touched, so
+    // "connected" really means "someone just picked it up".
+    window.addEventListener("gamepadconnected", () => {
+      padCount = pads().length;
+      notify();
+    });
+    window.addEventListener("gamepaddisconnected", (e) => {
+      held.delete(e.gamepad.index);
+      padCount = pads().length;
+      // The pad that was steering may be the one that went; stop rather than
+      // run on with its last direction.
+      if (direction !== "none") {
+        direction = "none";
+        if (onDirection) onDirection(direction);
+      }
+      notify();
+    });
+    padCount = pads().length;
+  }
+
+  function update(id, change) {
+    const current = configFor(id);
+    change(current);
+    configs[id] = current;
+    persist();
+    notify();
+  }
+
+  function setDeadzone(id, deadzone) {
+    if (typeof deadzone !== "number" || Number.isNaN(deadzone)) return;
+    update(id, (c) => { c.deadzone = Math.min(0.9, Math.max(0, deadzone)); });
+  }
+
+  /**
+   * Binds a button to an action. A button does one thing: whatever held it
+   * before is given this action's old button, so rebinding swaps rather than
+   * leaving one button firing two actions.
+   */
+  function setButton(id, action, index) {
+    if (!ACTIONS.includes(action) || !Number.isInteger(index)) return;
+    update(id, (c) => {
+      const clash = ACTIONS.find((a) => a !== action && c.buttons[a] === index);
+      if (clash) c.buttons[clash] = c.buttons[action];
+      c.buttons[action] = index;
+    });
+  }
+
+  window.GamepadInput = {
+    ACTIONS,
+    BUTTON_NAMES,
+    init,
+    poll,
+    setEightWay: (enabled) => { eightWay = !!enabled; },
+    setDeadzone,
+    setButton,
+    configFor,
+    /** The pads the browser currently knows about, as { index, id }. */
+    connected: () => pads().map((p) => ({ index: p.index, id: p.id })),
+    onChange: (fn) => listeners.add(fn),
+  };
+})();
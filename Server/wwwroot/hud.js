@@ -0,0 +1,129 @@
+// Performance and netcode overlay: frame time, round trip and the snapshot
+// stream side by side over the game view, so a screenshot says which one
+// "it lags" means. F3 toggles it; ?debug=1 opens with it on.
+(function () {
+  "use strict";
+
+  const BUCKET_MS = 100;
+  const HISTORY = 120; // buckets: twelve seconds
+  const WIDTH = 260;
+  const GRAPH_HEIGHT = 28;
+  const LINE_HEIGHT = 14;
+  const PADDING = 8;
+
+  // What each sparkline shows, and the value its top edge stands for. A fixed
+  // scale makes two screenshots comparable; anything above it is clipped and
+  // drawn red.
+  const SERIES = {
+    frame: { label: "Frame", unit: "ms", ceiling: 50, warn: 20 },
+    rtt: { label: "RTT", unit: "ms", ceiling: 400, warn: 150 },
+    drift: { label: "Drift", unit: "px", ceiling: 60, warn: 20 },
+  };
+
+  let visible = false;
+  try {
+    visible = new URLSearchParams(window.location.search).get("debug") === "1";
+  } catch {
+    /* no query string to speak of */
+  }
+
+  const history = {};
+  for (const name of Object.keys(SERIES)) {
+    history[name] = { values: [], bucketStart: 0, bucketMax: null, last: null };
+  }
+
+  /**
+   * Records a value; the series' current bucket keeps the largest. Every
+   * frame would be thousands of points to draw, and an average would hide
+   * the one long frame or late snapshot that is the stutter someone noticed.
+   */
+  function sample(name, value, now = performance.now()) {
+    const series = history[name];
+    if (!series || typeof value !== "number" || Number.isNaN(value)) return;
+    series.last = value;
+    if (now - series.bucketStart >= BUCKET_MS) {
+      if (series.bucketMax !== null) {
+        series.values.push(series.bucketMax);
+        if (series.values.length > HISTORY) series.values.shift();
+      }
+      series.bucketStart = now;
+      series.bucketMax = value;
+    } else {
+      series.bucketMax = Math.max(series.bucketMax ?? value, value);
+    }
+  }
+
+  function drawSparkline(ctx, name, x, y) {
+    const spec = SERIES[name];
+    const series = history[name];
+    const values = series.values;
+
+    ctx.fillStyle = "rgba(148, 163, 184, 0.12)";
+    ctx.fillRect(x, y, WIDTH - PADDING * 2, GRAPH_HEIGHT);
+
+    const step = (WIDTH - PADDING * 2) / (HISTORY - 1);
+    const start = x + (HISTORY - values.length) * step;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+      const clamped = Math.min(value, spec.ceiling);
+      const px = start + i * step;
+      const py = y + GRAPH_HEIGHT - (clamped / spec.ceiling) * GRAPH_HEIGHT;
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.strokeStyle = "#22d3ee";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // Over the warning line is what a player would notice.
+    const warnY = y + GRAPH_HEIGHT - (spec.warn / spec.ceiling) * GRAPH_HEIGHT;
+    ctx.strokeStyle = "rgba(251, 191, 36, 0.35)";
+    ctx.beginPath();
+    ctx.moveTo(x, warnY);
+    ctx.lineTo(x + WIDTH - PADDING * 2, warnY);
+    ctx.stroke();
+
+    const last = series.last;
+    const text = last === null ? "—" : `${last.toFixed(name === "drift" ? 1 : 0)}${spec.unit}`;
+    ctx.fillStyle = last !== null && last > spec.warn ? "#f87171" : "#e2e8f0";
+    ctx.fillText(`${spec.label} ${text}`, x + 4, y + 11);
+  }
+
+  /**
+   * Draws the overlay in the canvas's own pixels, top-left. `lines` are the
+   * plain readouts, drawn above the graphs. game.js calls this last in its
+   * render, so the overlay sits on top.
+   */
+  function draw(ctx, lines) {
+    if (!visible) return;
+    const graphs = Object.keys(SERIES);
+    const height = PADDING * 2 + lines.length * LINE_HEIGHT + graphs.length * (GRAPH_HEIGHT + 4);
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = "rgba(2, 6, 23, 0.78)";
+    ctx.fillRect(PADDING, PADDING, WIDTH, height);
+    ctx.font = "11px ui-monospace, SFMono-Regular, Menlo, monospace";
+    ctx.textBaseline = "alphabetic";
+
+    let y = PADDING * 2 + 10;
+    ctx.fillStyle = "#e2e8f0";
+    for (const line of lines) {
+      ctx.fillText(line, PADDING * 2, y);
+      y += LINE_HEIGHT;
+    }
+    y -= 6;
+    for (const name of graphs) {
+      drawSparkline(ctx, name, PADDING * 2, y);
+      y += GRAPH_HEIGHT + 4;
+    }
+    ctx.restore();
+  }
+
+  window.PerfHud = {
+    sample,
+    draw,
+    toggle: () => { visible = !visible; },
+    visible: () => visible,
+  };
+})();
@@ -0,0 +1,126 @@
+// Network condition simulator: artificial latency, jitter, reordering and
+// dropped snapshots, for tuning netcode on localhost. Switched on only from
+// the debug panel, which only appears with ?netsim in the URL.
+(function () {
+  "use strict";
+
+  // One-way milliseconds, applied to each direction; the round trip is twice
+  // the latency. Reorder and drop are probabilities per message.
+  const PRESETS = {
+    off: { label: "Off", latencyMs: 0, jitterMs: 0, reorder: 0, drop: 0 },
+    broadband: { label: "Broadband", latencyMs: 15, jitterMs: 4, reorder: 0, drop: 0 },
+    transatlantic: { label: "Transatlantic", latencyMs: 45, jitterMs: 8, reorder: 0, drop: 0.005 },
+    wifi: { label: "Busy Wi-Fi", latencyMs: 20, jitterMs: 45, reorder: 0.03, drop: 0.03 },
+    mobile3g: { label: "Mobile 3G", latencyMs: 150, jitterMs: 60, reorder: 0.02, drop: 0.04 },
+    satellite: { label: "Satellite", latencyMs: 300, jitterMs: 30, reorder: 0, drop: 0.01 },
+  };
+
+  // Messages that may be dropped: snapshots are the one message the game
+  // treats as a stream. Everything else is reliable, as it is on the real
+  // transport; losing a JoinedGame would simulate a bug, not a network.
+  const DROPPABLE = new Set(["GameStateUpdated"]);
+  // How far past the queue a reordered message is held.
+  const REORDER_HOLD_MS = 40;
+
+  let settings = { ...PRESETS.off };
+  let preset = "off";
+  const stats = { delayed: 0, reordered: 0, dropped: 0 };
+
+  const listeners = new Set();
+  function notify() {
+    for (const fn of listeners) fn();
+  }
+
+  function enabled() {
+    return settings.latencyMs > 0 || settings.jitterMs > 0 || settings.reorder > 0 || settings.drop > 0;
+  }
+
+  // Each direction is its own queue: the time its last in-order message was
+  // released, so the next one cannot be released before it. The real
+  // transport is a WebSocket — TCP — so a late message holds back the ones
+  // behind it rather than being overtaken; jitter alone never reorders, and
+  // reordering is its own setting.
+  const lanes = { down: 0, up: 0 };
+
+  function schedule(lane, run) {
+    const now = performance.now();
+    const jitter = (Math.random() * 2 - 1) * settings.jitterMs;
+    let at = now + Math.max(0, settings.latencyMs + jitter);
+
+    if (settings.reorder > 0 && Math.random() < settings.reorder) {
+      at = Math.max(at, lanes[lane]) + settings.jitterMs + REORDER_HOLD_MS;
+      stats.reordered++;
+    } else {
+      at = Math.max(at, lanes[lane]);
+      lanes[lane] = at;
+    }
+
+    stats.delayed++;
+    setTimeout(run, Math.max(0, at - now));
+  }
+
+  // Wraps a SignalR connection before any handler is registered: handlers
+  // run late and invokes leave and resolve late, and nothing below SignalR is
+  // touched, so the server sees an ordinary client. Off, both pass straight
+  // through.
+  function attach(connection) {
+    const on = connection.on.bind(connection);
+    const invoke = connection.invoke.bind(connection);
+
+    connection.on = (name, handler) =>
+      on(name, (...args) => {
+        if (!enabled()) {
+          handler(...args);
+          return;
+        }
+        if (DROPPABLE.has(name) && Math.random() < settings.drop) {
+          stats.dropped++;
+          return;
+        }
+        schedule("down", () => handler(...args));
+      });
+
+    // The reply comes back down the same way, so a Ping measures the
+    // simulated round trip.
+    connection.invoke = (name, ...args) => {
+      if (!enabled()) return invoke(name, ...args);
+      return new Promise((resolve, reject) => {
+        schedule("up", () => {
+          invoke(name, ...args).then(
+            (result) => schedule("down", () => resolve(result)),
+            (err) => schedule("down", () => reject(err)),
+          );
+        });
+      });
+    };
+  }
+
+  function applyPreset(name) {
+    if (!PRESETS[name]) return;
+    settings = { ...PRESETS[name] };
+    preset = name;
+    notify();
+  }
+
+  /** Changes one setting by hand; the preset no longer describes what runs. */
+  function set(key, value) {
+    if (!(key in settings) || key === "label" || typeof value !== "number" || Number.isNaN(value)) return;
+    const max = key === "reorder" || key === "drop" ? 1 : 2000;
+    settings[key] = Math.min(max, Math.max(0, value));
+    preset = null;
+    notify();
+  }
+
+  window.NetSim = {
+    PRESETS,
+    attach,
+    applyPreset,
+    set,
+    enabled,
+    settings: () => ({ ...settings }),
+    /** The preset in force, or null once a setting has been changed by hand. */
+    preset: () => preset,
+    stats: () => ({ ...stats }),
+    onChange: (fn) => listeners.add(fn),
+  };
+})();
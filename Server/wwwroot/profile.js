@@ -0,0 +1,86 @@
+// Player profile: an optional identity that outlives the connection — a name,
+// a preferred colour, and a token the ladder files results under.
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "swarmsnack.profile";
+  // In step with GameConstants.PlayerColorKeys; the server ignores anything else.
+  const COLORS = ["cyan", "rose", "amber", "violet", "lime", "orange", "sky", "fuchsia"];
+
+  let profile = { token: null, name: "", color: null };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      if (typeof saved.token === "string" && /^[A-Za-z0-9-]{16,64}$/.test(saved.token)) profile.token = saved.token;
+      if (typeof saved.name === "string") profile.name = saved.name.slice(0, 16);
+      if (COLORS.includes(saved.color)) profile.color = saved.color;
+    }
+  } catch {
+    // A corrupt or blocked localStorage is not worth failing to start over.
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch {
+      /* private browsing — the profile lasts as long as the tab */
+    }
+  }
+
+  const listeners = new Set();
+  function notify() {
+    for (const fn of listeners) fn();
+  }
+
+  // The token is the whole identity: there are no accounts, and whoever has
+  // it is the profile. Clearing site data, or turning the profile off, loses
+  // it for good — the ladder line stays, but nobody can add to it again.
+  function newToken() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Off until the player ticks the box: someone opening an invite link for
+  // one game should not end up on a ladder they never asked to be on. The
+  // name is remembered either way.
+  function setEnabled(enabled) {
+    if (!!enabled === !!profile.token) return;
+    profile.token = enabled ? newToken() : null;
+    if (!enabled) profile.color = null;
+    persist();
+    notify();
+  }
+
+  function setName(name) {
+    const clean = String(name ?? "").trim().slice(0, 16);
+    if (clean === profile.name) return;
+    profile.name = clean;
+    persist();
+  }
+
+  function setColor(color) {
+    const next = COLORS.includes(color) ? color : null;
+    if (next === profile.color) return;
+    profile.color = next;
+    persist();
+    notify();
+  }
+
+  /** What SetProfile takes: null without a profile, so the server forgets it. */
+  function forServer() {
+    return profile.token ? { token: profile.token, color: profile.color } : null;
+  }
+
+  window.GameProfile = {
+    COLORS,
+    setEnabled,
+    setName,
+    setColor,
+    forServer,
+    enabled: () => !!profile.token,
+    name: () => profile.name,
+    color: () => profile.color,
+    onChange: (fn) => listeners.add(fn),
+  };
+})();
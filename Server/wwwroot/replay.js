@@ -0,0 +1,367 @@
+// Match replays: records the GameStateUpdated stream of one match into a
+// compact file, and plays a file back through the normal render path.
+(() => {
+  const FORMAT = "swarmsnack-replay";
+  const VERSION = 1;
+  // About twenty minutes at 33Hz. Past that the oldest frames are dropped
+  // rather than letting a forgotten tab grow without bound.
+  const MAX_FRAMES = 40000;
+  const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+  /** The match being captured right now, or null. */
+  let recording = null;
+  /** The last finished match, kept so it can be saved after the overlay. */
+  let lastRecording = null;
+  /** { replay, cursor, speed, paused, cache } while a replay is open. */
+  let playback = null;
+  let onEvent = null;
+
+  const round1 = (v) => Math.round((v || 0) * 10) / 10;
+
+  // ---- encoding -----------------------------------------------------------
+  //
+  // Frames are stored as arrays, not the snapshot objects. A snapshot repeats
+  // every key name for every entity, thirty-three times a second; a
+  // twelve-minute eight-player match kept as objects measured well over a
+  // hundred megabytes of heap. Positionally encoded and rounded to a tenth of
+  // a pixel it is a few megabytes, small enough to paste into a chat.
+
+  function encodeEntity(e) {
+    return [e.id, round1(e.x), round1(e.y), round1(e.vx), round1(e.vy), e.radius];
+  }
+
+  function decodeEntity(row, ownerId, color, type) {
+    const [id, x, y, vx, vy, radius] = row;
+    return { id, ownerId, x, y, radius, color, type, vx, vy };
+  }
+
+  function encodePlayer(p) {
+    return [
+      p.connectionId,
+      p.displayName,
+      p.teamColor,
+      encodeEntity(p.leader),
+      (p.underlings ?? []).map(encodeEntity),
+      p.eaten | 0,
+      p.isSuper ? 1 : 0,
+      p.isDead ? 1 : 0,
+      p.wins | 0,
+    ];
+  }
+
+  function decodePlayer(row) {
+    const [connectionId, displayName, teamColor, leader, underlings, eaten, isSuper, isDead, wins] = row;
+    return {
+      connectionId,
+      displayName,
+      teamColor,
+      leader: decodeEntity(leader, connectionId, teamColor, "leader"),
+      underlings: underlings.map((u) => decodeEntity(u, connectionId, teamColor, "underling")),
+      eaten,
+      isSuper: !!isSuper,
+      isDead: !!isDead,
+      wins,
+    };
+  }
+
+  function encodeState(state) {
+    return {
+      t: state.serverTime,
+      a: state.isActive ? 1 : 0,
+      w: state.worldWidth,
+      ph: state.phase,
+      su: state.superId ?? null,
+      hs: round1(state.huntSecondsRemaining),
+      r: state.roundNumber,
+      u: state.underlingsToBecomeSuper,
+      h: state.hostId ?? null,
+      p: (state.players ?? []).map(encodePlayer),
+    };
+  }
+
+  function decodeState(replay, frame) {
+    const level = replay.levels[frame.w] ?? {};
+    return {
+      roomId: replay.roomId,
+      isActive: !!frame.a,
+      // Never a winner mid-replay: game.js freezes on a truthy winnerId.
+      winnerId: null,
+      serverTime: frame.t,
+      hostId: frame.h,
+      worldWidth: frame.w,
+      worldHeight: level.worldHeight,
+      obstacles: level.obstacles ?? [],
+      rooms: level.rooms ?? [],
+      thickets: level.thickets ?? [],
+      phase: frame.ph,
+      superId: frame.su,
+      huntSecondsRemaining: frame.hs,
+      roundNumber: frame.r,
+      underlingsToBecomeSuper: frame.u,
+      players: frame.p.map(decodePlayer),
+    };
+  }
+
+  // ---- recording ----------------------------------------------------------
+
+  function start(roomId, selfId) {
+    recording = {
+      format: FORMAT,
+      version: VERSION,
+      roomId,
+      selfId,
+      recordedAt: new Date().toISOString(),
+      levels: {},
+      frames: [],
+      events: [],
+    };
+  }
+
+  function record(state) {
+    if (!recording || !state || typeof state.serverTime !== "number") return;
+    // Walls, rooms and thickets only change when the world opens from half to
+    // full, so each layout is stored once, keyed by world width.
+    const key = state.worldWidth;
+    if (!recording.levels[key] && Array.isArray(state.obstacles)) {
+      recording.levels[key] = {
+        worldHeight: state.worldHeight,
+        obstacles: state.obstacles,
+        rooms: state.rooms ?? [],
+        thickets: state.thickets ?? [],
+      };
+    }
+    recording.frames.push(encodeState(state));
+    if (recording.frames.length > MAX_FRAMES) recording.frames.shift();
+  }
+
+  /**
+   * Marks a moment that is not a snapshot (match start, game over). Stamped
+   * with the newest frame's server time; one that arrives before any frame is
+   * pinned to the first frame when the recording is closed.
+   */
+  function note(type, payload) {
+    if (!recording) return;
+    const last = recording.frames[recording.frames.length - 1];
+    recording.events.push({ t: last ? last.t : null, type, payload: payload ?? null });
+  }
+
+  function stop() {
+    if (!recording) return;
+    const done = recording;
+    recording = null;
+    if (done.frames.length < 2) return;
+    const first = done.frames[0].t;
+    for (const event of done.events) if (event.t === null) event.t = first;
+    lastRecording = done;
+  }
+
+  function download() {
+    if (!lastRecording) return false;
+    const blob = new Blob([JSON.stringify(lastRecording)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    const stamp = lastRecording.recordedAt.slice(0, 19).replace(/[:T]/g, "-");
+    a.href = url;
+    a.download = `swarmsnack-${lastRecording.roomId || "match"}-${stamp}.replay.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Revoked on the next tick: some browsers start the download asynchronously.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  // ---- playback -----------------------------------------------------------
+
+  const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+  // The rows decodeEntity and decodePlayer read, checked before anything is
+  // drawn: a damaged or hand-edited file would otherwise play as NaN.
+  function validEntity(row) {
+    return Array.isArray(row) && row.length === 6 && row.slice(1).every(isNumber);
+  }
+
+  function validPlayer(row) {
+    return Array.isArray(row) && row.length === 9
+      && validEntity(row[3])
+      && Array.isArray(row[4]) && row[4].every(validEntity)
+      && row.slice(5).every(isNumber);
+  }
+
+  // Frames must also run forwards in time: the cursor is found by bisection.
+  function validFrame(frame, previous) {
+    return !!frame && typeof frame === "object"
+      && [frame.t, frame.a, frame.w, frame.hs, frame.r, frame.u].every(isNumber)
+      && (!previous || frame.t >= previous.t)
+      && Array.isArray(frame.p) && frame.p.every(validPlayer);
+  }
+
+  /**
+   * Parses a replay file. Throws with a player-readable message rather than
+   * opening something half-valid — a file from a newer build, or not a replay
+   * at all, would otherwise fail somewhere deep in the renderer.
+   */
+  function parse(text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch {
+      throw new Error("That file is not a replay.");
+    }
+    if (!replay || replay.format !== FORMAT || !Array.isArray(replay.frames)) {
+      throw new Error("That file is not a replay.");
+    }
+    if (replay.version > VERSION) {
+      throw new Error("That replay was made by a newer version of the game.");
+    }
+    if (replay.frames.length < 2) {
+      throw new Error("That replay is empty.");
+    }
+    if (!replay.frames.every((frame, i) => validFrame(frame, replay.frames[i - 1]))) {
+      throw new Error("That replay is damaged and cannot be played.");
+    }
+    replay.levels = replay.levels ?? {};
+    replay.events = Array.isArray(replay.events) ? replay.events : [];
+    return replay;
+  }
+
+  async function load(file) {
+    return parse(await file.text());
+  }
+
+  function open(replay) {
+    const source = replay ?? lastRecording;
+    if (!source) return false;
+    playback = {
+      replay: source,
+      cursor: source.frames[0].t,
+      speed: 1,
+      paused: false,
+      cache: new Map(),
+    };
+    return true;
+  }
+
+  function close() {
+    playback = null;
+  }
+
+  function startTime() {
+    return playback ? playback.replay.frames[0].t : 0;
+  }
+
+  function endTime() {
+    if (!playback) return 0;
+    const frames = playback.replay.frames;
+    return frames[frames.length - 1].t;
+  }
+
+  /** Index of the last frame at or before `t`. */
+  function frameIndexAt(t) {
+    const frames = playback.replay.frames;
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  // Decoding is cheap but not free, and the renderer asks for the same two
+  // frames many times between snapshots; a tiny cache covers that.
+  function decodedFrame(index) {
+    let state = playback.cache.get(index);
+    if (!state) {
+      state = decodeState(playback.replay, playback.replay.frames[index]);
+      if (playback.cache.size > 8) playback.cache.clear();
+      playback.cache.set(index, state);
+    }
+    return state;
+  }
+
+  /**
+   * The two frames around the cursor and how far between them it sits.
+   * game.js interpolates them exactly as it does live snapshots, so a replay
+   * looks like the match did.
+   */
+  function sample() {
+    if (!playback) return null;
+    const frames = playback.replay.frames;
+    const i = frameIndexAt(playback.cursor);
+    const j = Math.min(frames.length - 1, i + 1);
+    const span = Math.max(1, frames[j].t - frames[i].t);
+    const t = i === j ? 1 : Math.min(1, Math.max(0, (playback.cursor - frames[i].t) / span));
+    return { older: decodedFrame(i), newer: decodedFrame(j), t };
+  }
+
+  /** Moves the cursor on by wall-clock milliseconds, firing crossed events. */
+  function advance(elapsedMs) {
+    if (!playback || playback.paused) return;
+    const from = playback.cursor;
+    const end = endTime();
+    playback.cursor = Math.min(end, from + elapsedMs * playback.speed);
+    if (onEvent) {
+      for (const event of playback.replay.events) {
+        if (event.t > from && event.t <= playback.cursor) onEvent(event);
+      }
+    }
+    if (playback.cursor >= end) playback.paused = true;
+  }
+
+  /** Jumps to a fraction of the way through. Deliberately fires no events. */
+  function seek(fraction) {
+    if (!playback) return;
+    const start = startTime();
+    const f = Math.min(1, Math.max(0, fraction));
+    playback.cursor = start + (endTime() - start) * f;
+  }
+
+  function togglePause() {
+    if (!playback) return false;
+    // Play from the end restarts, which is what a viewer pressing play on a
+    // finished replay means.
+    if (playback.paused && playback.cursor >= endTime()) playback.cursor = startTime();
+    playback.paused = !playback.paused;
+    return playback.paused;
+  }
+
+  function setSpeed(speed) {
+    if (!playback || !SPEEDS.includes(speed)) return;
+    playback.speed = speed;
+  }
+
+  window.GameReplay = {
+    SPEEDS,
+    start,
+    record,
+    note,
+    stop,
+    download,
+    load,
+    open,
+    close,
+    sample,
+    advance,
+    seek,
+    togglePause,
+    setSpeed,
+    onEvent: (fn) => { onEvent = fn; },
+    isRecording: () => !!recording,
+    hasRecording: () => !!lastRecording,
+    isReplaying: () => !!playback,
+    isPaused: () => !playback || playback.paused,
+    /** Whose match this was, so the camera can follow them. */
+    selfId: () => (playback ? playback.replay.selfId : null),
+    speed: () => (playback ? playback.speed : 1),
+    /** Cursor position as 0..1, for the scrubber. */
+    progress: () => {
+      if (!playback) return 0;
+      const span = endTime() - startTime();
+      return span > 0 ? (playback.cursor - startTime()) / span : 0;
+    },
+    elapsedMs: () => (playback ? playback.cursor - startTime() : 0),
+    durationMs: () => (playback ? endTime() - startTime() : 0),
+  };
+})();
@@ -0,0 +1,251 @@
+// Touch steering: a floating thumbstick, or swipes, as alternatives to the
+// on-screen D-pad.
+(function () {
+  "use strict";
+
+  const STORAGE_KEY = "swarmsnack.touch";
+  const MODES = ["stick", "swipe", "dpad"];
+  const HANDS = ["right", "left"];
+
+  // Pixels from the stick's centre. Engaging needs a clearer push than staying
+  // engaged, for the same reason as the angle hysteresis.
+  const STICK_RADIUS = 56;
+  const ENGAGE_PX = 16;
+  const RELEASE_PX = 10;
+  const HYSTERESIS_DEG = 12;
+  // A swipe is this much travel since the last one. Short enough to turn
+  // quickly in a chase, long enough that a resting thumb's drift is not one.
+  const SWIPE_PX = 28;
+  // Lift without travelling this far and it was a tap, which stops.
+  const TAP_PX = 10;
+
+  let settings = { mode: "stick", hand: "right" };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      if (MODES.includes(saved.mode)) settings.mode = saved.mode;
+      if (HANDS.includes(saved.hand)) settings.hand = saved.hand;
+    }
+  } catch {
+    // A corrupt or blocked localStorage is not worth failing input over.
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+      /* private browsing — run with defaults */
+    }
+  }
+
+  const listeners = new Set();
+  function notify() {
+    for (const fn of listeners) fn();
+  }
+
+  let zone = null;
+  let onDirection = null;
+  let baseEl = null;
+  let knobEl = null;
+  /** The one touch being tracked: { id, originX, originY, startX, startY }. */
+  let active = null;
+  let direction = "none";
+  // Room option: snap to eight directions instead of four.
+  let eightWay = false;
+
+  function emit(next) {
+    if (next === direction) return;
+    direction = next;
+    if (onDirection) onDirection(direction);
+  }
+
+  const AXES = {
+    right: 0,
+    "down-right": 45,
+    down: 90,
+    "down-left": 135,
+    left: 180,
+    "up-left": -135,
+    up: -90,
+    "up-right": -45,
+  };
+  const EIGHT = ["right", "down-right", "down", "down-left", "left", "up-left", "up", "up-right"];
+
+  function angleBetween(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+  }
+
+  function nearestDirection(dx, dy) {
+    if (eightWay) {
+      const sector = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+      return EIGHT[(sector + 8) % 8];
+    }
+    if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? "right" : "left";
+    return dy >= 0 ? "down" : "up";
+  }
+
+  // The server only knows four directions (eight, if the room allows
+  // diagonals), but a plain nearest-sector snap flips back and forth when a
+  // thumb rests near a boundary, and every flip is a Move to the server and a
+  // visible wobble. The current direction is kept until the thumb is
+  // HYSTERESIS_DEG clearly into another sector.
+  function stickDirection(dx, dy) {
+    const distance = Math.hypot(dx, dy);
+    const engaged = direction !== "none";
+    if (distance < (engaged ? RELEASE_PX : ENGAGE_PX)) return "none";
+    if (engaged) {
+      // Sectors are half as wide with eight directions, and so is the margin.
+      const half = eightWay ? 22.5 : 45;
+      const margin = eightWay ? HYSTERESIS_DEG / 2 : HYSTERESIS_DEG;
+      const angle = (Math.atan2(dy, dx) * 180) / Math.PI;
+      if (angleBetween(angle, AXES[direction]) <= half + margin) return direction;
+    }
+    return nearestDirection(dx, dy);
+  }
+
+  // ---- stick visuals ------------------------------------------------------
+
+  function ensureStickElements() {
+    if (baseEl) return;
+    baseEl = document.createElement("div");
+    baseEl.className = "touch-stick";
+    knobEl = document.createElement("div");
+    knobEl.className = "touch-stick-knob";
+    baseEl.appendChild(knobEl);
+    zone.appendChild(baseEl);
+  }
+
+  function showStick(x, y) {
+    ensureStickElements();
+    baseEl.style.left = `${x}px`;
+    baseEl.style.top = `${y}px`;
+    baseEl.style.setProperty("--stick-radius", `${STICK_RADIUS}px`);
+    knobEl.style.transform = "translate(-50%, -50%)";
+    baseEl.classList.add("visible");
+  }
+
+  function moveKnob(dx, dy) {
+    const distance = Math.hypot(dx, dy);
+    const k = distance > STICK_RADIUS ? STICK_RADIUS / distance : 1;
+    knobEl.style.transform =
+      `translate(calc(-50% + ${dx * k}px), calc(-50% + ${dy * k}px))`;
+  }
+
+  function hideStick() {
+    if (baseEl) baseEl.classList.remove("visible");
+  }
+
+  // ---- pointer handling ---------------------------------------------------
+
+  function localPoint(e) {
+    const rect = zone.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  function onPointerDown(e) {
+    // Mouse clicks are left to the page; the stick is for thumbs.
+    if (e.pointerType === "mouse" || active) return;
+    e.preventDefault();
+    zone.setPointerCapture(e.pointerId);
+    const p = localPoint(e);
+    active = { id: e.pointerId, originX: p.x, originY: p.y, startX: p.x, startY: p.y };
+    // The stick floats: it appears wherever the thumb lands. A fixed one is
+    // somewhere the thumb has to find without looking, and missing it by a
+    // few pixels is the same as not steering.
+    if (settings.mode === "stick") showStick(p.x, p.y);
+  }
+
+  function onPointerMove(e) {
+    if (!active || e.pointerId !== active.id) return;
+    e.preventDefault();
+    const p = localPoint(e);
+    const dx = p.x - active.originX;
+    const dy = p.y - active.originY;
+
+    if (settings.mode === "stick") {
+      moveKnob(dx, dy);
+      emit(stickDirection(dx, dy));
+      return;
+    }
+
+    // Swipe: each stroke past SWIPE_PX steers, then re-anchors, so one long
+    // touch can carve several turns without lifting.
+    if (Math.hypot(dx, dy) >= SWIPE_PX) {
+      emit(nearestDirection(dx, dy));
+      active.originX = p.x;
+      active.originY = p.y;
+    }
+  }
+
+  function onPointerEnd(e) {
+    if (!active || e.pointerId !== active.id) return;
+    const p = localPoint(e);
+    const travelled = Math.hypot(p.x - active.startX, p.y - active.startY);
+    const wasTap = travelled < TAP_PX;
+    active = null;
+
+    if (settings.mode === "stick") {
+      hideStick();
+      emit("none");
+    } else if (wasTap || e.type === "pointercancel") {
+      // Swipe steering persists after the thumb lifts, so the leader keeps
+      // running while you line up the next swipe. A tap is how you stop.
+      emit("none");
+    }
+  }
+
+  // Only reports a direction; game.js feeds it into the same key map the
+  // keyboard uses, so touch, keys and the D-pad all resolve the same way.
+  function attach(zoneEl, onDirectionChange) {
+    if (zone || !zoneEl) return;
+    zone = zoneEl;
+    onDirection = onDirectionChange;
+    zone.addEventListener("pointerdown", onPointerDown);
+    zone.addEventListener("pointermove", onPointerMove);
+    zone.addEventListener("pointerup", onPointerEnd);
+    zone.addEventListener("pointercancel", onPointerEnd);
+  }
+
+  /** Drops any touch in progress and stops; for blur, menus, match end. */
+  function release() {
+    active = null;
+    hideStick();
+    emit("none");
+  }
+
+  function setMode(mode) {
+    if (!MODES.includes(mode) || mode === settings.mode) return;
+    release();
+    settings.mode = mode;
+    persist();
+    notify();
+  }
+
+  function setHand(hand) {
+    if (!HANDS.includes(hand) || hand === settings.hand) return;
+    release();
+    settings.hand = hand;
+    persist();
+    notify();
+  }
+
+  function setEightWay(enabled) {
+    if (eightWay === !!enabled) return;
+    eightWay = !!enabled;
+    release();
+  }
+
+  window.TouchControls = {
+    MODES,
+    HANDS,
+    attach,
+    release,
+    setEightWay,
+    setMode,
+    setHand,
+    mode: () => settings.mode,
+    hand: () => settings.hand,
+    onChange: (fn) => listeners.add(fn),
+  };
+})();
@@ -0,0 +1,522 @@
+// Voice transports: how the audio in voice.js gets from one player to another.
+// Used by voice.js alone; a transport only moves audio, and voice.js decides
+// what is heard.
+(function () {
+  "use strict";
+
+  // Cooldown between rebuilds of the same call, manual or automatic.
+  const RECONNECT_COOLDOWN_MS = 20000;
+  // WHIP/WHEP exchanges one offer and one answer, no trickle: the offer goes
+  // once ICE gathering is done, or after this long with what it has.
+  const GATHER_TIMEOUT_MS = 2000;
+  // A stream that is not there yet (they have no mic) is retried, less and
+  // less often, up to this.
+  const SUBSCRIBE_RETRY_MAX_MS = 15000;
+
+  function isRelayedRoute(stats) {
+    let pair = null;
+    stats.forEach((r) => {
+      if (r.type === "transport" && r.selectedCandidatePairId) pair = stats.get(r.selectedCandidatePairId);
+    });
+    // Firefox has no transport entry; it flags the pair itself.
+    if (!pair) {
+      stats.forEach((r) => {
+        if (r.type === "candidate-pair" && r.selected) pair = r;
+      });
+    }
+    if (!pair) return null;
+    const local = stats.get(pair.localCandidateId);
+    const remote = stats.get(pair.remoteCandidateId);
+    return local?.candidateType === "relay" || remote?.candidateType === "relay";
+  }
+
+  /** Whether the route ICE settled on goes through a TURN relay. */
+  async function checkRoute(pc, log) {
+    try {
+      return !!isRelayedRoute(await pc.getStats());
+    } catch (err) {
+      log("route check failed", err);
+      return false;
+    }
+  }
+
+  function closePc(pc) {
+    if (!pc) return;
+    try {
+      pc.onicecandidate = null;
+      pc.ontrack = null;
+      pc.onconnectionstatechange = null;
+      pc.close();
+    } catch {}
+  }
+
+  // ---- mesh ---------------------------------------------------------------------
+
+  /**
+   * One RTCPeerConnection per other player, signalled through GameHub. The
+   * default: no media server, and in a small room the lowest-latency route
+   * there is. Its cost is upstream, seven copies of your voice in a full
+   * room, which is what chokes a laptop on hotel Wi-Fi.
+   *
+   * host: { selfId(), micTrack(), rtcConfig(), ensureIceServers(),
+   * sendSignal(peerId, message), onTrack(peerId, stream), log(...) }
+   */
+  function mesh(host) {
+    /** peerId -> { pc, sender, pendingIce, negotiating, relayed } */
+    const peers = new Map();
+    const lastReconnect = new Map();
+    let wanted = new Set();
+
+    // Deterministic roles avoid glare: the lexicographically smaller id offers.
+    function isInitiator(peerId) {
+      return String(host.selfId()) < String(peerId);
+    }
+
+    function create(peerId) {
+      const existing = peers.get(peerId);
+      if (existing) return existing;
+
+      const pc = new RTCPeerConnection(host.rtcConfig());
+
+      // Only the offerer declares the transceiver up front: a transceiver created
+      // locally is reserved for an m-line *we* offer, so on the answering side it
+      // would be left dangling while the remote offer spawns its own (recvonly)
+      // one. The answerer adopts that transceiver in handleSignal instead.
+      const transceiver = isInitiator(peerId)
+        ? pc.addTransceiver("audio", { direction: "sendrecv" })
+        : null;
+
+      const peer = {
+        pc,
+        sender: transceiver ? transceiver.sender : null,
+        pendingIce: [],
+        negotiating: false,
+        relayed: false,
+      };
+      peers.set(peerId, peer);
+
+      const micTrack = host.micTrack();
+      if (micTrack && peer.sender) peer.sender.replaceTrack(micTrack).catch(() => {});
+
+      pc.onicecandidate = (event) => {
+        if (event.candidate) {
+          host.sendSignal(peerId, { type: "ice", candidate: event.candidate });
+        }
+      };
+
+      pc.ontrack = (event) => {
+        // replaceTrack sends no msid, so event.streams is empty here; wrap the
+        // bare track in a stream of our own for playback and level metering.
+        host.onTrack(peerId, event.streams[0] || new MediaStream([event.track]));
+      };
+
+      pc.onconnectionstatechange = async () => {
+        host.log(peerId, pc.connectionState);
+        if (pc.connectionState === "connected") peer.relayed = await checkRoute(pc, host.log);
+        if (pc.connectionState === "failed") {
+          // Most often a transient network change; a fresh connection is more
+          // reliable than trying to repair this one.
+          remove(peerId);
+          if (peers.size < 64) create(peerId);
+        }
+      };
+
+      if (isInitiator(peerId)) {
+        negotiate(peerId, peer);
+      }
+
+      return peer;
+    }
+
+    async function negotiate(peerId, peer) {
+      if (peer.negotiating) return;
+      peer.negotiating = true;
+      try {
+        const offer = await peer.pc.createOffer();
+        await peer.pc.setLocalDescription(offer);
+        host.sendSignal(peerId, { type: "offer", sdp: peer.pc.localDescription });
+      } catch (err) {
+        host.log("offer failed", err);
+      } finally {
+        peer.negotiating = false;
+      }
+    }
+
+    function remove(peerId) {
+      const peer = peers.get(peerId);
+      if (!peer) return;
+      peers.delete(peerId);
+      closePc(peer.pc);
+    }
+
+    async function flushIce(peer) {
+      while (peer.pendingIce.length) {
+        const candidate = peer.pendingIce.shift();
+        try {
+          await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+        } catch (err) {
+          host.log("late ice failed", err);
+        }
+      }
+    }
+
+    async function handleSignal(fromId, message) {
+      // The offering side is rebuilding the call: drop ours and wait for its
+      // new offer. Or we offer, and the other side is asking us to rebuild.
+      if (message.type === "bye") {
+        remove(fromId);
+        if (wanted.has(fromId)) create(fromId);
+        return;
+      }
+      if (message.type === "reconnect") {
+        if (isInitiator(fromId)) reconnect(fromId);
+        return;
+      }
+
+      if (!peers.has(fromId)) await host.ensureIceServers();
+      const peer = peers.get(fromId) || create(fromId);
+
+      try {
+        if (message.type === "offer") {
+          await peer.pc.setRemoteDescription(new RTCSessionDescription(message.sdp));
+          await flushIce(peer);
+
+          // Adopt the transceiver the remote offer created. It defaults to
+          // recvonly while we have no track, which would permanently one-way the
+          // call; forcing sendrecv before answering keeps our side able to talk
+          // (and lets a later replaceTrack work without renegotiating).
+          const audioTransceiver = peer.pc
+            .getTransceivers()
+            .find((t) => t.receiver && t.receiver.track && t.receiver.track.kind === "audio");
+          if (audioTransceiver) {
+            audioTransceiver.direction = "sendrecv";
+            peer.sender = audioTransceiver.sender;
+            const micTrack = host.micTrack();
+            if (micTrack) {
+              try {
+                await peer.sender.replaceTrack(micTrack);
+              } catch {}
+            }
+          }
+
+          const answer = await peer.pc.createAnswer();
+          await peer.pc.setLocalDescription(answer);
+          host.sendSignal(fromId, { type: "answer", sdp: peer.pc.localDescription });
+        } else if (message.type === "answer") {
+          if (peer.pc.signalingState === "have-local-offer") {
+            await peer.pc.setRemoteDescription(new RTCSessionDescription(message.sdp));
+            await flushIce(peer);
+          }
+        } else if (message.type === "ice" && message.candidate) {
+          if (peer.pc.remoteDescription && peer.pc.remoteDescription.type) {
+            await peer.pc.addIceCandidate(new RTCIceCandidate(message.candidate));
+          } else {
+            // Candidates can outrun the description they belong to.
+            peer.pendingIce.push(message.candidate);
+          }
+        }
+      } catch (err) {
+        host.log("signal handling failed", err);
+      }
+    }
+
+    async function sync(playerIds) {
+      wanted = new Set(playerIds);
+      for (const id of [...peers.keys()]) {
+        if (!wanted.has(id)) remove(id);
+      }
+      if ([...wanted].every((id) => peers.has(id))) return;
+
+      await host.ensureIceServers();
+      // The roster may have moved on while the ICE list was fetched.
+      for (const id of wanted) {
+        if (!peers.has(id)) create(id);
+      }
+    }
+
+    /**
+     * Rebuilds the call with one player from scratch. The offering side does
+     * the work — says goodbye, so the other end drops its half too, then offers
+     * again; the answering side asks it to. Only one end ever tears down, so
+     * the two never cross new offers. Returns false inside the cooldown.
+     */
+    function reconnect(peerId) {
+      if (!peers.has(peerId)) return false;
+      const now = performance.now();
+      if (now - (lastReconnect.get(peerId) ?? -Infinity) < RECONNECT_COOLDOWN_MS) return false;
+      lastReconnect.set(peerId, now);
+
+      if (!isInitiator(peerId)) {
+        host.sendSignal(peerId, { type: "reconnect" });
+        return true;
+      }
+      host.log("rebuilding call with", peerId);
+      host.sendSignal(peerId, { type: "bye" });
+      remove(peerId);
+      host.ensureIceServers().then(() => {
+        if (wanted.has(peerId) && !peers.has(peerId)) create(peerId);
+      });
+      return true;
+    }
+
+    return {
+      kind: "mesh",
+      sync,
+      handleSignal,
+      reconnect,
+      setMicTrack(track) {
+        for (const peer of peers.values()) {
+          if (peer.sender) peer.sender.replaceTrack(track).catch(() => {});
+        }
+      },
+      refreshConfig() {
+        for (const peer of peers.values()) {
+          try {
+            peer.pc.setConfiguration(host.rtcConfig());
+          } catch {}
+        }
+      },
+      /** The connections carrying audio from and to a player: here, the same one. */
+      connections(peerId) {
+        const pc = peers.get(peerId)?.pc ?? null;
+        return { inbound: pc, outbound: pc };
+      },
+      state: (peerId) => peers.get(peerId)?.pc.connectionState ?? null,
+      sending: (peerId) => !!peers.get(peerId)?.sender?.track,
+      relayed: (peerId) => !!peers.get(peerId)?.relayed,
+      close() {
+        for (const id of [...peers.keys()]) remove(id);
+        wanted = new Set();
+        lastReconnect.clear();
+      },
+    };
+  }
+
+  // ---- SFU (WHIP/WHEP) ----------------------------------------------------------
+
+  function waitForGathering(pc) {
+    if (pc.iceGatheringState === "complete") return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        pc.removeEventListener("icegatheringstatechange", check);
+        clearTimeout(timer);
+        resolve();
+      };
+      const check = () => {
+        if (pc.iceGatheringState === "complete") done();
+      };
+      const timer = setTimeout(done, GATHER_TIMEOUT_MS);
+      pc.addEventListener("icegatheringstatechange", check);
+    });
+  }
+
+  /**
+   * One WHIP or WHEP exchange: posts the offer, applies the answer, and
+   * returns the session's resource URL (what a DELETE hangs up), if given.
+   */
+  async function exchange(url, pc) {
+    await pc.setLocalDescription(await pc.createOffer());
+    await waitForGathering(pc);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/sdp" },
+      body: pc.localDescription.sdp,
+    });
+    if (!response.ok) throw new Error(`${response.status} from ${url}`);
+    await pc.setRemoteDescription({ type: "answer", sdp: await response.text() });
+    const location = response.headers.get("Location");
+    return location ? new URL(location, url).href : null;
+  }
+
+  function hangUp(resource) {
+    if (resource) fetch(resource, { method: "DELETE" }).catch(() => {});
+  }
+
+  /**
+   * One published stream up, one played-back stream down per other player.
+   * WHIP and WHEP rather than a protocol of our own, so MediaMTX, Broadcast
+   * Box, Janus or a hosted service can be the forwarder and no server code of
+   * ours ever touches media.
+   *
+   * host: as for mesh, minus sendSignal. route: { publishUrl,
+   * subscribeUrlTemplate } from the server; the template's "{player}" is
+   * replaced with whose stream to play.
+   */
+  function sfu(host, route) {
+    // { pc, sender, resource, relayed, retry }
+    let publisher = null;
+    let publishRetry = null;
+    /** peerId -> { pc, resource, relayed, retry, attempts } */
+    const subscriptions = new Map();
+    const lastReconnect = new Map();
+    let wanted = new Set();
+    let closed = false;
+
+    function dropPublisher() {
+      if (!publisher) return;
+      closePc(publisher.pc);
+      hangUp(publisher.resource);
+      publisher = null;
+    }
+
+    function retryPublish() {
+      dropPublisher();
+      clearTimeout(publishRetry);
+      publishRetry = setTimeout(() => {
+        publishRetry = null;
+        publish();
+      }, GATHER_TIMEOUT_MS * 2);
+    }
+
+    // Nothing is published until there is a mic to publish; the others'
+    // playback of our stream keeps retrying until then.
+    async function publish() {
+      const track = host.micTrack();
+      if (closed || publisher || !track) return;
+      await host.ensureIceServers();
+      if (closed || publisher) return;
+
+      const pc = new RTCPeerConnection(host.rtcConfig());
+      const transceiver = pc.addTransceiver(track, { direction: "sendonly" });
+      const session = { pc, sender: transceiver.sender, resource: null, relayed: false };
+      publisher = session;
+
+      pc.onconnectionstatechange = async () => {
+        host.log("publish", pc.connectionState);
+        if (pc.connectionState === "connected") session.relayed = await checkRoute(pc, host.log);
+        if (pc.connectionState === "failed" && publisher === session) retryPublish();
+      };
+
+      try {
+        session.resource = await exchange(route.publishUrl, pc);
+        if (publisher !== session) hangUp(session.resource);
+      } catch (err) {
+        host.log("publish failed", err);
+        if (publisher === session) retryPublish();
+      }
+    }
+
+    function dropSubscription(peerId) {
+      const sub = subscriptions.get(peerId);
+      if (!sub) return;
+      clearTimeout(sub.retry);
+      closePc(sub.pc);
+      hangUp(sub.resource);
+      subscriptions.delete(peerId);
+    }
+
+    function retrySubscribe(peerId, attempts) {
+      dropSubscription(peerId);
+      if (closed || !wanted.has(peerId)) return;
+      const delay = Math.min(SUBSCRIBE_RETRY_MAX_MS, 2000 * 2 ** attempts);
+      const placeholder = { pc: null, resource: null, relayed: false, attempts: attempts + 1, retry: null };
+      placeholder.retry = setTimeout(() => {
+        if (subscriptions.get(peerId) === placeholder) subscriptions.delete(peerId);
+        subscribe(peerId, placeholder.attempts);
+      }, delay);
+      subscriptions.set(peerId, placeholder);
+    }
+
+    async function subscribe(peerId, attempts = 0) {
+      if (closed || !wanted.has(peerId) || subscriptions.has(peerId)) return;
+      const sub = { pc: null, resource: null, relayed: false, attempts, retry: null };
+      subscriptions.set(peerId, sub);
+      await host.ensureIceServers();
+      if (subscriptions.get(peerId) !== sub) return;
+
+      const pc = new RTCPeerConnection(host.rtcConfig());
+      sub.pc = pc;
+      pc.addTransceiver("audio", { direction: "recvonly" });
+      pc.ontrack = (event) => {
+        host.onTrack(peerId, event.streams[0] || new MediaStream([event.track]));
+      };
+      pc.onconnectionstatechange = async () => {
+        if (pc.connectionState === "connected") {
+          sub.attempts = 0;
+          sub.relayed = await checkRoute(pc, host.log);
+        }
+        // The forwarder ends a playback when its publisher goes away, say
+        // when they reload; pick it up again when they are back.
+        if (pc.connectionState === "failed" && subscriptions.get(peerId) === sub) retrySubscribe(peerId, sub.attempts);
+      };
+
+      try {
+        sub.resource = await exchange(route.subscribeUrlTemplate.replace("{player}", encodeURIComponent(peerId)), pc);
+        if (subscriptions.get(peerId) !== sub) hangUp(sub.resource);
+      } catch (err) {
+        // Most often they have not published yet: no mic granted.
+        host.log("playback of", peerId, "not available yet", err.message);
+        if (subscriptions.get(peerId) === sub) retrySubscribe(peerId, attempts);
+      }
+    }
+
+    function sync(playerIds) {
+      wanted = new Set(playerIds);
+      for (const id of [...subscriptions.keys()]) {
+        if (!wanted.has(id)) dropSubscription(id);
+      }
+      publish();
+      for (const id of wanted) subscribe(id);
+    }
+
+    /** Plays back their stream again, and republishes ours if it is down. */
+    function reconnect(peerId) {
+      if (!wanted.has(peerId)) return false;
+      const now = performance.now();
+      if (now - (lastReconnect.get(peerId) ?? -Infinity) < RECONNECT_COOLDOWN_MS) return false;
+      lastReconnect.set(peerId, now);
+
+      dropSubscription(peerId);
+      subscribe(peerId);
+      if (publisher && publisher.pc.connectionState !== "connected") retryPublish();
+      return true;
+    }
+
+    return {
+      kind: "sfu",
+      sync,
+      // Nothing is signalled peer to peer; the forwarder is the other end.
+      handleSignal() {},
+      reconnect,
+      setMicTrack(track) {
+        if (publisher) publisher.sender.replaceTrack(track).catch(() => {});
+        else publish();
+      },
+      refreshConfig() {
+        const pcs = [publisher?.pc, ...[...subscriptions.values()].map((s) => s.pc)];
+        for (const pc of pcs) {
+          try {
+            if (pc) pc.setConfiguration(host.rtcConfig());
+          } catch {}
+        }
+      },
+      /** Their playback brings audio in; our one published stream takes it out. */
+      connections: (peerId) => ({
+        inbound: subscriptions.get(peerId)?.pc ?? null,
+        outbound: publisher?.pc ?? null,
+      }),
+      // "idle": nothing to play back yet, which is a player with no mic
+      // rather than a fault.
+      state(peerId) {
+        const sub = subscriptions.get(peerId);
+        if (!sub) return null;
+        return sub.pc ? sub.pc.connectionState : "idle";
+      },
+      sending: () => !!publisher?.sender?.track && publisher.pc.connectionState === "connected",
+      relayed: (peerId) => !!subscriptions.get(peerId)?.relayed || !!publisher?.relayed,
+      close() {
+        closed = true;
+        for (const id of [...subscriptions.keys()]) dropSubscription(id);
+        clearTimeout(publishRetry);
+        dropPublisher();
+        wanted = new Set();
+      },
+    };
+  }
+
+  // Each is told who should be connected (sync), handed the mic track,
+  // reports incoming streams through host.onTrack and lends its
+  // RTCPeerConnections out for stats. The room picks which; see setTransport
+  // in voice.js.
+  window.VoiceTransports = { mesh, sfu };
+})();
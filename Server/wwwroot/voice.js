@@ -1,19 +1,85 @@
 /**
- * Peer-to-peer voice chat over WebRTC, with SignalR used only as the
- * signalling channel (offers/answers/ICE are relayed by GameHub).
+ * Voice chat over WebRTC, with SignalR used only as the signalling channel
+ * (offers/answers/ICE are relayed by GameHub).
  *
- * Topology: full mesh — every player holds one RTCPeerConnection per other
- * player. That needs no media server, but upstream bandwidth grows with the
- * player count (7 outbound audio streams in a full 8-player room). If that
- * becomes a problem, the swap is contained: replace the peer bookkeeping in
- * this file with a single connection to an SFU; the UI and game code only
- * talk to the small API exposed at the bottom.
+ * Topology is a room option, and the connections themselves live in
+ * voice-transport.js. The default is a full mesh — one RTCPeerConnection per
+ * other player, no media server, but upstream bandwidth grows with the
+ * player count (7 outbound audio streams in a full 8-player room). A room
+ * can instead go through a forwarding server: one stream up, one down per
+ * player. This file owns everything about what is heard — each player's
+ * element, volume, meter, panner and call health — keyed by player rather
+ * than by connection, so none of it cares which transport is in use. The UI
+ * and game code only talk to the small API exposed at the bottom.
+ *
+ * Listening is adjustable per player: a volume and a local mute for each
+ * peer, remembered by display name. Connection ids are new every session, so
+ * a setting keyed by id would be forgotten on the next join — the one loud
+ * teammate is the same name every night. Talking is open mic by default, or
+ * push-to-talk: the mic is only live while the bound key is held.
+ *
+ * Proximity voice is a room option: each peer is then heard through a Web
+ * Audio gain and panner placed where their leader is relative to yours, so
+ * the hunter gets louder as they close in. game.js hands over positions from
+ * its render state every frame; this file never looks at the game itself.
+ *
+ * Devices are chosen, not assumed. The mic and speaker a player picks are
+ * remembered by device id and asked for by name next time; a saved mic that
+ * has since been unplugged falls back to the system default instead of
+ * failing. The level meter and the record-and-play-back test listen to a
+ * copy of the mic track, so both work while the mic itself is muted.
+ *
+ * ICE servers come from the server (GetIceServers) before the first call:
+ * STUN everywhere, plus TURN with short-lived credentials when it is set up.
+ * A call that could only connect through the TURN relay is marked as such —
+ * it works, but it is the first thing to suspect when voice lags.
+ *
+ * Every call is checked every couple of seconds from getStats: connected,
+ * still connecting, failed, or one-way (connected, but audio that should be
+ * flowing is not). A call that stays failed or one-way is rebuilt without
+ * anyone asking, and the same rebuild is offered per player in the UI. How
+ * a call is rebuilt is the transport's business.
  */
 (() => {
-  const ICE_SERVERS = [
+  const STORAGE_KEY = "swarmsnack.voice";
+  const MODES = ["open", "ptt"];
+
+  // Until the server has answered, or if it cannot: public STUN, which is
+  // what every call used before the server published its own list.
+  const DEFAULT_ICE_SERVERS = [
     { urls: "stun:stun.l.google.com:19302" },
     { urls: "stun:stun1.l.google.com:19302" },
   ];
+  const ICE_RETRY_MS = 30000;
+  // ?relay=1 sends every call through TURN: the way to check the relay works
+  // from a network where a direct call would have succeeded anyway.
+  let forceRelay = false;
+  try {
+    forceRelay = new URLSearchParams(window.location.search).get("relay") === "1";
+  } catch {
+    /* no query string to speak of */
+  }
+
+  // Proximity voice, in world pixels: full volume within NEAR (about half a
+  // room), silent beyond FAR (about a screen and a half). Linear in between —
+  // the browser's inverse curve stays loud until it suddenly isn't, which is
+  // no good for judging how close someone is.
+  const PROXIMITY_NEAR = 240;
+  const PROXIMITY_FAR = 1400;
+  // Positions come once a frame; glide between them rather than step.
+  const PROXIMITY_GLIDE_S = 0.05;
+
+  // Length of the "test my mic" recording.
+  const MIC_TEST_MS = 3000;
+  const PROCESSING = ["echoCancellation", "noiseSuppression"];
+  const canPickOutput =
+    typeof HTMLMediaElement !== "undefined" && "setSinkId" in HTMLMediaElement.prototype;
+
+  // Call health. A call that is failed or one-way for this many checks in a
+  // row is rebuilt, at most once per cooldown (the transport keeps that).
+  const HEALTH_POLL_MS = 2000;
+  const UNHEALTHY_CHECKS = 3;
+  const TRANSPORTS = ["mesh", "sfu"];
 
   // Speaking-indicator tuning.
   const LEVEL_POLL_MS = 100;
@@ -24,13 +90,21 @@
   let selfId = null;
   let attached = false;
 
-  /** peerId -> { pc, sender, audioEl, analyser, buffer, pendingIce, speakingUntil } */
-  const peers = new Map();
+  /**
+   * peerId -> { audioEl, graph, analyser, buffer, speakingUntil, stats,
+   * health, unhealthyChecks }, graph being the Web Audio nodes for that
+   * peer's stream. One per player we should be hearing, whether or not the
+   * transport has a connection up for them yet.
+   */
+  const remotes = new Map();
   /** peerId -> boolean (their announced mic state) */
   const remoteMic = new Map();
 
   let localStream = null;
   let micTrack = null;
+  // Always-enabled copy of micTrack for the level meter and the mic test.
+  let meterTrack = null;
+  let micTesting = false;
   let micOn = false;
   let micRequested = false;
   let statusText = "Voice off";
@@ -40,6 +114,60 @@
   let localBuffer = null;
   let localSpeakingUntil = 0;
   let levelTimer = null;
+  let healthTimer = null;
+  let healthRunning = false;
+  let proximity = false;
+
+  // The room's transport, built on first use; see ensureTransport.
+  let transportKind = "mesh";
+  let transport = null;
+  let transportPending = null;
+  let routeRetryAt = 0;
+
+  let iceServers = DEFAULT_ICE_SERVERS;
+  let iceFreshUntil = 0;
+  let iceRequest = null;
+  /** The ids syncPeers was last given, so a call it is still setting up can be dropped. */
+  let wantedPeers = new Set();
+
+  // { mode, peers: { [displayName]: { volume, muted } }, inputId, outputId,
+  // echoCancellation, noiseSuppression }. Only peers with something other
+  // than full volume and unmuted are stored; an empty device id is the
+  // system default.
+  let settings = {
+    mode: "open",
+    peers: {},
+    inputId: "",
+    outputId: "",
+    echoCancellation: true,
+    noiseSuppression: true,
+  };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") {
+      if (MODES.includes(saved.mode)) settings.mode = saved.mode;
+      if (saved.peers && typeof saved.peers === "object") settings.peers = saved.peers;
+      if (typeof saved.inputId === "string") settings.inputId = saved.inputId;
+      if (typeof saved.outputId === "string") settings.outputId = saved.outputId;
+      for (const name of PROCESSING) {
+        if (typeof saved[name] === "boolean") settings[name] = saved[name];
+      }
+    }
+  } catch {
+    // A corrupt or blocked localStorage is not worth losing voice over.
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+      /* private browsing — settings last until the tab closes */
+    }
+  }
+
+  /** peerId -> display name, from the roster; what peer settings are keyed by. */
+  const peerNames = new Map();
+  let pttHeld = false;
 
   let audioSink = null;
   // True when the browser refused to start playback because the page has no
@@ -67,12 +195,26 @@
       const Ctx = window.AudioContext || window.webkitAudioContext;
       if (!Ctx) return null;
       audioCtx = new Ctx();
+      applyContextSink();
     }
     // Browsers start the context suspended until a user gesture.
     if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
     return audioCtx;
   }
 
+  // Where incoming voice plays. Elements and (for proximity voice) the
+  // AudioContext each have their own setSinkId, where the browser has one.
+  function applySink(el) {
+    if (!canPickOutput || !el) return Promise.resolve();
+    return el.setSinkId(settings.outputId).catch((err) => log("setSinkId failed", err));
+  }
+
+  function applyContextSink() {
+    if (audioCtx && typeof audioCtx.setSinkId === "function") {
+      audioCtx.setSinkId(settings.outputId).catch((err) => log("context setSinkId failed", err));
+    }
+  }
+
   /** Starts playback, remembering if the browser refuses. */
   function playRemoteAudio(el) {
     const attempt = el.play();
@@ -98,9 +240,9 @@
     }
 
     audioBlocked = false;
-    for (const peer of peers.values()) {
-      if (peer.audioEl && peer.audioEl.paused) {
-        playRemoteAudio(peer.audioEl);
+    for (const remote of remotes.values()) {
+      if (remote.audioEl && remote.audioEl.paused) {
+        playRemoteAudio(remote.audioEl);
       }
     }
   }
@@ -120,6 +262,49 @@
     }
   }
 
+  /**
+   * A peer's stream in Web Audio: the level analyser, plus the gain and
+   * panner proximity voice plays through. The gain sits at zero until
+   * proximity is on; until then the <audio> element is what you hear.
+   */
+  function attachPeerGraph(stream) {
+    const ctx = getAudioContext();
+    if (!ctx) return null;
+    try {
+      const source = ctx.createMediaStreamSource(stream);
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 512;
+      analyser.smoothingTimeConstant = 0.6;
+      source.connect(analyser);
+
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      const panner = ctx.createPanner();
+      panner.panningModel = "equalpower"; // HRTF for seven peers is a lot of CPU for a top-down game
+      panner.distanceModel = "linear";
+      panner.refDistance = PROXIMITY_NEAR;
+      panner.maxDistance = PROXIMITY_FAR;
+      panner.rolloffFactor = 1;
+      source.connect(gain);
+      gain.connect(panner);
+      panner.connect(ctx.destination);
+      return { source, analyser, gain, panner };
+    } catch {
+      return null;
+    }
+  }
+
+  function detachPeerGraph(remote) {
+    if (!remote.graph) return;
+    try {
+      remote.graph.source.disconnect();
+      remote.graph.panner.disconnect();
+    } catch {}
+    remote.graph = null;
+    remote.analyser = null;
+    remote.buffer = null;
+  }
+
   function rms(analyser, buffer) {
     analyser.getByteTimeDomainData(buffer);
     let sum = 0;
@@ -141,10 +326,10 @@
         }
       }
 
-      for (const peer of peers.values()) {
-        if (!peer.analyser) continue;
-        if (rms(peer.analyser, peer.buffer) > SPEAKING_THRESHOLD) {
-          peer.speakingUntil = now + SPEAKING_HANGOVER_MS;
+      for (const remote of remotes.values()) {
+        if (!remote.analyser) continue;
+        if (rms(remote.analyser, remote.buffer) > SPEAKING_THRESHOLD) {
+          remote.speakingUntil = now + SPEAKING_HANGOVER_MS;
         }
       }
     }, LEVEL_POLL_MS);
@@ -157,186 +342,372 @@
     }
   }
 
-  function sendSignal(peerId, message) {
-    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
-    connection
-      .invoke("SendVoiceSignal", peerId, JSON.stringify(message))
-      .catch((err) => log("signal send failed", err));
-  }
+  // ---- ICE servers ------------------------------------------------------------
 
-  // Deterministic roles avoid glare: the lexicographically smaller id offers.
-  function isInitiator(peerId) {
-    return String(selfId) < String(peerId);
+  function rtcConfig() {
+    return { iceServers, iceTransportPolicy: forceRelay ? "relay" : "all" };
   }
 
-  function createPeer(peerId) {
-    const existing = peers.get(peerId);
-    if (existing) return existing;
+  /**
+   * Resolves once the ICE list is fresh enough to start a call with. The
+   * server's answer is kept for half its credentials' lifetime, so a call set
+   * up just before renewal still has plenty of time on them.
+   */
+  function ensureIceServers() {
+    if (performance.now() < iceFreshUntil) return Promise.resolve();
+    if (!iceRequest) {
+      iceRequest = fetchIceServers().finally(() => {
+        iceRequest = null;
+      });
+    }
+    return iceRequest;
+  }
 
-    const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+  async function fetchIceServers() {
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+    try {
+      const config = await connection.invoke("GetIceServers");
+      if (!Array.isArray(config?.iceServers) || config.iceServers.length === 0) {
+        throw new Error("empty ICE configuration");
+      }
+      iceServers = config.iceServers;
+      iceFreshUntil = performance.now() + Math.max(60, config.ttlSeconds || 0) * 500;
+      // Calls already up keep their route; the new credentials are for any
+      // ICE restart they need later.
+      if (transport) transport.refreshConfig();
+    } catch (err) {
+      log("ICE servers unavailable, using public STUN", err);
+      iceFreshUntil = performance.now() + ICE_RETRY_MS;
+    }
+  }
 
-    // Only the offerer declares the transceiver up front: a transceiver created
-    // locally is reserved for an m-line *we* offer, so on the answering side it
-    // would be left dangling while the remote offer spawns its own (recvonly)
-    // one. The answerer adopts that transceiver in handleSignal instead.
-    const transceiver = isInitiator(peerId)
-      ? pc.addTransceiver("audio", { direction: "sendrecv" })
-      : null;
+  // ---- call health -------------------------------------------------------------
 
-    const peer = {
-      pc,
-      sender: transceiver ? transceiver.sender : null,
-      audioEl: null,
-      analyser: null,
-      buffer: null,
-      pendingIce: [],
-      speakingUntil: 0,
-      negotiating: false,
-    };
-    peers.set(peerId, peer);
+  /**
+   * One getStats reading: running packet counters plus the latest jitter and
+   * RTT. Incoming figures come from the connection that brings their audio,
+   * outgoing from the one that takes ours — the same one on the mesh.
+   */
+  async function readStats(inbound, outbound) {
+    const out = { inbound, at: performance.now(), packetsIn: 0, bytesIn: 0, lostIn: 0, packetsOut: 0, jitter: null, rtt: null };
+    const reports = [await inbound.getStats()];
+    if (outbound && outbound !== inbound) reports.push(await outbound.getStats());
+    for (const stats of reports) {
+      stats.forEach((r) => {
+        if (r.type === "inbound-rtp" && r.kind === "audio") {
+          out.packetsIn += r.packetsReceived || 0;
+          out.bytesIn += r.bytesReceived || 0;
+          out.lostIn += Math.max(0, r.packetsLost || 0);
+          if (typeof r.jitter === "number") out.jitter = r.jitter;
+        } else if (r.type === "outbound-rtp" && r.kind === "audio") {
+          out.packetsOut += r.packetsSent || 0;
+        } else if (r.type === "candidate-pair" && (r.selected || r.nominated) && r.state === "succeeded") {
+          if (typeof r.currentRoundTripTime === "number") out.rtt = r.currentRoundTripTime;
+        } else if (r.type === "remote-inbound-rtp" && out.rtt === null && typeof r.roundTripTime === "number") {
+          out.rtt = r.roundTripTime;
+        }
+      });
+    }
+    return out;
+  }
 
-    if (micTrack && peer.sender) peer.sender.replaceTrack(micTrack).catch(() => {});
+  /**
+   * Updates one call's health from a fresh reading against the last one.
+   * One-way means a direction that should carry audio carried none: they
+   * say their mic is on but nothing arrived, or ours is granted but nothing
+   * left. (A mic that is muted still sends silence; one never granted sends
+   * nothing, which is why those cases are left out.) "idle" is a forwarded
+   * room's player with nothing published to play back: no mic, not a fault.
+   */
+  async function checkPeer(peerId, remote, via) {
+    const state = via.state(peerId);
+    let health = "connecting";
+    if (state === "failed" || state === "disconnected" || state === "closed") health = "failed";
+    if (state === "idle") health = "idle";
 
-    pc.onicecandidate = (event) => {
-      if (event.candidate) {
-        sendSignal(peerId, { type: "ice", candidate: event.candidate });
+    if (state === "connected") {
+      health = "connected";
+      const { inbound, outbound } = via.connections(peerId);
+      let reading = null;
+      try {
+        reading = await readStats(inbound, outbound);
+      } catch (err) {
+        log("stats failed", peerId, err);
       }
-    };
-
-    pc.ontrack = (event) => {
-      // replaceTrack sends no msid, so event.streams is empty here; wrap the
-      // bare track in a stream of our own for playback and level metering.
-      const stream = event.streams[0] || new MediaStream([event.track]);
-      if (!peer.audioEl) {
-        const el = document.createElement("audio");
-        el.autoplay = true;
-        el.playsInline = true;
-        getAudioSink().appendChild(el);
-        peer.audioEl = el;
+      // Counters start again on a rebuilt connection; compare like with like.
+      const previous = remote.stats?.inbound === reading?.inbound ? remote.stats : null;
+      if (reading && previous) {
+        const received = reading.packetsIn - previous.packetsIn;
+        const lost = reading.lostIn - previous.lostIn;
+        const seconds = Math.max(0.001, (reading.at - previous.at) / 1000);
+        reading.lossPct = received + lost > 0 ? (100 * lost) / (received + lost) : 0;
+        reading.kbpsIn = ((reading.bytesIn - previous.bytesIn) * 8) / 1000 / seconds;
+        const deafToThem = remoteMic.get(peerId) === true && received <= 0;
+        const mutedToThem = !!micTrack && via.sending(peerId) && reading.packetsOut - previous.packetsOut <= 0;
+        if (deafToThem || mutedToThem) health = "one-way";
       }
-      peer.audioEl.srcObject = stream;
-      playRemoteAudio(peer.audioEl);
-      peer.analyser = attachAnalyser(stream);
-      peer.buffer = peer.analyser ? new Uint8Array(peer.analyser.fftSize) : null;
-      startLevelPolling();
-      log("track from", peerId);
-    };
+      if (reading) remote.stats = reading;
+    }
 
-    pc.onconnectionstatechange = () => {
-      log(peerId, pc.connectionState);
-      if (pc.connectionState === "failed") {
-        // Most often a transient network change; a fresh connection is more
-        // reliable than trying to repair this one.
-        removePeer(peerId);
-        if (peers.size < 64) createPeer(peerId);
-      }
-    };
+    // Gone, or the room changed transport, while we waited on getStats.
+    if (remotes.get(peerId) !== remote || transport !== via) return;
+    remote.health = health;
+    remote.unhealthyChecks = health === "failed" || health === "one-way" ? remote.unhealthyChecks + 1 : 0;
+    if (remote.unhealthyChecks >= UNHEALTHY_CHECKS) reconnectPeer(peerId);
+  }
+
+  async function checkHealth() {
+    if (healthRunning || !transport) return;
+    healthRunning = true;
+    try {
+      const via = transport;
+      for (const [id, remote] of [...remotes]) await checkPeer(id, remote, via);
+    } finally {
+      healthRunning = false;
+    }
+  }
+
+  function startHealthPolling() {
+    if (!healthTimer) healthTimer = setInterval(checkHealth, HEALTH_POLL_MS);
+  }
 
-    if (isInitiator(peerId)) {
-      negotiate(peerId, peer);
+  function stopHealthPolling() {
+    if (healthTimer) {
+      clearInterval(healthTimer);
+      healthTimer = null;
     }
+  }
 
-    return peer;
+  /** Rebuilds the call with one player. Returns false inside the cooldown. */
+  function reconnectPeer(peerId) {
+    const remote = remotes.get(peerId);
+    if (!remote || !transport || !transport.reconnect(peerId)) return false;
+    remote.health = "connecting";
+    remote.unhealthyChecks = 0;
+    return true;
   }
 
-  async function negotiate(peerId, peer) {
-    if (peer.negotiating) return;
-    peer.negotiating = true;
+  function sendSignal(peerId, message) {
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+    connection
+      .invoke("SendVoiceSignal", peerId, JSON.stringify(message))
+      .catch((err) => log("signal send failed", err));
+  }
+
+  // ---- transport -----------------------------------------------------------------
+
+  // What a transport may ask of this file; see voice-transport.js.
+  const transportHost = {
+    selfId: () => selfId,
+    micTrack: () => micTrack,
+    rtcConfig,
+    ensureIceServers,
+    sendSignal,
+    onTrack: playRemoteStream,
+    log,
+  };
+
+  /**
+   * The transport for the room's current setting, built the first time a
+   * call is needed. A forwarded room asks the server for its route first; if
+   * that fails, nothing is built and the next roster change tries again.
+   * Resolves null when the setting changed while this was under way.
+   */
+  function ensureTransport() {
+    if (transport) return Promise.resolve(transport);
+    if (!transportPending) {
+      const pending = buildTransport(transportKind).then((built) => {
+        if (transportPending !== pending) {
+          if (built) built.close();
+          return null;
+        }
+        transportPending = null;
+        transport = built;
+        return built;
+      });
+      transportPending = pending;
+    }
+    return transportPending;
+  }
+
+  async function buildTransport(kind) {
+    if (kind === "mesh") return VoiceTransports.mesh(transportHost);
+    if (performance.now() < routeRetryAt) return null;
     try {
-      const offer = await peer.pc.createOffer();
-      await peer.pc.setLocalDescription(offer);
-      sendSignal(peerId, { type: "offer", sdp: peer.pc.localDescription });
+      const route = await connection.invoke("GetVoiceRoute");
+      if (route?.transport === "sfu" && route.publishUrl && route.subscribeUrlTemplate) {
+        return VoiceTransports.sfu(transportHost, route);
+      }
+      throw new Error("no forwarder route");
     } catch (err) {
-      log("offer failed", err);
-    } finally {
-      peer.negotiating = false;
+      log("voice route unavailable", err);
+      routeRetryAt = performance.now() + ICE_RETRY_MS;
+      return null;
     }
   }
 
-  function removePeer(peerId) {
-    const peer = peers.get(peerId);
-    if (!peer) return;
-    peers.delete(peerId);
-    try {
-      peer.pc.onicecandidate = null;
-      peer.pc.ontrack = null;
-      peer.pc.onconnectionstatechange = null;
-      peer.pc.close();
-    } catch {}
-    if (peer.audioEl) {
-      peer.audioEl.srcObject = null;
-      peer.audioEl.remove();
+  function dropTransport() {
+    transportPending = null; // a build still under way is closed when it lands
+    if (transport) transport.close();
+    transport = null;
+    routeRetryAt = 0;
+    for (const remote of remotes.values()) {
+      remote.stats = null;
+      remote.health = "connecting";
+      remote.unhealthyChecks = 0;
     }
+  }
+
+  /** Hands the current roster to the transport, building it if need be. */
+  async function connectWanted() {
+    const wanted = wantedPeers;
+    if (!wanted.size && !transport) return;
+    const via = await ensureTransport();
+    // The roster or the room's setting may have moved on in the meantime.
+    if (via && via === transport && wanted === wantedPeers) via.sync([...wanted]);
+  }
+
+  /**
+   * The room's transport setting, from snapshots. Every call is torn down and
+   * set up again the new way; the server only allows the change in the lobby.
+   */
+  function setTransport(kind) {
+    if (!TRANSPORTS.includes(kind) || kind === transportKind) return;
+    transportKind = kind;
+    dropTransport();
+    connectWanted();
+  }
+
+  // ---- remote players ------------------------------------------------------------
+
+  function ensureRemote(peerId) {
+    let remote = remotes.get(peerId);
+    if (!remote) {
+      remote = {
+        audioEl: null,
+        graph: null,
+        analyser: null,
+        buffer: null,
+        speakingUntil: 0,
+        // Latest getStats reading and what it adds up to; see checkHealth.
+        stats: null,
+        health: "connecting",
+        unhealthyChecks: 0,
+      };
+      remotes.set(peerId, remote);
+    }
+    return remote;
+  }
+
+  // An offer can come in before the snapshot that lists its sender, so this
+  // does not wait for syncPeers to know them.
+  function playRemoteStream(peerId, stream) {
+    const remote = ensureRemote(peerId);
+    if (!remote.audioEl) {
+      const el = document.createElement("audio");
+      el.autoplay = true;
+      el.playsInline = true;
+      applySink(el);
+      getAudioSink().appendChild(el);
+      remote.audioEl = el;
+    }
+    // The element keeps playing even while proximity voice has it muted:
+    // Chrome hands Web Audio silence for a remote stream nothing is playing.
+    remote.audioEl.srcObject = stream;
+    playRemoteAudio(remote.audioEl);
+    detachPeerGraph(remote);
+    remote.graph = attachPeerGraph(stream);
+    remote.analyser = remote.graph ? remote.graph.analyser : null;
+    remote.buffer = remote.analyser ? new Uint8Array(remote.analyser.fftSize) : null;
+    applyPeerAudio(peerId);
+    startLevelPolling();
+    log("track from", peerId);
+  }
+
+  function removeRemote(peerId) {
+    const remote = remotes.get(peerId);
+    if (!remote) return;
+    remotes.delete(peerId);
+    if (remotes.size === 0) stopHealthPolling();
+    if (remote.audioEl) {
+      remote.audioEl.srcObject = null;
+      remote.audioEl.remove();
+    }
+    detachPeerGraph(remote);
     remoteMic.delete(peerId);
   }
 
-  async function handleSignal(fromId, raw) {
+  function handleSignal(fromId, raw) {
     let message;
     try {
       message = JSON.parse(raw);
     } catch {
       return;
     }
+    // Only the mesh signals player to player. A stray message from someone
+    // still on the other setting is dropped; the next snapshot lines them up.
+    if (transportKind !== "mesh") return;
+    ensureTransport().then((via) => {
+      if (via && via.kind === "mesh") via.handleSignal(fromId, message);
+    });
+  }
 
-    const peer = peers.get(fromId) || createPeer(fromId);
-
-    try {
-      if (message.type === "offer") {
-        await peer.pc.setRemoteDescription(new RTCSessionDescription(message.sdp));
-        await flushIce(peer);
-
-        // Adopt the transceiver the remote offer created. It defaults to
-        // recvonly while we have no track, which would permanently one-way the
-        // call; forcing sendrecv before answering keeps our side able to talk
-        // (and lets a later replaceTrack work without renegotiating).
-        const audioTransceiver = peer.pc
-          .getTransceivers()
-          .find((t) => t.receiver && t.receiver.track && t.receiver.track.kind === "audio");
-        if (audioTransceiver) {
-          audioTransceiver.direction = "sendrecv";
-          peer.sender = audioTransceiver.sender;
-          if (micTrack) {
-            try {
-              await peer.sender.replaceTrack(micTrack);
-            } catch {}
-          }
-        }
+  function broadcastMicState() {
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+    connection.invoke("SetVoiceState", micOn).catch(() => {});
+  }
 
-        const answer = await peer.pc.createAnswer();
-        await peer.pc.setLocalDescription(answer);
-        sendSignal(fromId, { type: "answer", sdp: peer.pc.localDescription });
-      } else if (message.type === "answer") {
-        if (peer.pc.signalingState === "have-local-offer") {
-          await peer.pc.setRemoteDescription(new RTCSessionDescription(message.sdp));
-          await flushIce(peer);
-        }
-      } else if (message.type === "ice" && message.candidate) {
-        if (peer.pc.remoteDescription && peer.pc.remoteDescription.type) {
-          await peer.pc.addIceCandidate(new RTCIceCandidate(message.candidate));
-        } else {
-          // Candidates can outrun the description they belong to.
-          peer.pendingIce.push(message.candidate);
-        }
-      }
-    } catch (err) {
-      log("signal handling failed", err);
-    }
+  function audioConstraints(withDevice) {
+    const audio = {
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+      autoGainControl: true,
+    };
+    if (withDevice && settings.inputId) audio.deviceId = { exact: settings.inputId };
+    return { audio, video: false };
   }
 
-  async function flushIce(peer) {
-    while (peer.pendingIce.length) {
-      const candidate = peer.pendingIce.shift();
+  // The saved mic may have been unplugged since it was picked. Falling back
+  // to the default beats leaving the player with no mic at all.
+  async function openMicStream() {
+    if (settings.inputId) {
       try {
-        await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+        return await navigator.mediaDevices.getUserMedia(audioConstraints(true));
       } catch (err) {
-        log("late ice failed", err);
+        if (err?.name !== "OverconstrainedError" && err?.name !== "NotFoundError") throw err;
+        log("saved mic unavailable, using the default", err);
       }
     }
+    return navigator.mediaDevices.getUserMedia(audioConstraints(false));
   }
 
-  function broadcastMicState() {
-    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
-    connection.invoke("SetVoiceState", micOn).catch(() => {});
+  /**
+   * Makes `stream` the mic: it goes to every peer, the meter moves over to
+   * it, and whatever it replaces is stopped. The new track starts in the
+   * state the old one was in, so switching device never opens a muted mic.
+   */
+  function useMicStream(stream) {
+    const track = stream.getAudioTracks()[0] || null;
+    if (!track) {
+      stream.getTracks().forEach((t) => t.stop());
+      return false;
+    }
+
+    const previous = localStream;
+    localStream = stream;
+    micTrack = track;
+    micTrack.enabled = micOn;
+
+    if (meterTrack) meterTrack.stop();
+    meterTrack = micTrack.clone();
+    meterTrack.enabled = true;
+    localAnalyser = attachAnalyser(new MediaStream([meterTrack]));
+    localBuffer = localAnalyser ? new Uint8Array(localAnalyser.fftSize) : null;
+    startLevelPolling();
+
+    if (transport) transport.setMicTrack(micTrack);
+    if (previous) previous.getTracks().forEach((t) => t.stop());
+    return true;
   }
 
   async function requestMic() {
@@ -351,15 +722,9 @@
 
     micRequested = true;
     statusText = "Requesting mic…";
+    let stream;
     try {
-      localStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-        },
-        video: false,
-      });
+      stream = await openMicStream();
     } catch (err) {
       micRequested = false;
       statusText =
@@ -371,26 +736,50 @@
       return false;
     }
 
-    micTrack = localStream.getAudioTracks()[0] || null;
-    if (!micTrack) {
+    if (!useMicStream(stream)) {
       statusText = "No mic found";
       return false;
     }
+    statusText = idleStatus();
+    notifyDevices(); // device names are only readable once a mic is granted
+    return true;
+  }
 
-    localAnalyser = attachAnalyser(localStream);
-    localBuffer = localAnalyser ? new Uint8Array(localAnalyser.fftSize) : null;
-    startLevelPolling();
-
-    for (const peer of peers.values()) {
-      if (peer.sender) peer.sender.replaceTrack(micTrack).catch(() => {});
+  /** Opens the mic again with the current device and processing settings. */
+  async function restartMic() {
+    if (!micTrack) return true;
+    try {
+      return useMicStream(await openMicStream());
+    } catch (err) {
+      log("mic restart failed", err);
+      return false;
     }
-    return true;
+  }
+
+
+  function idleStatus() {
+    return settings.mode === "ptt" ? "Push to talk" : "Mic muted";
+  }
+
+  function setLive(on) {
+    micOn = on;
+    if (micTrack) micTrack.enabled = on;
+    statusText = on ? "Mic live" : idleStatus();
+    broadcastMicState();
   }
 
   async function toggleMic() {
     getAudioContext(); // this call is inside a click handler: unlocks playback
     resumeAudioPlayback(); // and retries anything refused before that gesture
 
+    // In push-to-talk the button only fetches the mic (so the permission
+    // prompt is not sprung on the first keypress); the key does the talking.
+    if (settings.mode === "ptt") {
+      if (!micTrack && !(await requestMic())) return false;
+      setLive(pttHeld);
+      return micOn;
+    }
+
     if (!micTrack) {
       const ok = await requestMic();
       if (!ok) return false;
@@ -405,24 +794,245 @@
     return micOn;
   }
 
+  /** Push-to-talk key down or up. Ignored in open-mic mode. */
+  async function pushToTalk(down) {
+    if (settings.mode !== "ptt" || down === pttHeld) return;
+    pttHeld = down;
+    if (down && !micTrack) {
+      getAudioContext(); // a keypress is a gesture too
+      // Nobody clicked the mic button first, so this press asks for the mic.
+      // Talking starts if the key is still held once it is granted.
+      if (!(await requestMic())) {
+        pttHeld = false;
+        return;
+      }
+    }
+    if (micTrack) setLive(pttHeld);
+  }
+
+  function setMode(mode) {
+    if (!MODES.includes(mode) || mode === settings.mode) return;
+    settings.mode = mode;
+    persist();
+    pttHeld = false;
+    // Either way the mic starts closed: switching to push-to-talk must not
+    // leave it open, and switching to open mic should not open it unasked.
+    if (micTrack) setLive(false);
+  }
+
+  // ---- per-peer listening ---------------------------------------------------
+
+  function peerAudio(peerId) {
+    const name = peerNames.get(peerId);
+    const saved = name ? settings.peers[name] : null;
+    return {
+      volume: typeof saved?.volume === "number" ? Math.min(1, Math.max(0, saved.volume)) : 1,
+      muted: saved?.muted === true,
+    };
+  }
+
+  // Exactly one of the two paths is audible: the <audio> element normally,
+  // the gain and panner with proximity on. Volume and mute apply to whichever.
+  function applyPeerAudio(peerId) {
+    const remote = remotes.get(peerId);
+    if (!remote || !remote.audioEl) return;
+    const { volume, muted } = peerAudio(peerId);
+    const spatial = proximity && !!remote.graph;
+    remote.audioEl.volume = volume;
+    remote.audioEl.muted = muted || spatial;
+    if (remote.graph) remote.graph.gain.gain.value = spatial && !muted ? volume : 0;
+  }
+
+  function updatePeerAudio(peerId, change) {
+    const name = peerNames.get(peerId);
+    if (!name) return;
+    const next = { ...peerAudio(peerId), ...change };
+    if (next.volume >= 1 && !next.muted) delete settings.peers[name];
+    else settings.peers[name] = next;
+    persist();
+    applyPeerAudio(peerId);
+  }
+
+  /** Names for the roster's ids, so saved volumes follow people between sessions. */
+  function setPeerNames(players) {
+    if (!Array.isArray(players)) return;
+    for (const p of players) {
+      const id = p && (p.playerId || p.connectionId);
+      if (id && p.displayName) peerNames.set(id, p.displayName);
+    }
+    for (const id of remotes.keys()) applyPeerAudio(id);
+  }
+
+  // ---- devices and diagnostics -----------------------------------------------
+
+  const deviceListeners = new Set();
+  function notifyDevices() {
+    for (const fn of deviceListeners) fn();
+  }
+  // A USB headset plugged in mid-session should show up without a reload.
+  navigator.mediaDevices?.addEventListener?.("devicechange", notifyDevices);
+
+  /**
+   * { inputs, outputs }, each [{ deviceId, label }]. The browser's own
+   * "default" and "communications" entries are left out: the empty id — the
+   * system default — already stands for them. Labels are blank until the mic
+   * has been allowed once, so those get a number instead.
+   */
+  async function listDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return { inputs: [], outputs: [] };
+    let devices = [];
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (err) {
+      log("enumerateDevices failed", err);
+    }
+    const pick = (kind, noun) =>
+      devices
+        .filter((d) => d.kind === kind && d.deviceId && d.deviceId !== "default" && d.deviceId !== "communications")
+        .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `${noun} ${i + 1}` }));
+    return {
+      inputs: pick("audioinput", "Microphone"),
+      outputs: canPickOutput ? pick("audiooutput", "Speaker") : [],
+    };
+  }
+
+  async function setInputDevice(deviceId) {
+    settings.inputId = typeof deviceId === "string" ? deviceId : "";
+    persist();
+    return restartMic();
+  }
+
+  function setOutputDevice(deviceId) {
+    settings.outputId = typeof deviceId === "string" ? deviceId : "";
+    persist();
+    for (const remote of remotes.values()) applySink(remote.audioEl);
+    applyContextSink();
+  }
+
+  /** Echo cancellation or noise suppression. Takes a fresh mic to apply. */
+  async function setProcessing(name, enabled) {
+    if (!PROCESSING.includes(name)) return false;
+    settings[name] = !!enabled;
+    persist();
+    return restartMic();
+  }
+
+  /** The mic's level right now, 0–1 RMS, muted or not. */
+  function micLevel() {
+    return localAnalyser && localBuffer ? rms(localAnalyser, localBuffer) : 0;
+  }
+
+  /**
+   * Records a few seconds of the mic and plays them back on the chosen
+   * output: what the room would hear, processing included. Played back
+   * rather than looped live, which howls on laptop speakers. Nobody else
+   * hears it — the recording is of the meter's copy, not the sent track.
+   * `onPhase` hears "recording", "playing" and finally "idle".
+   */
+  async function testMic(onPhase = () => {}) {
+    if (micTesting || typeof MediaRecorder === "undefined") return false;
+    if (!micTrack && !(await requestMic())) return false;
+    micTesting = true;
+    try {
+      onPhase("recording");
+      const recorder = new MediaRecorder(new MediaStream([meterTrack]));
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size) chunks.push(e.data);
+      };
+      const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+      recorder.start();
+      await new Promise((resolve) => setTimeout(resolve, MIC_TEST_MS));
+      recorder.stop();
+      await stopped;
+
+      onPhase("playing");
+      const url = URL.createObjectURL(new Blob(chunks, { type: recorder.mimeType }));
+      try {
+        const el = new Audio(url);
+        await applySink(el);
+        await new Promise((resolve) => {
+          el.onended = resolve;
+          el.onerror = resolve;
+          el.play().catch(resolve);
+        });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+      return true;
+    } catch (err) {
+      log("mic test failed", err);
+      return false;
+    } finally {
+      micTesting = false;
+      onPhase("idle");
+    }
+  }
+
+  // ---- proximity voice ---------------------------------------------------------
+
+  function setProximity(enabled) {
+    enabled = !!enabled;
+    if (enabled === proximity) return;
+    proximity = enabled;
+    for (const id of remotes.keys()) applyPeerAudio(id);
+  }
+
+  function glide(param, value, at) {
+    param.setTargetAtTime(value, at, PROXIMITY_GLIDE_S);
+  }
+
+  /**
+   * Places each peer relative to the listener, in world pixels. `listener` is
+   * your leader, or null; `positions` maps peer id to their leader. A peer
+   * with no position — out of the round, or nobody is in the arena yet — is
+   * heard as if beside you rather than not at all.
+   *
+   * The listener stays at the origin facing the default -z, so screen-right
+   * is +x and screen-up is -z, which is world y unchanged.
+   */
+  function setPositions(listener, positions) {
+    if (!proximity || !audioCtx) return;
+    const at = audioCtx.currentTime;
+    for (const [id, remote] of remotes) {
+      if (!remote.graph) continue;
+      const pos = listener ? positions.get(id) : null;
+      const x = pos ? pos.x - listener.x : 0;
+      const z = pos ? pos.y - listener.y : 0;
+      const panner = remote.graph.panner;
+      if (panner.positionX) {
+        glide(panner.positionX, x, at);
+        glide(panner.positionZ, z, at);
+      } else {
+        panner.setPosition(x, 0, z);
+      }
+    }
+  }
+
   function syncPeers(playerIds) {
     if (!attached || !selfId) return;
-    const wanted = new Set(playerIds.filter((id) => id && id !== selfId));
+    wantedPeers = new Set(playerIds.filter((id) => id && id !== selfId));
 
-    for (const id of peers.keys()) {
-      if (!wanted.has(id)) removePeer(id);
-    }
-    for (const id of wanted) {
-      if (!peers.has(id)) createPeer(id);
+    for (const id of [...remotes.keys()]) {
+      if (!wantedPeers.has(id)) removeRemote(id);
     }
+    for (const id of wantedPeers) ensureRemote(id);
+    if (remotes.size) startHealthPolling();
+    return connectWanted();
   }
 
   function reset() {
-    for (const id of [...peers.keys()]) removePeer(id);
+    dropTransport();
+    for (const id of [...remotes.keys()]) removeRemote(id);
+    wantedPeers = new Set();
+    // TURN credentials are issued to room members; fetch again in the next room.
+    iceFreshUntil = 0;
     remoteMic.clear();
+    peerNames.clear();
     micOn = false;
+    pttHeld = false;
     if (micTrack) micTrack.enabled = false;
-    statusText = micTrack ? "Mic muted" : "Voice off";
+    statusText = micTrack ? idleStatus() : "Voice off";
   }
 
   function releaseMic() {
@@ -432,6 +1042,8 @@
       localStream.getTracks().forEach((t) => t.stop());
       localStream = null;
     }
+    if (meterTrack) meterTrack.stop();
+    meterTrack = null;
     micTrack = null;
     micRequested = false;
     localAnalyser = null;
@@ -455,7 +1067,10 @@
     });
 
     connection.on("PlayerLeft", (payload) => {
-      if (payload && payload.playerId) removePeer(payload.playerId);
+      if (!payload || !payload.playerId) return;
+      wantedPeers = new Set([...wantedPeers].filter((id) => id !== payload.playerId));
+      removeRemote(payload.playerId);
+      if (transport) transport.sync([...wantedPeers]);
     });
 
     // Any genuine interaction gives the page user activation, which is the only
@@ -474,6 +1089,18 @@
     }
   }
 
+  /**
+   * The same seat under a new id, after a reconnect. Every call was to or
+   * from the old id, so they start again as in a new room — but the mic is
+   * left the way the player had it, and the room is told so again.
+   */
+  function rejoinAs(myId) {
+    const wasLive = micOn && settings.mode !== "ptt";
+    setSelfId(myId);
+    if (wasLive && micTrack) setLive(true);
+    else broadcastMicState();
+  }
+
   /** Adopt mic states from a lobby payload (players already in the room). */
   function seedMicStates(players) {
     if (!Array.isArray(players)) return;
@@ -484,8 +1111,39 @@
   }
 
   window.VoiceClient = {
+    MODES,
     attach,
+    setMode,
+    mode: () => settings.mode,
+    pushToTalk,
+    setPeerNames,
+    setProximity,
+    setTransport,
+    /** "mesh" or "sfu": the room's setting, whether or not it is connected yet. */
+    transport: () => transportKind,
+    canPickOutput,
+    listDevices,
+    onDevicesChange: (fn) => deviceListeners.add(fn),
+    /** The saved device ids ("" for the default) and processing switches. */
+    audioSettings: () => ({
+      inputId: settings.inputId,
+      outputId: settings.outputId,
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+    }),
+    setInputDevice,
+    setOutputDevice,
+    setProcessing,
+    micLevel,
+    testMic,
+    proximity: () => proximity,
+    setPositions,
+    /** { volume 0–1, muted } for a peer, as saved under their name. */
+    peerAudio,
+    setPeerVolume: (peerId, volume) => updatePeerAudio(peerId, { volume: Math.min(1, Math.max(0, volume)) }),
+    setPeerMuted: (peerId, muted) => updatePeerAudio(peerId, { muted: !!muted }),
     setSelfId,
+    rejoinAs,
     seedMicStates,
     syncPeers,
     toggleMic,
@@ -499,22 +1157,31 @@
     isSpeaking(playerId) {
       const now = performance.now();
       if (playerId === selfId) return micOn && localSpeakingUntil > now;
-      const peer = peers.get(playerId);
-      return !!peer && peer.speakingUntil > now && remoteMic.get(playerId) === true;
+      const remote = remotes.get(playerId);
+      return !!remote && remote.speakingUntil > now && remoteMic.get(playerId) === true;
     },
     isMicLive: () => micOn,
+    /** The mic has been granted (live or not). */
+    hasMic: () => !!micTrack,
     /** True while the browser is refusing to play incoming voice. */
-    isAudioBlocked: () => audioBlocked,
+    // Proximity voice plays through the AudioContext, which the autoplay
+    // policy can hold suspended just the same.
+    isAudioBlocked: () => audioBlocked || (proximity && audioCtx?.state === "suspended"),
     resumeAudioPlayback,
     /** Per-peer connection state and audio flow, for diagnosing call quality. */
     async getInboundStats() {
       const out = [];
-      for (const [id, peer] of peers) {
+      for (const id of remotes.keys()) {
+        const pc = transport?.connections(id).inbound;
+        if (!pc) {
+          out.push({ id, state: transport?.state(id) ?? null, packets: 0, bytes: 0, sent: 0, tx: [] });
+          continue;
+        }
         let packets = 0;
         let bytes = 0;
         let sent = 0;
         try {
-          const stats = await peer.pc.getStats();
+          const stats = await pc.getStats();
           stats.forEach((r) => {
             if (r.type === "inbound-rtp" && r.kind === "audio") {
               packets += r.packetsReceived || 0;
@@ -525,23 +1192,51 @@
             }
           });
         } catch {}
-        const tx = peer.pc.getTransceivers().map((t) => ({
+        const tx = pc.getTransceivers().map((t) => ({
           dir: t.direction,
           cur: t.currentDirection,
           send: !!(t.sender && t.sender.track),
           recv: !!(t.receiver && t.receiver.track),
         }));
-        out.push({ id, state: peer.pc.connectionState, packets, bytes, sent, tx });
+        out.push({ id, state: pc.connectionState, packets, bytes, sent, tx });
       }
       return out;
     },
     isSupported: () =>
       !!(window.isSecureContext && navigator.mediaDevices?.getUserMedia && window.RTCPeerConnection),
     getStatus: () => statusText,
-    peerCount: () => peers.size,
+    peerCount: () => remotes.size,
+    /** "connected", "connecting", "idle", "failed" or "one-way"; null with no call. */
+    peerHealth: (playerId) => remotes.get(playerId)?.health ?? null,
+    /**
+     * The last health check's numbers for one call: { state, health, rttMs,
+     * jitterMs, lossPct, kbpsIn, relayed }, null where not measured yet.
+     */
+    peerStats(playerId) {
+      const remote = remotes.get(playerId);
+      if (!remote) return null;
+      const s = remote.stats;
+      return {
+        state: transport?.state(playerId) ?? null,
+        health: remote.health,
+        rttMs: s?.rtt != null ? s.rtt * 1000 : null,
+        jitterMs: s?.jitter != null ? s.jitter * 1000 : null,
+        lossPct: s?.lossPct ?? null,
+        kbpsIn: s?.kbpsIn ?? null,
+        relayed: !!transport?.relayed(playerId),
+      };
+    },
+    reconnectPeer,
+    /** True once a call is up and its only working route is the TURN relay. */
+    isRelayed: (playerId) => remotes.has(playerId) && !!transport?.relayed(playerId),
+    relayedPeerCount: () => {
+      let n = 0;
+      for (const id of remotes.keys()) if (transport?.relayed(id)) n++;
+      return n;
+    },
     connectedPeerCount: () => {
       let n = 0;
-      for (const p of peers.values()) if (p.pc.connectionState === "connected") n++;
+      for (const id of remotes.keys()) if (transport?.state(id) === "connected") n++;
       return n;
     },
   };
@@ -0,0 +1,140 @@
+// Hub protocol: MessagePack where the browser has it, JSON otherwise. Every
+// message reaches the rest of the client in the shape JSON would have given.
+(function () {
+  "use strict";
+
+  // ?json=1 keeps the old protocol, for comparing the two in the F3 overlay.
+  const params = new URLSearchParams(window.location.search);
+  const MessagePackHubProtocol = window.signalR?.protocols?.msgpack?.MessagePackHubProtocol;
+  const binary = !!MessagePackHubProtocol && params.get("json") !== "1";
+
+  /** For HubConnectionBuilder.withHubProtocol; null means the default, JSON. */
+  function protocol() {
+    return binary ? new MessagePackHubProtocol() : null;
+  }
+
+  // Everything but snapshots is MessagePack's default for C#: maps keyed by
+  // member name, "IsActive" where JSON says "isActive". Rather than annotate
+  // every record on the server, keys are camel-cased here and given their
+  // capital back going up; those messages come a few times a match.
+  //
+  // "IsActive" → "isActive", "URLs" → "urLs": System.Text.Json's rule, so
+  // both protocols agree on every name.
+  function camelKey(key) {
+    return key.replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, (head) => head.toLowerCase());
+  }
+
+  function pascalKey(key) {
+    return key.charAt(0).toUpperCase() + key.slice(1);
+  }
+
+  function rekey(value, keyFn) {
+    if (Array.isArray(value)) return value.map((item) => rekey(item, keyFn));
+    if (!value || typeof value !== "object" || value instanceof Uint8Array) return value;
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[keyFn(key)] = rekey(item, keyFn);
+    return out;
+  }
+
+  // ---- Snapshot layout (SnapshotWireFormat.cs) -------------------------------
+  //
+  // Positional arrays, with positions and velocities as whole tenths: that is
+  // where the bytes and the parsing time were, 33 a second. Read back by
+  // index, so this and the server's layout change together.
+
+  function decodeEntity(e) {
+    return {
+      id: e[0],
+      ownerId: e[1],
+      x: e[2] / 10,
+      y: e[3] / 10,
+      radius: e[4] / 10,
+      color: e[5],
+      type: e[6],
+      vx: e[7] / 10,
+      vy: e[8] / 10,
+    };
+  }
+
+  function decodeMove(m) {
+    return { id: m[0], x: m[1] / 10, y: m[2] / 10, vx: m[3] / 10, vy: m[4] / 10 };
+  }
+
+  function decodePlayer(p) {
+    const info = p[1];
+    return {
+      connectionId: p[0],
+      info: info && {
+        displayName: info[0],
+        teamColor: info[1],
+        eaten: info[2],
+        isSuper: info[3],
+        isDead: info[4],
+        wins: info[5],
+        isAway: info[6],
+      },
+      leader: p[2] && decodeEntity(p[2]),
+      leaderMove: p[3] && decodeMove(p[3]),
+      added: p[4] && p[4].map(decodeEntity),
+      moved: p[5] && p[5].map(decodeMove),
+      removed: p[6],
+    };
+  }
+
+  function decodeSnapshot(s) {
+    const input = s[8];
+    return {
+      roomId: s[0],
+      snapshotId: s[1],
+      baselineId: s[2],
+      serverTime: s[3],
+      huntSecondsRemaining: s[4],
+      room: s[5] && rekey(s[5], camelKey),
+      players: s[6].map(decodePlayer),
+      removedPlayers: s[7],
+      input: input && { sequence: input[0], secondsOnInput: input[1] },
+    };
+  }
+
+  const DECODERS = { GameStateUpdated: decodeSnapshot };
+
+  // The server leaves these fields out of JSON when they are null
+  // (JsonIgnore), which MessagePack does not honour: it sends them as nil.
+  // RTCPeerConnection takes a null username for the string "null", so the
+  // results that feed voice get the same shape JSON gives them.
+  function withoutNulls(value) {
+    if (Array.isArray(value)) return value.map(withoutNulls);
+    if (!value || typeof value !== "object") return value;
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== null) out[key] = withoutNulls(item);
+    }
+    return out;
+  }
+
+  const RESULTS = { GetIceServers: withoutNulls, GetVoiceRoute: withoutNulls };
+
+  // Wraps the connection before any handler is registered, so nothing past
+  // this file knows which protocol is in use.
+  function attach(connection) {
+    if (!binary) return;
+    const on = connection.on.bind(connection);
+    const invoke = connection.invoke.bind(connection);
+
+    connection.on = (name, handler) => {
+      const decode = DECODERS[name] ?? ((value) => rekey(value, camelKey));
+      return on(name, (...args) => handler(...args.map(decode)));
+    };
+
+    connection.invoke = (name, ...args) => {
+      const shape = RESULTS[name] ?? ((value) => value);
+      return invoke(name, ...args.map((arg) => rekey(arg, pascalKey))).then((result) => shape(rekey(result, camelKey)));
+    };
+  }
+
+  window.GameWire = {
+    protocol,
+    attach,
+    name: () => (binary ? "msgpack" : "json"),
+  };
+})();